@@ -6,12 +6,15 @@
  */
 
 const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'db' });
 
 const connectDB = async () => {
     try {
         // Verificar se a URI está definida
         if (!process.env.MONGODB_URI) {
-            console.warn('⚠️  MONGODB_URI não definida. A usar modo sem persistência.');
+            log.warn('MONGODB_URI não definida. A usar modo sem persistência');
             return null;
         }
 
@@ -21,12 +24,11 @@ const connectDB = async () => {
             socketTimeoutMS: 45000,
         });
 
-        console.log(`✅ MongoDB conectado: ${conn.connection.host}`);
+        log.info('MongoDB conectado', { host: conn.connection.host });
         return conn;
     } catch (error) {
-        console.error(`❌ Erro ao conectar MongoDB: ${error.message}`);
         // Não termina o processo - permite funcionar sem DB (apenas em memória)
-        console.warn('⚠️  Servidor vai funcionar sem persistência de dados.');
+        log.error('Erro ao conectar MongoDB. Servidor vai funcionar sem persistência de dados', { error });
         return null;
     }
 };
@@ -0,0 +1,109 @@
+/**
+ * Logger estruturado (JSON por linha)
+ *
+ * Cada linha leva level, time e msg, mais os campos de correlação do contexto
+ * em curso (sessionId, socketId, userId, event, eventId) e os campos passados
+ * na chamada. O nível mínimo vem de LOG_LEVEL (debug, info, warn, error;
+ * por omissão info). Campos sensíveis (tokens, palavras-passe, IPs...) são
+ * substituídos por "[REDACTED]" a qualquer profundidade.
+ *
+ * Uso:
+ *   const { logger } = require('./config/logger');
+ *   logger.info('Sala criada', { sessionId, role });
+ *   runWithLogContext({ socketId, userId, event }, () => ...); // correlação
+ *   runWithNewLogContext({ sessionId }, () => ...); // temporizadores: contexto novo
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LogLevel = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40 });
+
+// Chaves cujo valor nunca sai nos logs (comparação sem maiúsculas)
+const REDACTED_KEYS = new Set([
+    'token',
+    'accesstoken',
+    'password',
+    'passwordhash',
+    'secret',
+    'authorization',
+    'cookie',
+    'ip',
+    'email'
+]);
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Nível mínimo configurado (valores desconhecidos contam como info)
+ */
+const getMinLevel = () => LogLevel[String(process.env.LOG_LEVEL || '').toLowerCase()] || LogLevel.info;
+
+/**
+ * Copia um valor para o log: erros com mensagem e stack, chaves sensíveis tapadas
+ */
+const sanitize = (value, depth = 0, seen = new WeakSet()) => {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH || seen.has(value)) return '[...]';
+    seen.add(value);
+
+    if (Array.isArray(value)) return value.map(item => sanitize(item, depth + 1, seen));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : sanitize(item, depth + 1, seen)
+    ]));
+};
+
+/**
+ * Escreve uma linha (warn/error em stderr)
+ */
+const write = (level, msg, bindings, fields) => {
+    if (LogLevel[level] < getMinLevel()) return;
+
+    const entry = sanitize({
+        level,
+        time: new Date().toISOString(),
+        msg,
+        ...bindings,
+        ...context.getStore(),
+        ...fields
+    });
+    const line = `${JSON.stringify(entry)}\n`;
+    (LogLevel[level] >= LogLevel.warn ? process.stderr : process.stdout).write(line);
+};
+
+/**
+ * Cria um logger com campos fixos (ex.: { component: 'gameHandler' })
+ */
+const createLogger = (bindings = {}) => ({
+    debug: (msg, fields) => write('debug', msg, bindings, fields),
+    info: (msg, fields) => write('info', msg, bindings, fields),
+    warn: (msg, fields) => write('warn', msg, bindings, fields),
+    error: (msg, fields) => write('error', msg, bindings, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+});
+
+/**
+ * Corre fn com campos de correlação acrescentados a todas as linhas
+ * (incluindo temporizadores e promessas criados dentro dela)
+ */
+const runWithLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+/**
+ * Como runWithLogContext, mas sem herdar o contexto em curso: para
+ * temporizadores e fluxos do servidor, que não pertencem ao evento que os criou
+ */
+const runWithNewLogContext = (fields, fn) => context.run({ ...fields }, fn);
+
+module.exports = {
+    LogLevel,
+    logger: createLogger(),
+    createLogger,
+    runWithLogContext,
+    runWithNewLogContext
+};
@@ -0,0 +1,37 @@
+/**
+ * Adapter do Socket.IO (várias instâncias)
+ *
+ * Por omissão o Socket.IO usa o adapter em memória: as salas só existem no
+ * próprio processo. Com várias instâncias atrás de um balanceador, define
+ * SOCKET_IO_ADAPTER com o caminho de um módulo que exporte
+ *
+ *     async (io, { connection }) => adapter
+ *
+ * (ex.: um wrapper de @socket.io/redis-adapter ou @socket.io/mongo-adapter)
+ * para que as emissões cheguem aos clientes ligados às outras instâncias.
+ */
+
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'socketAdapter' });
+
+/**
+ * Aplica o adapter configurado (nada a fazer sem SOCKET_IO_ADAPTER)
+ * @param {Server} io - Instância Socket.IO
+ * @param {Object} options - { connection, adapter } (adapter: caminho do módulo ou a própria função)
+ * @returns {Promise<boolean>} true se foi aplicado um adapter
+ */
+const configureSocketAdapter = async (io, {
+    connection = null,
+    adapter = process.env.SOCKET_IO_ADAPTER
+} = {}) => {
+    if (!adapter) return false;
+
+    const createAdapter = typeof adapter === 'function' ? adapter : require(path.resolve(adapter));
+    io.adapter(await createAdapter(io, { connection }));
+    log.info('Adapter do Socket.IO aplicado', { adapter: typeof adapter === 'string' ? adapter : createAdapter.name || 'personalizado' });
+    return true;
+};
+
+module.exports = configureSocketAdapter;
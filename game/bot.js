@@ -0,0 +1,88 @@
+/**
+ * Bot - Oponente do servidor para treino a solo
+ *
+ * Decide as jogadas do bot a partir do catálogo do tema. Não conhece
+ * Socket.IO nem o estado global: o gameHandler agenda as jogadas e
+ * aplica-as pelas mesmas transições e pontuação de um jogador humano.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Níveis de dificuldade
+ * - correctChance: probabilidade de escolher uma defesa certa
+ * - delay: fração do tempo da ronda que o bot demora a defender [min, max]
+ */
+const BOT_DIFFICULTIES = Object.freeze({
+    easy: Object.freeze({ correctChance: 0.35, delay: [0.45, 0.8] }),
+    medium: Object.freeze({ correctChance: 0.6, delay: [0.25, 0.6] }),
+    hard: Object.freeze({ correctChance: 0.85, delay: [0.1, 0.35] })
+});
+
+const DEFAULT_DIFFICULTY = 'medium';
+
+// Pausa antes de o bot atacar (ms)
+const ATTACK_DELAY_MS = [1000, 2500];
+
+// Prefixo do userId dos bots (nunca colide com os UUID dos utilizadores)
+const BOT_USER_PREFIX = 'bot:';
+
+const randomFloat = () => crypto.randomInt(1000000) / 1000000;
+
+const pick = (list, random = randomFloat) => list[Math.floor(random() * list.length)];
+
+const between = ([min, max], random = randomFloat) => min + (max - min) * random();
+
+/**
+ * Identificador do bot usado nos lugares e no histórico
+ */
+const createBotUserId = (difficulty) => `${BOT_USER_PREFIX}${difficulty}`;
+
+const isBotUserId = (userId) => typeof userId === 'string' && userId.startsWith(BOT_USER_PREFIX);
+
+/**
+ * Ferramenta de ataque aleatória do tema
+ */
+const chooseAttack = (theme, random = randomFloat) => {
+    const attacks = theme?.ataques || [];
+    return attacks.length > 0 ? pick(attacks, random).id : null;
+};
+
+/**
+ * Defesa do bot: certa com a probabilidade da dificuldade, senão uma errada
+ */
+const chooseDefense = (theme, attackToolId, difficulty, random = randomFloat) => {
+    const defenses = (theme?.defesas || []).map(tool => String(tool.id));
+    const valid = (theme?.defesasValidas?.[String(attackToolId)] || []).map(String);
+    const wrong = defenses.filter(id => !valid.includes(id));
+    const { correctChance } = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES[DEFAULT_DIFFICULTY];
+
+    if (valid.length > 0 && (random() < correctChance || wrong.length === 0)) {
+        return pick(valid, random);
+    }
+    return wrong.length > 0 ? pick(wrong, random) : null;
+};
+
+/**
+ * Tempo (ms) até o bot defender, dentro do tempo da ronda
+ */
+const getDefenseDelay = (roundSeconds, difficulty, random = randomFloat) => {
+    const { delay } = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES[DEFAULT_DIFFICULTY];
+    return Math.round(roundSeconds * 1000 * between(delay, random));
+};
+
+/**
+ * Tempo (ms) até o bot atacar
+ */
+const getAttackDelay = (random = randomFloat) => Math.round(between(ATTACK_DELAY_MS, random));
+
+module.exports = {
+    BOT_DIFFICULTIES,
+    DEFAULT_DIFFICULTY,
+    createBotUserId,
+    isBotUserId,
+    chooseAttack,
+    chooseDefense,
+    getDefenseDelay,
+    getAttackDelay
+};
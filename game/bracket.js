@@ -0,0 +1,235 @@
+/**
+ * Chaves de Torneio - Eliminação simples e dupla
+ *
+ * Gera os jogos da chave a partir dos jogadores ordenados por seed e faz
+ * avançar os vencedores (na dupla, os vencidos descem para a chave de
+ * perdedores). Não conhece sessões nem sockets: o serviço de torneios cria
+ * as sessões dos jogos que ficam prontos.
+ *
+ * Os lugares vazios da primeira ronda são byes: o adversário avança sem
+ * jogar. A dupla eliminação termina numa final única (sem jogo de desempate).
+ */
+
+const BracketFormat = {
+    SINGLE: 'single',
+    DOUBLE: 'double'
+};
+
+const MatchStatus = {
+    PENDING: 'pending', // À espera dos dois adversários
+    READY: 'ready', // Adversários definidos, sessão ainda por criar
+    PLAYING: 'playing', // Sessão criada
+    FINISHED: 'finished'
+};
+
+// Mínimo de jogadores por formato
+const MIN_PLAYERS = {
+    [BracketFormat.SINGLE]: 2,
+    [BracketFormat.DOUBLE]: 3
+};
+
+const emptySlot = () => ({ userId: null, bye: false });
+
+const isSlotFilled = (slot) => slot.bye || Boolean(slot.userId);
+
+/**
+ * Ordem das seeds na primeira ronda: 1 contra a última, 2 contra a penúltima...
+ * e as melhores seeds só se encontram o mais tarde possível
+ */
+const seedOrder = (size) => {
+    let order = [1];
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, total - seed]);
+    }
+    return order;
+};
+
+const createMatch = (matchId, bracket, round, index) => ({
+    matchId,
+    bracket, // 'winners' | 'losers' | 'final'
+    round,
+    index,
+    slots: [emptySlot(), emptySlot()],
+    status: MatchStatus.PENDING,
+    next: null, // { matchId, slot } do vencedor
+    loserNext: null, // { matchId, slot } do vencido (dupla eliminação)
+    sessionId: null,
+    winnerUserId: null,
+    loserUserId: null,
+    bye: false, // Decidido sem jogar
+    forfeit: false, // Decidido por falta de comparência/desistência
+    finishedAt: null
+});
+
+const findMatch = (matches, matchId) => matches.find(match => match.matchId === matchId) || null;
+
+/**
+ * Jogo que decide o campeão
+ */
+const getFinalMatch = (matches) =>
+    findMatch(matches, 'GF') || matches.filter(match => match.bracket === 'winners').at(-1) || null;
+
+/**
+ * Coloca um jogador (ou bye) num lugar e resolve o jogo se ficar completo
+ */
+const place = (matches, target, slotValue) => {
+    const match = findMatch(matches, target.matchId);
+    match.slots[target.slot] = slotValue;
+    settle(matches, match);
+};
+
+/**
+ * Fecha um jogo e faz avançar vencedor e vencido
+ */
+const finishMatch = (matches, match, { winnerUserId, loserUserId, bye = false, forfeit = false, now = Date.now() }) => {
+    Object.assign(match, {
+        status: MatchStatus.FINISHED,
+        winnerUserId,
+        loserUserId,
+        bye,
+        forfeit,
+        finishedAt: now
+    });
+
+    const toSlot = (userId) => (userId ? { userId, bye: false } : { userId: null, bye: true });
+    if (match.next) place(matches, match.next, toSlot(winnerUserId));
+    if (match.loserNext) place(matches, match.loserNext, toSlot(loserUserId));
+};
+
+/**
+ * Jogo com os dois lugares definidos: pronto a jogar, ou decidido já se houver bye
+ */
+const settle = (matches, match) => {
+    if (match.status !== MatchStatus.PENDING || !match.slots.every(isSlotFilled)) return;
+
+    if (match.slots.some(slot => slot.bye)) {
+        const player = match.slots.find(slot => !slot.bye);
+        finishMatch(matches, match, { winnerUserId: player?.userId || null, loserUserId: null, bye: true });
+        return;
+    }
+    match.status = MatchStatus.READY;
+};
+
+/**
+ * Liga o vencedor de `from` ao lugar de `to`
+ */
+const link = (matches, from, to, slot, field = 'next') => {
+    findMatch(matches, from)[field] = { matchId: to, slot };
+};
+
+/**
+ * Gera a chave completa e resolve os byes da primeira ronda
+ * @param {string} format - BracketFormat
+ * @param {string[]} userIds - Jogadores por ordem de seed (o primeiro é a seed 1)
+ * @returns {Object[]} Jogos da chave
+ */
+const createBracket = (format, userIds) => {
+    const size = 2 ** Math.ceil(Math.log2(Math.max(userIds.length, 2)));
+    const rounds = Math.log2(size);
+    const matches = [];
+
+    // Chave de vencedores: W{ronda}-{jogo}
+    for (let round = 1; round <= rounds; round += 1) {
+        for (let i = 0; i < size / 2 ** round; i += 1) {
+            matches.push(createMatch(`W${round}-${i + 1}`, 'winners', round, i + 1));
+        }
+    }
+    for (let round = 1; round < rounds; round += 1) {
+        for (let i = 0; i < size / 2 ** round; i += 1) {
+            link(matches, `W${round}-${i + 1}`, `W${round + 1}-${Math.floor(i / 2) + 1}`, i % 2);
+        }
+    }
+
+    if (format === BracketFormat.DOUBLE) {
+        // Chave de perdedores: por cada ronda j da chave de vencedores (exceto a final)
+        // há uma ronda interna L(2j-1) e uma ronda L(2j) onde entram os vencidos de W(j+1)
+        for (let j = 1; j < rounds; j += 1) {
+            const count = size / 2 ** (j + 1);
+            for (let i = 0; i < count; i += 1) {
+                matches.push(createMatch(`L${2 * j - 1}-${i + 1}`, 'losers', 2 * j - 1, i + 1));
+            }
+            for (let i = 0; i < count; i += 1) {
+                matches.push(createMatch(`L${2 * j}-${i + 1}`, 'losers', 2 * j, i + 1));
+            }
+        }
+        matches.push(createMatch('GF', 'final', rounds + 1, 1));
+
+        for (let i = 0; i < size / 2; i += 1) {
+            link(matches, `W1-${i + 1}`, `L1-${Math.floor(i / 2) + 1}`, i % 2, 'loserNext');
+        }
+        for (let j = 1; j < rounds; j += 1) {
+            const count = size / 2 ** (j + 1);
+            for (let i = 0; i < count; i += 1) {
+                link(matches, `L${2 * j - 1}-${i + 1}`, `L${2 * j}-${i + 1}`, 0);
+                // Ordem invertida para adiar reencontros da chave de vencedores
+                link(matches, `W${j + 1}-${i + 1}`, `L${2 * j}-${count - i}`, 1, 'loserNext');
+                if (j < rounds - 1) {
+                    link(matches, `L${2 * j}-${i + 1}`, `L${2 * j + 1}-${Math.floor(i / 2) + 1}`, i % 2);
+                }
+            }
+        }
+        link(matches, `W${rounds}-1`, 'GF', 0);
+        link(matches, `L${2 * (rounds - 1)}-1`, 'GF', 1);
+    }
+
+    // Seeds na primeira ronda; lugares sem jogador são byes
+    const order = seedOrder(size);
+    for (let i = 0; i < size / 2; i += 1) {
+        const match = findMatch(matches, `W1-${i + 1}`);
+        match.slots = [order[2 * i], order[2 * i + 1]].map(seed => (
+            seed <= userIds.length ? { userId: userIds[seed - 1], bye: false } : { userId: null, bye: true }
+        ));
+    }
+    matches.filter(match => match.round === 1 && match.bracket === 'winners').forEach(match => settle(matches, match));
+
+    return matches;
+};
+
+/**
+ * Regista o resultado de um jogo
+ * @returns {{ ok: true } | { ok: false, code, message }}
+ */
+const reportMatchResult = (matches, matchId, { winnerUserId, forfeit = false, now = Date.now() }) => {
+    const match = findMatch(matches, matchId);
+    if (!match) {
+        return { ok: false, code: 'MATCH_NOT_FOUND', message: 'Jogo não encontrado na chave' };
+    }
+    if (match.status !== MatchStatus.READY && match.status !== MatchStatus.PLAYING) {
+        return { ok: false, code: 'MATCH_NOT_OPEN', message: 'O jogo não está em curso' };
+    }
+    const players = match.slots.map(slot => slot.userId);
+    if (!players.includes(winnerUserId)) {
+        return { ok: false, code: 'INVALID_WINNER', message: 'O vencedor não joga este jogo' };
+    }
+
+    const loserUserId = players.find(userId => userId !== winnerUserId);
+    finishMatch(matches, match, { winnerUserId, loserUserId, forfeit, now });
+    return { ok: true };
+};
+
+/**
+ * Jogos com adversários definidos e sessão ainda por criar
+ */
+const getReadyMatches = (matches) => matches.filter(match => match.status === MatchStatus.READY);
+
+/**
+ * Campeão (null enquanto a final não terminar)
+ */
+const getChampion = (matches) => {
+    const final = getFinalMatch(matches);
+    return final?.status === MatchStatus.FINISHED ? final.winnerUserId : null;
+};
+
+module.exports = {
+    BracketFormat,
+    MatchStatus,
+    MIN_PLAYERS,
+    seedOrder,
+    createBracket,
+    reportMatchResult,
+    getReadyMatches,
+    getFinalMatch,
+    getChampion,
+    findMatch
+};
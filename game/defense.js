@@ -0,0 +1,75 @@
+/**
+ * Validação de Defesas - Lógica autoritária do servidor
+ *
+ * O servidor decide se uma defesa é correta e quanto tempo restava,
+ * em vez de confiar nos valores enviados pelo cliente.
+ *
+ * Formato esperado do tema:
+ * {
+ *   id, titulo, tempo,
+ *   ataques: [{ id, nome }],
+ *   defesas: [{ id, nome }],
+ *   defesasValidas: { [ataqueId]: [defesaId, ...] }
+ * }
+ */
+
+// Tempo por ronda (segundos) quando o tema não define `tempo`
+const DEFAULT_ROUND_TIME = 30;
+
+/**
+ * Duração máxima de uma ronda para o tema, em segundos
+ */
+const getRoundTime = (theme) => Number(theme?.tempo) || DEFAULT_ROUND_TIME;
+
+/**
+ * Segundos restantes da ronda, calculados a partir do startTime do servidor
+ * @param {number} roundTime - Duração da ronda (por omissão a do tema)
+ */
+const getTimeRemaining = (theme, startTime, now = Date.now(), roundTime = getRoundTime(theme)) => {
+    if (!startTime) return 0;
+    const elapsed = (now - startTime) / 1000;
+    return Math.max(0, roundTime - elapsed);
+};
+
+/**
+ * Lista de IDs de defesa que neutralizam a ferramenta de ataque
+ */
+const getValidDefenses = (theme, attackToolId) => {
+    const validMap = theme?.defesasValidas || {};
+    const valid = validMap[String(attackToolId)];
+    return Array.isArray(valid) ? valid.map(String) : [];
+};
+
+/**
+ * Verifica se o ID pertence às ferramentas de ataque do tema
+ */
+const isAttackTool = (theme, toolId) =>
+    Array.isArray(theme?.ataques) && theme.ataques.some(tool => String(tool.id) === String(toolId));
+
+/**
+ * Verifica se o ID pertence às ferramentas de defesa do tema
+ */
+const isDefenseTool = (theme, toolId) =>
+    Array.isArray(theme?.defesas) && theme.defesas.some(tool => String(tool.id) === String(toolId));
+
+/**
+ * Avalia uma defesa do lado do servidor
+ * @returns {{ isCorrect: boolean, timeRemaining: number, responseTime: number }}
+ */
+const evaluateDefense = ({ theme, attackToolId, defenseToolId, startTime, now = Date.now(), roundTime }) => {
+    const isCorrect = getValidDefenses(theme, attackToolId).includes(String(defenseToolId));
+    const timeRemaining = getTimeRemaining(theme, startTime, now, roundTime);
+    const responseTime = startTime ? (now - startTime) / 1000 : 0;
+
+    return { isCorrect, timeRemaining, responseTime };
+};
+
+module.exports = {
+    DEFAULT_ROUND_TIME,
+    getRoundTime,
+    getTimeRemaining,
+    getValidDefenses,
+    isAttackTool,
+    isDefenseTool,
+    evaluateDefense
+};
@@ -0,0 +1,94 @@
+/**
+ * Lobbies - Códigos de sala e lista de salas abertas
+ *
+ * Funções puras sobre o estado dos jogos: geração de códigos curtos
+ * e fáceis de ditar, e filtro das salas públicas à espera de oponente.
+ */
+
+const crypto = require('crypto');
+const { GameStatus } = require('./stateMachine');
+
+// Sem caracteres ambíguos (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_CODE_ATTEMPTS = 20;
+
+/**
+ * Gera um código de sala que ainda não existe
+ * @param {Function} exists - (code) => boolean
+ */
+const generateRoomCode = (exists) => {
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+        let code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        if (!exists(code)) return code;
+    }
+    throw new Error('Não foi possível gerar um código de sala único');
+};
+
+/**
+ * Normaliza um código escrito pelo utilizador (maiúsculas, sem espaços)
+ */
+const normalizeRoomCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Lugar livre: ninguém ligado e sem utilizador reservado (reconexão)
+ */
+const isSeatFree = (seat) => !seat.connected && !seat.userId;
+
+/**
+ * Jogo de equipas com lugar livre numa das equipas
+ */
+const hasTeamSpace = (game) =>
+    Object.values(game.teams).some(team => team.members.length < game.teamMode.maxTeamSize);
+
+/**
+ * Sala pública em LOBBY: um jogador ligado e o outro lugar livre
+ * (equipas: aceitam membros até começar a primeira ronda)
+ */
+const isOpenLobby = (game) => {
+    if (game.isPrivate || game.locked) return false;
+    if (game.teams) {
+        return (game.status === GameStatus.LOBBY || game.status === GameStatus.READY) && hasTeamSpace(game);
+    }
+    if (game.status !== GameStatus.LOBBY) return false;
+    return (game.attacker.connected && isSeatFree(game.defender))
+        || (game.defender.connected && isSeatFree(game.attacker));
+};
+
+/**
+ * Resumo da sala para o browser de lobbies
+ */
+const toLobbySummary = (game) => ({
+    sessionId: game.sessionId,
+    hostName: game.hostName || null,
+    openRole: isSeatFree(game.attacker) ? 'attacker' : 'defender',
+    teamMode: game.teamMode?.decision || null,
+    teamSizes: game.teams
+        ? Object.fromEntries(Object.entries(game.teams).map(([name, team]) => [name, team.members.length]))
+        : null,
+    themeId: game.activeThemeId,
+    themeName: game.activeTheme?.titulo || null,
+    spectatorCount: game.spectatorCount || 0,
+    createdAt: game.createdAt
+});
+
+/**
+ * Lista de salas abertas (mais recentes primeiro)
+ * @param {Iterable} games - Estados dos jogos
+ */
+const listOpenLobbies = (games) =>
+    Array.from(games)
+        .filter(isOpenLobby)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(toLobbySummary);
+
+module.exports = {
+    generateRoomCode,
+    normalizeRoomCode,
+    isOpenLobby,
+    toLobbySummary,
+    listOpenLobbies
+};
@@ -0,0 +1,169 @@
+/**
+ * Matchmaking - Fila automática de jogadores
+ *
+ * Emparelha jogadores em espera, atribui papéis e escolhe o tema.
+ * Não conhece Socket.IO: recebe callbacks para os emparelhamentos
+ * e para os pedidos que expiram.
+ *
+ * Quando as entradas têm `rating`, só emparelha jogadores dentro de uma
+ * banda de skill que vai alargando com o tempo de espera.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULTS = {
+    timeoutMs: 120 * 1000, // Tempo máximo na fila
+    tickMs: 1000, // Frequência de verificação (alargar bandas, expirar pedidos)
+    baseBand: 100, // Diferença de rating aceite logo à entrada
+    bandGrowthPerSecond: 10, // Quanto a banda alarga por segundo de espera
+    maxBand: 1000
+};
+
+const randomBool = () => crypto.randomInt(2) === 1;
+
+/**
+ * Banda de skill aceite para uma entrada, em função do tempo de espera
+ */
+const getSkillBand = (entry, now, options = DEFAULTS) => {
+    const waitedSeconds = Math.max(0, (now - entry.joinedAt) / 1000);
+    return Math.min(options.maxBand, options.baseBand + waitedSeconds * options.bandGrowthPerSecond);
+};
+
+/**
+ * Verifica se duas entradas podem jogar juntas (skill band de ambos)
+ */
+const isSkillCompatible = (a, b, now, options = DEFAULTS) => {
+    if (!Number.isFinite(a.rating) || !Number.isFinite(b.rating)) return true;
+    const diff = Math.abs(a.rating - b.rating);
+    return diff <= getSkillBand(a, now, options) && diff <= getSkillBand(b, now, options);
+};
+
+/**
+ * Atribui papéis: respeita preferências diferentes, senão sorteia
+ * @returns {{ attacker: Object, defender: Object }}
+ */
+const assignRoles = (a, b, random = randomBool) => {
+    const pair = (attacker, defender) => ({ attacker, defender });
+    const sameWish = a.preferredRole && a.preferredRole === b.preferredRole;
+
+    if (a.preferredRole && !sameWish) {
+        return a.preferredRole === 'attacker' ? pair(a, b) : pair(b, a);
+    }
+    if (b.preferredRole && !sameWish) {
+        return b.preferredRole === 'attacker' ? pair(b, a) : pair(a, b);
+    }
+    return random() ? pair(a, b) : pair(b, a);
+};
+
+/**
+ * Escolhe o tema: preferência comum, senão a de um dos jogadores, senão aleatório
+ * @param {Array} themeIds - IDs disponíveis no catálogo
+ */
+const pickTheme = (a, b, themeIds, randomIndex = (n) => crypto.randomInt(n)) => {
+    const find = (id) => (id === undefined || id === null ? undefined : themeIds.find(t => String(t) === String(id)));
+    const prefA = find(a.themeId);
+    const prefB = find(b.themeId);
+
+    if (prefA !== undefined && prefA === prefB) return prefA;
+
+    const candidates = [prefA, prefB].filter(id => id !== undefined);
+    if (candidates.length > 0) return candidates[randomIndex(candidates.length)];
+
+    return themeIds.length > 0 ? themeIds[randomIndex(themeIds.length)] : null;
+};
+
+/**
+ * Custo de emparelhar duas entradas (menor é melhor)
+ */
+const matchCost = (a, b) => {
+    let cost = 0;
+    if (a.themeId && b.themeId && String(a.themeId) !== String(b.themeId)) cost += 1;
+    if (a.preferredRole && a.preferredRole === b.preferredRole) cost += 1;
+    if (Number.isFinite(a.rating) && Number.isFinite(b.rating)) cost += Math.abs(a.rating - b.rating) / 1000;
+    return cost;
+};
+
+/**
+ * Cria a fila de matchmaking
+ * @param {Object} options - { onMatch(a, b), onTimeout(entry), timeoutMs, tickMs, baseBand, bandGrowthPerSecond, maxBand }
+ */
+const createMatchmaker = ({ onMatch, onTimeout, ...overrides }) => {
+    const options = { ...DEFAULTS, ...overrides };
+    const queue = []; // Ordem de chegada
+    let interval = null;
+
+    /**
+     * Remove a entrada de um socket (cancelamento ou desconexão)
+     */
+    const cancel = (socketId) => {
+        const index = queue.findIndex(entry => entry.socketId === socketId);
+        if (index === -1) return null;
+        return queue.splice(index, 1)[0];
+    };
+
+    /**
+     * Expira pedidos antigos e emparelha o que for possível
+     */
+    const processQueue = (now = Date.now()) => {
+        for (const entry of queue.filter(e => now - e.joinedAt >= options.timeoutMs)) {
+            cancel(entry.socketId);
+            onTimeout(entry);
+        }
+
+        // O mais antigo escolhe primeiro o melhor parceiro compatível
+        let i = 0;
+        while (i < queue.length) {
+            const a = queue[i];
+            const partners = queue
+                .slice(i + 1)
+                .filter(b => b.userId !== a.userId && isSkillCompatible(a, b, now, options))
+                .sort((x, y) => matchCost(a, x) - matchCost(a, y));
+
+            if (partners.length === 0) {
+                i++;
+                continue;
+            }
+
+            const b = partners[0];
+            cancel(a.socketId);
+            cancel(b.socketId);
+            onMatch(a, b);
+        }
+    };
+
+    /**
+     * Adiciona (ou atualiza) um jogador na fila e tenta emparelhar
+     * @param {Object} entry - { socketId, userId, preferredRole, themeId, rating }
+     */
+    const enqueue = (entry, now = Date.now()) => {
+        // Um utilizador só pode estar uma vez na fila
+        const existing = queue.find(e => e.userId === entry.userId);
+        if (existing) cancel(existing.socketId);
+
+        queue.push({ ...entry, joinedAt: now });
+        processQueue(now);
+    };
+
+    const has = (socketId) => queue.some(entry => entry.socketId === socketId);
+
+    const size = () => queue.length;
+
+    const start = () => {
+        if (!interval) interval = setInterval(() => processQueue(), options.tickMs);
+    };
+
+    const stop = () => {
+        clearInterval(interval);
+        interval = null;
+    };
+
+    return { enqueue, cancel, has, size, processQueue, start, stop };
+};
+
+module.exports = {
+    createMatchmaker,
+    assignRoles,
+    pickTheme,
+    getSkillBand,
+    isSkillCompatible
+};
@@ -0,0 +1,68 @@
+/**
+ * Temporizadores de Ronda - Relógio autoritário do servidor
+ *
+ * Um temporizador por sessão: emite ticks periódicos e chama onExpire
+ * quando o prazo da ronda termina, sem depender dos clientes.
+ */
+
+const DEFAULT_TICK_MS = 1000;
+
+/**
+ * Cria o gestor de temporizadores
+ * @param {Object} options - { onTick(sessionId, msRemaining), onExpire(sessionId), tickMs }
+ */
+const createRoundTimers = ({ onTick, onExpire, tickMs = DEFAULT_TICK_MS }) => {
+    // sessionId -> { deadline, interval, timeout }
+    const timers = new Map();
+
+    /**
+     * Cancela o temporizador de uma sessão (se existir)
+     */
+    const clear = (sessionId) => {
+        const timer = timers.get(sessionId);
+        if (!timer) return;
+        clearInterval(timer.interval);
+        clearTimeout(timer.timeout);
+        timers.delete(sessionId);
+    };
+
+    /**
+     * Inicia (ou reinicia) o temporizador da sessão até ao deadline indicado
+     */
+    const start = (sessionId, deadline) => {
+        clear(sessionId);
+
+        const timer = { deadline };
+
+        timer.interval = setInterval(() => {
+            const msRemaining = Math.max(0, deadline - Date.now());
+            if (onTick) onTick(sessionId, msRemaining);
+        }, tickMs);
+
+        timer.timeout = setTimeout(() => {
+            clear(sessionId);
+            onExpire(sessionId);
+        }, Math.max(0, deadline - Date.now()));
+
+        timers.set(sessionId, timer);
+        return deadline;
+    };
+
+    /**
+     * Deadline ativo da sessão (ou null)
+     */
+    const getDeadline = (sessionId) => timers.get(sessionId)?.deadline ?? null;
+
+    /**
+     * Cancela todos os temporizadores (shutdown)
+     */
+    const clearAll = () => {
+        for (const sessionId of Array.from(timers.keys())) {
+            clear(sessionId);
+        }
+    };
+
+    return { start, clear, getDeadline, clearAll };
+};
+
+module.exports = { createRoundTimers, DEFAULT_TICK_MS };
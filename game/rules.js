@@ -0,0 +1,158 @@
+/**
+ * Regras do Jogo - Configuração por sessão
+ *
+ * O anfitrião pode ajustar as regras ao criar a sessão. Tudo o que não
+ * for indicado fica com o valor por omissão (as regras originais do jogo).
+ * A validação segue um schema declarativo: tipo, limites e se aceita null.
+ */
+
+const { DEFAULT_ROUND_TIME } = require('./defense');
+
+const DEFAULT_RULES = Object.freeze({
+    roundsPerTheme: 3,
+    themesPerMatch: null, // null = todos os temas do catálogo
+    winnerChoosesRole: true, // Vencedor da ronda escolhe o próximo papel (choose_next_role)
+    scoring: Object.freeze({
+        base: 100, // Pontos por defesa certa
+        timeBonus: 200, // Máximo de bónus pelo tempo restante
+        streakBonus: 50, // Por cada defesa certa seguida anterior
+        attackerBreachReward: 150, // Atacante quando a defesa falha
+        attackerTimeoutReward: 200 // Atacante quando o tempo esgota
+    }),
+    time: Object.freeze({
+        fallbackSeconds: DEFAULT_ROUND_TIME, // Temas sem `tempo`
+        roundSeconds: null, // Substitui o tempo de todos os temas
+        themeSeconds: Object.freeze({}) // { [themeId]: segundos } por tema
+    })
+});
+
+// Schema: caminho -> { type, min, max, nullable }
+const RULES_SCHEMA = {
+    roundsPerTheme: { type: 'integer', min: 1, max: 10 },
+    themesPerMatch: { type: 'integer', min: 1, max: 100, nullable: true },
+    winnerChoosesRole: { type: 'boolean' },
+    'scoring.base': { type: 'integer', min: 0, max: 10000 },
+    'scoring.timeBonus': { type: 'integer', min: 0, max: 10000 },
+    'scoring.streakBonus': { type: 'integer', min: 0, max: 10000 },
+    'scoring.attackerBreachReward': { type: 'integer', min: 0, max: 10000 },
+    'scoring.attackerTimeoutReward': { type: 'integer', min: 0, max: 10000 },
+    'time.fallbackSeconds': { type: 'number', min: 5, max: 600 },
+    'time.roundSeconds': { type: 'number', min: 5, max: 600, nullable: true },
+    'time.themeSeconds': { type: 'map', min: 5, max: 600 }
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => node[key], object);
+    target[last] = value;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Valida um valor contra a regra do schema
+ * @returns {string|null} Mensagem de erro
+ */
+const checkValue = (path, value, spec) => {
+    if (value === null) {
+        return spec.nullable ? null : `"${path}" não pode ser null`;
+    }
+    const inRange = (n) => n >= spec.min && n <= spec.max;
+
+    switch (spec.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `"${path}" deve ser true/false`;
+        case 'integer':
+            return Number.isInteger(value) && inRange(value)
+                ? null
+                : `"${path}" deve ser um inteiro entre ${spec.min} e ${spec.max}`;
+        case 'number':
+            return Number.isFinite(value) && inRange(value)
+                ? null
+                : `"${path}" deve ser um número entre ${spec.min} e ${spec.max}`;
+        case 'map':
+            if (!isPlainObject(value)) return `"${path}" deve ser um objeto { id: valor }`;
+            return Object.values(value).every(v => Number.isFinite(v) && inRange(v))
+                ? null
+                : `"${path}" deve ter valores entre ${spec.min} e ${spec.max}`;
+        default:
+            return `"${path}" tem um tipo desconhecido`;
+    }
+};
+
+/**
+ * Valida regras parciais e completa com os valores por omissão
+ * @param {Object} input - Regras pedidas (parciais)
+ * @param {Object} base - Regras de partida (por omissão DEFAULT_RULES)
+ * @returns {{ ok: true, rules: Object } | { ok: false, errors: string[] }}
+ */
+const resolveRules = (input = {}, base = DEFAULT_RULES) => {
+    if (input === null || input === undefined) input = {};
+    if (!isPlainObject(input)) {
+        return { ok: false, errors: ['As regras devem ser um objeto'] };
+    }
+
+    const errors = [];
+    const knownRoots = new Set(Object.keys(RULES_SCHEMA).map(path => path.split('.')[0]));
+    Object.keys(input).forEach(key => {
+        if (!knownRoots.has(key)) errors.push(`Regra desconhecida: "${key}"`);
+    });
+    ['scoring', 'time'].forEach(group => {
+        if (input[group] !== undefined && !isPlainObject(input[group])) {
+            errors.push(`"${group}" deve ser um objeto`);
+        }
+    });
+
+    const rules = JSON.parse(JSON.stringify(base));
+    Object.entries(RULES_SCHEMA).forEach(([path, spec]) => {
+        const value = getPath(input, path);
+        if (value === undefined) return;
+        const error = checkValue(path, value, spec);
+        if (error) errors.push(error);
+        else setPath(rules, path, value);
+    });
+
+    return errors.length > 0 ? { ok: false, errors } : { ok: true, rules };
+};
+
+/**
+ * Regras de um jogo (sessões antigas sem regras usam as por omissão)
+ */
+const getRules = (game) => game?.rules || DEFAULT_RULES;
+
+/**
+ * Duração da ronda para o tema segundo as regras, em segundos
+ */
+const getRuleRoundTime = (rules, theme) => {
+    const { time } = rules;
+    const themeOverride = theme ? time.themeSeconds?.[String(theme.id)] : undefined;
+    return themeOverride || time.roundSeconds || Number(theme?.tempo) || time.fallbackSeconds;
+};
+
+/**
+ * Pontos de uma defesa
+ */
+const calculateScore = (rules, { timeRemaining, maxTime, correct, streak }) => {
+    if (!correct) return 0;
+    const { base, timeBonus, streakBonus } = rules.scoring;
+    return base + Math.round((timeRemaining / maxTime) * timeBonus) + streak * streakBonus;
+};
+
+/**
+ * Número de temas que termina o jogo (limitado ao catálogo)
+ */
+const getThemesPerMatch = (rules, catalogSize) =>
+    rules.themesPerMatch ? Math.min(rules.themesPerMatch, catalogSize) : catalogSize;
+
+module.exports = {
+    DEFAULT_RULES,
+    RULES_SCHEMA,
+    resolveRules,
+    getRules,
+    getRuleRoundTime,
+    calculateScore,
+    getThemesPerMatch
+};
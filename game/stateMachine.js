@@ -0,0 +1,215 @@
+/**
+ * Máquina de Estados do Jogo
+ *
+ * Define os estados (GameStatus), os eventos que os alteram e que papel
+ * pode disparar cada evento. Módulo puro: não depende de Socket.IO nem do
+ * estado global, recebe o estado atual e devolve o resultado da transição.
+ *
+ * Fluxo principal:
+ * LOBBY → READY → ATTACKING → DEFENDED/BREACHED → ATTACKING/THEME_COMPLETED → GAME_FINISHED
+ *
+ * Qualquer estado de jogo ativo pode passar a PAUSED quando um jogador cai;
+ * volta ao estado anterior (RESUME) ou termina por desistência (FORFEIT).
+ */
+
+// Estados possíveis do jogo
+const GameStatus = {
+    LOBBY: 'LOBBY',
+    READY: 'READY',
+    ATTACKING: 'ATTACKING',
+    DEFENDED: 'DEFENDED',
+    BREACHED: 'BREACHED',
+    THEME_COMPLETED: 'THEME_COMPLETED', // Fim das rondas do tema
+    GAME_FINISHED: 'GAME_FINISHED', // Todos os temas jogados
+    PAUSED: 'PAUSED' // Jogador desconectado, à espera da reconexão
+};
+
+// Eventos que provocam transições
+const GameEvent = {
+    PLAYER_JOINED: 'PLAYER_JOINED',
+    PLAYER_KICKED: 'PLAYER_KICKED', // Anfitrião expulsa um jogador antes de o jogo começar
+    START_GAME: 'START_GAME',
+    EXECUTE_ATTACK: 'EXECUTE_ATTACK',
+    EXECUTE_DEFENSE: 'EXECUTE_DEFENSE',
+    TIME_EXPIRED: 'TIME_EXPIRED',
+    NEXT_ROUND: 'NEXT_ROUND',
+    FINISH_GAME: 'FINISH_GAME',
+    PAUSE: 'PAUSE',
+    RESUME: 'RESUME',
+    FORFEIT: 'FORFEIT',
+    REPLAY: 'REPLAY',
+    RESET: 'RESET',
+    ADMIN_END: 'ADMIN_END' // Operador termina o jogo (API de administração)
+};
+
+// Quem dispara o evento: um dos jogadores ou o próprio servidor
+const Role = {
+    ATTACKER: 'attacker',
+    DEFENDER: 'defender',
+    SYSTEM: 'system'
+};
+
+// Códigos de erro devolvidos aos clientes
+const TransitionError = {
+    ILLEGAL_TRANSITION: 'ILLEGAL_TRANSITION',
+    ROLE_NOT_ALLOWED: 'ROLE_NOT_ALLOWED'
+};
+
+const PLAYERS = [Role.ATTACKER, Role.DEFENDER];
+const ANYONE = [Role.ATTACKER, Role.DEFENDER, Role.SYSTEM];
+
+// Destino depende de ambos os jogadores estarem ligados
+const lobbyOrReady = (context) => (context.bothConnected ? GameStatus.READY : GameStatus.LOBBY);
+
+// Estados de jogo ativo que podem ser pausados
+const PAUSABLE = [
+    GameStatus.READY,
+    GameStatus.ATTACKING,
+    GameStatus.DEFENDED,
+    GameStatus.BREACHED,
+    GameStatus.THEME_COMPLETED
+];
+
+const PAUSE_RULE = { to: GameStatus.PAUSED, roles: [Role.SYSTEM] };
+
+/**
+ * Tabela de transições: estado -> evento -> { to, roles, guard? }
+ * `to` pode ser um estado fixo ou uma função do contexto.
+ * `guard` (opcional) tem de devolver true para a transição ser legal.
+ */
+const TRANSITIONS = {
+    [GameStatus.LOBBY]: {
+        [GameEvent.PLAYER_JOINED]: { to: lobbyOrReady, roles: PLAYERS },
+        [GameEvent.PLAYER_KICKED]: { to: lobbyOrReady, roles: [Role.SYSTEM] },
+        [GameEvent.START_GAME]: { to: lobbyOrReady, roles: PLAYERS },
+        [GameEvent.RESET]: { to: GameStatus.LOBBY, roles: ANYONE }
+    },
+    [GameStatus.READY]: {
+        [GameEvent.PLAYER_JOINED]: { to: lobbyOrReady, roles: PLAYERS },
+        [GameEvent.PLAYER_KICKED]: { to: lobbyOrReady, roles: [Role.SYSTEM] },
+        [GameEvent.START_GAME]: { to: lobbyOrReady, roles: PLAYERS },
+        [GameEvent.EXECUTE_ATTACK]: { to: GameStatus.ATTACKING, roles: [Role.ATTACKER] },
+        [GameEvent.RESET]: { to: GameStatus.LOBBY, roles: ANYONE }
+    },
+    [GameStatus.ATTACKING]: {
+        // Nova ronda começa em ATTACKING à espera da ferramenta do atacante
+        [GameEvent.EXECUTE_ATTACK]: {
+            to: GameStatus.ATTACKING,
+            roles: [Role.ATTACKER],
+            guard: (context) => !context.attackLaunched
+        },
+        [GameEvent.EXECUTE_DEFENSE]: {
+            to: (context) => (context.isCorrect ? GameStatus.DEFENDED : GameStatus.BREACHED),
+            roles: [Role.DEFENDER],
+            guard: (context) => Boolean(context.attackLaunched)
+        },
+        [GameEvent.TIME_EXPIRED]: {
+            to: GameStatus.BREACHED,
+            roles: ANYONE,
+            guard: (context) => Boolean(context.attackLaunched)
+        },
+        [GameEvent.RESET]: { to: GameStatus.LOBBY, roles: ANYONE }
+    },
+    [GameStatus.DEFENDED]: {
+        [GameEvent.NEXT_ROUND]: {
+            to: (context) => (context.themeCompleted ? GameStatus.THEME_COMPLETED : GameStatus.ATTACKING),
+            roles: PLAYERS
+        },
+        [GameEvent.RESET]: { to: GameStatus.LOBBY, roles: ANYONE }
+    },
+    [GameStatus.BREACHED]: {
+        [GameEvent.NEXT_ROUND]: {
+            to: (context) => (context.themeCompleted ? GameStatus.THEME_COMPLETED : GameStatus.ATTACKING),
+            roles: PLAYERS
+        },
+        [GameEvent.RESET]: { to: GameStatus.LOBBY, roles: ANYONE }
+    },
+    [GameStatus.THEME_COMPLETED]: {
+        [GameEvent.START_GAME]: { to: lobbyOrReady, roles: PLAYERS },
+        [GameEvent.FINISH_GAME]: { to: GameStatus.GAME_FINISHED, roles: [Role.SYSTEM] },
+        [GameEvent.REPLAY]: { to: GameStatus.READY, roles: PLAYERS },
+        [GameEvent.RESET]: { to: GameStatus.LOBBY, roles: ANYONE }
+    },
+    [GameStatus.GAME_FINISHED]: {
+        [GameEvent.START_GAME]: { to: lobbyOrReady, roles: PLAYERS },
+        [GameEvent.REPLAY]: { to: GameStatus.READY, roles: PLAYERS },
+        [GameEvent.RESET]: { to: GameStatus.LOBBY, roles: ANYONE }
+    },
+    [GameStatus.PAUSED]: {
+        // Regressa exatamente ao estado em que o jogo foi pausado
+        [GameEvent.RESUME]: {
+            to: (context) => context.resumeStatus,
+            roles: [Role.SYSTEM],
+            guard: (context) => PAUSABLE.includes(context.resumeStatus)
+        },
+        [GameEvent.FORFEIT]: { to: GameStatus.GAME_FINISHED, roles: [Role.SYSTEM] },
+        [GameEvent.RESET]: { to: GameStatus.LOBBY, roles: ANYONE }
+    }
+};
+
+PAUSABLE.forEach(status => {
+    TRANSITIONS[status][GameEvent.PAUSE] = PAUSE_RULE;
+});
+
+// O operador pode terminar qualquer jogo que ainda não tenha acabado
+Object.keys(TRANSITIONS)
+    .filter(status => status !== GameStatus.GAME_FINISHED)
+    .forEach(status => {
+        TRANSITIONS[status][GameEvent.ADMIN_END] = { to: GameStatus.GAME_FINISHED, roles: [Role.SYSTEM] };
+    });
+
+/**
+ * Calcula a transição para um evento. O papel é verificado antes do guard:
+ * um papel que nunca pode fazer a ação recebe ROLE_NOT_ALLOWED.
+ * @param {string} status - Estado atual
+ * @param {string} event - Evento (GameEvent)
+ * @param {Object} options - { role, context }
+ * @returns {{ ok: true, from, to } | { ok: false, code, message }}
+ */
+const transition = (status, event, { role = Role.SYSTEM, context = {} } = {}) => {
+    const rule = TRANSITIONS[status]?.[event];
+    const illegal = {
+        ok: false,
+        code: TransitionError.ILLEGAL_TRANSITION,
+        message: `Ação ${event} não permitida no estado ${status}`
+    };
+
+    if (!rule) return illegal;
+
+    if (!rule.roles.includes(role)) {
+        return {
+            ok: false,
+            code: TransitionError.ROLE_NOT_ALLOWED,
+            message: `O papel ${role || 'desconhecido'} não pode executar ${event}`
+        };
+    }
+
+    if (rule.guard && !rule.guard(context)) return illegal;
+
+    const to = typeof rule.to === 'function' ? rule.to(context) : rule.to;
+    return { ok: true, from: status, to };
+};
+
+/**
+ * Indica se o evento é legal no estado atual para o papel indicado
+ */
+const canTransition = (status, event, options) => transition(status, event, options).ok;
+
+/**
+ * Lista os eventos que um papel pode disparar num estado (ignora guards)
+ */
+const allowedEvents = (status, role) =>
+    Object.entries(TRANSITIONS[status] || {})
+        .filter(([, rule]) => rule.roles.includes(role))
+        .map(([event]) => event);
+
+module.exports = {
+    GameStatus,
+    GameEvent,
+    Role,
+    TransitionError,
+    TRANSITIONS,
+    transition,
+    canTransition,
+    allowedEvents
+};
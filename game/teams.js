@@ -0,0 +1,206 @@
+/**
+ * Modo de Equipas - Vários atacantes contra vários defensores
+ *
+ * Cada equipa (red/blue) é uma lista de membros com um capitão. As equipas
+ * trocam de lado (atacante/defensor) em bloco. Os lugares `attacker` e
+ * `defender` do jogo espelham o capitão de cada lado, por isso a pausa, a
+ * desistência e o resto do fluxo 1v1 continuam a funcionar sem alterações.
+ *
+ * A jogada da equipa é decidida por um de três modos:
+ * - captain: só conta a escolha do capitão (as outras são sugestões)
+ * - first:   a primeira escolha de qualquer membro conta
+ * - vote:    maioria dos membros ligados; no fim do prazo ganha a mais votada
+ */
+
+const TEAM_NAMES = ['red', 'blue'];
+
+const DecisionMode = {
+    CAPTAIN: 'captain',
+    FIRST: 'first',
+    VOTE: 'vote'
+};
+
+const DEFAULT_TEAM_MODE = Object.freeze({
+    decision: DecisionMode.CAPTAIN,
+    voteSeconds: 10, // Prazo da votação depois do primeiro voto
+    maxTeamSize: 5
+});
+
+/**
+ * Valida a configuração do modo de equipas (parcial, com valores por omissão)
+ * @returns {{ ok: true, teamMode: Object } | { ok: false, errors: string[] }}
+ */
+const resolveTeamMode = (input) => {
+    const options = input === true ? {} : input;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return { ok: false, errors: ['"team" deve ser um objeto'] };
+    }
+
+    const teamMode = { ...DEFAULT_TEAM_MODE, ...options };
+    const errors = [];
+    if (!Object.values(DecisionMode).includes(teamMode.decision)) {
+        errors.push(`"decision" deve ser ${Object.values(DecisionMode).join(', ')}`);
+    }
+    if (!Number.isFinite(teamMode.voteSeconds) || teamMode.voteSeconds < 3 || teamMode.voteSeconds > 60) {
+        errors.push('"voteSeconds" deve ser um número entre 3 e 60');
+    }
+    if (!Number.isInteger(teamMode.maxTeamSize) || teamMode.maxTeamSize < 1 || teamMode.maxTeamSize > 5) {
+        errors.push('"maxTeamSize" deve ser um inteiro entre 1 e 5');
+    }
+
+    const { decision, voteSeconds, maxTeamSize } = teamMode;
+    return errors.length > 0 ? { ok: false, errors } : { ok: true, teamMode: { decision, voteSeconds, maxTeamSize } };
+};
+
+/**
+ * Equipas vazias e lados iniciais (red ataca)
+ */
+const createTeams = () => ({
+    teams: {
+        red: { captainUserId: null, members: [] },
+        blue: { captainUserId: null, members: [] }
+    },
+    sides: { attacker: 'red', defender: 'blue' }
+});
+
+/**
+ * Procura o membro por socket (ou userId) em qualquer equipa
+ * @returns {{ teamName, member } | null}
+ */
+const findMember = (game, { socketId, userId }) => {
+    for (const teamName of TEAM_NAMES) {
+        const member = game.teams[teamName].members.find(m =>
+            (socketId && m.socketId === socketId) || (userId && m.userId === userId));
+        if (member) return { teamName, member };
+    }
+    return null;
+};
+
+/**
+ * Lado ('attacker' | 'defender') em que a equipa está a jogar
+ */
+const getTeamSide = (game, teamName) => (game.sides.attacker === teamName ? 'attacker' : 'defender');
+
+/**
+ * Papel de um socket num jogo de equipas (ou null)
+ */
+const getTeamRole = (game, socketId) => {
+    const found = findMember(game, { socketId });
+    return found ? getTeamSide(game, found.teamName) : null;
+};
+
+/**
+ * Equipa com menos membros (para entradas sem equipa escolhida)
+ */
+const pickTeamToJoin = (game) => {
+    const [red, blue] = TEAM_NAMES.map(name => game.teams[name].members.length);
+    return blue < red ? 'blue' : 'red';
+};
+
+/**
+ * Passa a capitania a outro membro ligado se o capitão atual saiu
+ */
+const promoteCaptain = (team) => {
+    const captain = team.members.find(m => m.userId === team.captainUserId);
+    if (captain?.connected) return false;
+    const next = team.members.find(m => m.connected);
+    if (!next) return false;
+    team.captainUserId = next.userId;
+    return true;
+};
+
+/**
+ * Atualiza os lugares attacker/defender a partir do capitão de cada lado.
+ * O lugar está ligado enquanto houver pelo menos um membro ligado.
+ */
+const syncSeats = (game) => {
+    ['attacker', 'defender'].forEach(side => {
+        const team = game.teams[game.sides[side]];
+        const captain = team.members.find(m => m.userId === team.captainUserId) || null;
+        game[side] = {
+            socketId: captain?.socketId || null,
+            userId: captain?.userId || null,
+            connected: team.members.some(m => m.connected)
+        };
+    });
+};
+
+/**
+ * Troca os lados das duas equipas
+ */
+const swapSides = (game) => {
+    game.sides = { attacker: game.sides.defender, defender: game.sides.attacker };
+    syncSeats(game);
+};
+
+/**
+ * IDs de todos os membros das equipas
+ */
+const getAllMemberIds = (game) =>
+    TEAM_NAMES.flatMap(name => game.teams[name].members.map(m => m.userId)).filter(Boolean);
+
+/**
+ * Conta votos: { toolId: [userId, ...] }
+ */
+const tallyVotes = (votes) => {
+    const tally = {};
+    Object.entries(votes).forEach(([userId, toolId]) => {
+        const key = String(toolId);
+        (tally[key] = tally[key] || []).push(userId);
+    });
+    return tally;
+};
+
+/**
+ * Decide o resultado de uma votação
+ * @param {Object} votes - userId -> toolId
+ * @param {number} voters - Membros ligados da equipa
+ * @param {string} captainUserId - Desempata no fim do prazo
+ * @param {boolean} final - Prazo terminou (ganha a mais votada)
+ * @returns {{ toolId, userIds } | null} null enquanto não houver decisão
+ */
+const decideVote = (votes, voters, captainUserId, final = false) => {
+    const entries = Object.entries(tallyVotes(votes)).sort((a, b) => b[1].length - a[1].length);
+    if (entries.length === 0) return null;
+
+    const [toolId, userIds] = entries[0];
+    if (userIds.length > voters / 2) return { toolId, userIds };
+    if (!final) return null;
+
+    // Empate no fim do prazo: vale a opção do capitão, senão a primeira
+    const tied = entries.filter(([, ids]) => ids.length === userIds.length);
+    const captainChoice = tied.find(([, ids]) => ids.includes(captainUserId));
+    const [chosenTool, chosenIds] = captainChoice || tied[0];
+    return { toolId: chosenTool, userIds: chosenIds };
+};
+
+/**
+ * Membros (sem socketId) para enviar aos clientes
+ */
+const toPublicTeams = (game) => Object.fromEntries(TEAM_NAMES.map(name => {
+    const team = game.teams[name];
+    return [name, {
+        side: getTeamSide(game, name),
+        captainUserId: team.captainUserId,
+        members: team.members.map(({ userId, name: memberName, connected }) => ({ userId, name: memberName, connected }))
+    }];
+}));
+
+module.exports = {
+    TEAM_NAMES,
+    DecisionMode,
+    DEFAULT_TEAM_MODE,
+    resolveTeamMode,
+    createTeams,
+    findMember,
+    getTeamSide,
+    getTeamRole,
+    pickTeamToJoin,
+    promoteCaptain,
+    syncSeats,
+    swapSides,
+    getAllMemberIds,
+    tallyVotes,
+    decideVote,
+    toPublicTeams
+};
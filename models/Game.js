@@ -10,7 +10,7 @@ const mongoose = require('mongoose');
 // Schema para cada ronda jogada
 const RoundSchema = new mongoose.Schema({
     round: { type: Number, required: true },
-    themeId: { type: String },
+    themeId: { type: mongoose.Schema.Types.Mixed }, // Número ou string, como no catálogo
     themeName: { type: String },
     attackerTool: { type: String },
     defenderTool: { type: String },
@@ -18,7 +18,18 @@ const RoundSchema = new mongoose.Schema({
     responseTime: { type: Number }, // em segundos
     scoreGained: { type: Number, default: 0 },
     winner: { type: String, enum: ['attacker', 'defender'] },
+    attackerUserId: { type: String }, // Quem jogou cada papel nesta ronda
+    defenderUserId: { type: String },
+    winnerSocketId: { type: String },
+    winnerUserId: { type: String },
+    // Jogos de equipas: equipa de cada lado e membros que decidiram cada jogada
+    attackerTeam: { type: String },
+    defenderTeam: { type: String },
+    attackerContributorIds: { type: [String], default: undefined },
+    defenderContributorIds: { type: [String], default: undefined },
     timedOut: { type: Boolean, default: false },
+    forfeit: { type: Boolean, default: false }, // Jogo terminado por desistência (sem reconexão)
+    forfeitUserIds: [{ type: String }],
     timestamp: { type: Date, default: Date.now }
 });
 
@@ -35,30 +46,38 @@ const GameSchema = new mongoose.Schema({
     // Estado atual do jogo
     status: {
         type: String,
-        enum: ['LOBBY', 'READY', 'ATTACKING', 'DEFENDED', 'BREACHED'],
+        enum: ['LOBBY', 'READY', 'ATTACKING', 'DEFENDED', 'BREACHED', 'THEME_COMPLETED', 'GAME_FINISHED', 'PAUSED'],
         default: 'LOBBY'
     },
+    // Versão do estado (aumenta a cada alteração enviada aos clientes)
+    version: { type: Number, default: 0 },
 
     // Tema ativo
-    activeThemeId: { type: String },
+    activeThemeId: { type: mongoose.Schema.Types.Mixed },
     activeTheme: { type: mongoose.Schema.Types.Mixed },
 
-    // Jogadores (Socket IDs)
+    // Jogadores (Socket IDs e identificador persistente do utilizador)
     attacker: {
         socketId: { type: String },
-        connected: { type: Boolean, default: false }
+        userId: { type: String },
+        connected: { type: Boolean, default: false },
+        bot: { type: String } // Dificuldade, se o lugar for de um bot
     },
     defender: {
         socketId: { type: String },
-        connected: { type: Boolean, default: false }
+        userId: { type: String },
+        connected: { type: Boolean, default: false },
+        bot: { type: String }
     },
 
     // Estado da ronda atual
     currentRound: {
         attackerTool: { type: String },
+        attackerContributorIds: { type: [String], default: undefined }, // Equipas: quem decidiu o ataque
         defenderTool: { type: String },
         startTime: { type: Date },
-        endTime: { type: Date }
+        endTime: { type: Date },
+        deadline: { type: Date }
     },
 
     // Pontuações
@@ -68,6 +87,47 @@ const GameSchema = new mongoose.Schema({
     totalRounds: { type: Number, default: 0 },
     streak: { type: Number, default: 0 },
 
+    // Progresso por tema
+    playedThemes: [{ type: mongoose.Schema.Types.Mixed }],
+    themeRoundCount: { type: Number, default: 0 },
+
+    // Regras da sessão (game/rules.js); sessões antigas sem regras usam as por omissão
+    rules: { type: mongoose.Schema.Types.Mixed },
+
+    // Anfitrião (criador) e definições da sala
+    hostUserId: { type: String },
+    hostName: { type: String },
+    createdBy: { type: mongoose.Schema.Types.Mixed }, // { userId, ip } para o limite de salas por cliente
+    isPrivate: { type: Boolean, default: false },
+    allowSpectators: { type: Boolean, default: true },
+    matchmade: { type: Boolean, default: false }, // Criada pela fila de matchmaking
+    botGame: { type: Boolean, default: false }, // Jogo contra bot (fora dos rankings)
+    ratedRounds: { type: Number, default: 0 }, // Rondas já arquivadas e contabilizadas nos ratings
+
+    // Modo de equipas (game/teams.js): null nos jogos 1v1
+    teamMode: { type: mongoose.Schema.Types.Mixed, default: null },
+    teams: { type: mongoose.Schema.Types.Mixed, default: null },
+    sides: { type: mongoose.Schema.Types.Mixed, default: null },
+    teamVote: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    // Controlo do anfitrião: sala trancada, expulsos, pedido à espera do adversário e registo de ações
+    locked: { type: Boolean, default: false },
+    kickedUserIds: [{ type: String }],
+    consentRequest: { type: mongoose.Schema.Types.Mixed, default: null },
+    hostLog: [{ type: mongoose.Schema.Types.Mixed }],
+
+    // Pausa por desconexão: { resumeStatus, pausedAt, graceDeadline, msRemaining }
+    pause: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    // Vencedores
+    themeWinnerUserId: { type: String },
+    globalWinnerUserId: { type: String },
+    globalWinnerTeam: { type: String, default: null },
+    finalScores: { type: mongoose.Schema.Types.Mixed },
+
+    // Jogo de torneio: { tournamentId, matchId, topSeedUserId, noShowDeadline, reported }
+    tournament: { type: mongoose.Schema.Types.Mixed, default: null },
+
     // Histórico de rondas
     history: [RoundSchema],
 
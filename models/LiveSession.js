@@ -0,0 +1,28 @@
+/**
+ * Modelo de Sessão Partilhada - MongoDB Schema
+ *
+ * Estado de um jogo em curso partilhado por várias instâncias do servidor
+ * (SESSION_STORE=mongo). O lock indica que instância está a alterar a sessão.
+ */
+
+const mongoose = require('mongoose');
+
+const LiveSessionSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    // Estado completo do jogo (null enquanto só existir o lock)
+    state: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    lockToken: { type: String, default: null },
+    lockedUntil: { type: Number, default: 0 },
+
+    updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+LiveSessionSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 3600 }); // Expira após 1 hora
+
+module.exports = mongoose.model('LiveSession', LiveSessionSchema);
@@ -0,0 +1,42 @@
+/**
+ * Modelo de Jogo Arquivado - MongoDB Schema
+ *
+ * Cópia permanente de cada jogo terminado (as sessões expiram pelo TTL).
+ * As rondas usam o mesmo schema do histórico das sessões.
+ */
+
+const mongoose = require('mongoose');
+const Game = require('./Game');
+
+const RoundSchema = Game.schema.path('history').schema;
+
+const MatchSchema = new mongoose.Schema({
+    matchId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    sessionId: { type: String },
+    finishedAt: { type: Date, default: Date.now, index: true },
+
+    players: [{
+        _id: false,
+        userId: { type: String, required: true },
+        name: { type: String }
+    }],
+
+    winnerUserId: { type: String, default: null },
+    finalScores: { type: mongoose.Schema.Types.Mixed },
+    forfeit: { type: Boolean, default: false },
+    botGame: { type: Boolean, default: false }, // Contra um bot: fora dos rankings e das analytics
+    teams: { type: mongoose.Schema.Types.Mixed, default: null }, // Equipas: { red: [userId], blue: [userId] }
+    winnerTeam: { type: String, default: null },
+    themes: [{ type: mongoose.Schema.Types.Mixed }],
+    rounds: [RoundSchema]
+});
+
+// Jogos de um jogador por data
+MatchSchema.index({ 'players.userId': 1, finishedAt: -1 });
+
+module.exports = mongoose.model('Match', MatchSchema);
@@ -0,0 +1,57 @@
+/**
+ * Modelo de Rating - MongoDB Schema
+ *
+ * Rating ELO de cada jogador: geral e por papel (atacante/defensor).
+ * RatingChange guarda a variação de cada jogo para as classificações
+ * por janela temporal.
+ */
+
+const mongoose = require('mongoose');
+
+// Rating e contadores de um papel
+const RoleRatingSchema = new mongoose.Schema({
+    rating: { type: Number, default: 1500 },
+    games: { type: Number, default: 0 },
+    wins: { type: Number }, // Só no rating geral
+    losses: { type: Number },
+    draws: { type: Number },
+    rounds: { type: Number }, // Só nos ratings por papel
+    roundsWon: { type: Number },
+    lastPlayedAt: { type: Date, default: null }
+}, { _id: false });
+
+const RatingSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    name: { type: String },
+
+    overall: { type: RoleRatingSchema, default: () => ({}) },
+    attacker: { type: RoleRatingSchema, default: () => ({}) },
+    defender: { type: RoleRatingSchema, default: () => ({}) },
+
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Ordenação do leaderboard por papel
+RatingSchema.index({ 'overall.rating': -1 });
+RatingSchema.index({ 'attacker.rating': -1 });
+RatingSchema.index({ 'defender.rating': -1 });
+
+const RatingChangeSchema = new mongoose.Schema({
+    userId: { type: String, required: true, index: true },
+    sessionId: { type: String },
+    overall: { type: Number, default: 0 },
+    attacker: { type: Number, default: 0 },
+    defender: { type: Number, default: 0 },
+    timestamp: { type: Date, default: Date.now, index: true }
+});
+
+module.exports = {
+    Rating: mongoose.model('Rating', RatingSchema),
+    RatingChange: mongoose.model('RatingChange', RatingChangeSchema)
+};
@@ -0,0 +1,72 @@
+/**
+ * Modelo de Torneio - MongoDB Schema
+ *
+ * Inscrições e chave (eliminação simples ou dupla) de um torneio.
+ * Cada jogo da chave aponta para a sessão onde é jogado.
+ */
+
+const mongoose = require('mongoose');
+
+const SlotSchema = new mongoose.Schema({
+    userId: { type: String, default: null },
+    bye: { type: Boolean, default: false }
+}, { _id: false });
+
+// Destino do vencedor/vencido: { matchId, slot }
+const LinkSchema = new mongoose.Schema({
+    matchId: { type: String },
+    slot: { type: Number }
+}, { _id: false });
+
+const BracketMatchSchema = new mongoose.Schema({
+    matchId: { type: String, required: true }, // W1-1, L2-1, GF
+    bracket: { type: String, enum: ['winners', 'losers', 'final'] },
+    round: { type: Number },
+    index: { type: Number },
+    slots: [SlotSchema],
+    status: { type: String, enum: ['pending', 'ready', 'playing', 'finished'], default: 'pending' },
+    next: { type: LinkSchema, default: null },
+    loserNext: { type: LinkSchema, default: null },
+    sessionId: { type: String, default: null },
+    winnerUserId: { type: String, default: null },
+    loserUserId: { type: String, default: null },
+    bye: { type: Boolean, default: false },
+    forfeit: { type: Boolean, default: false },
+    finishedAt: { type: Number, default: null }
+}, { _id: false });
+
+const TournamentSchema = new mongoose.Schema({
+    tournamentId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    name: { type: String, required: true },
+    format: { type: String, enum: ['single', 'double'], default: 'single' },
+    status: { type: String, enum: ['registration', 'running', 'finished'], default: 'registration', index: true },
+    maxPlayers: { type: Number },
+    themeId: { type: mongoose.Schema.Types.Mixed, default: null },
+    rules: { type: mongoose.Schema.Types.Mixed },
+    noShowSeconds: { type: Number },
+
+    organizerUserId: { type: String, required: true },
+    organizerName: { type: String },
+
+    players: [{
+        _id: false,
+        userId: { type: String, required: true },
+        name: { type: String },
+        seed: { type: Number, default: null },
+        registeredAt: { type: Date }
+    }],
+    matches: [BracketMatchSchema],
+    championUserId: { type: String, default: null },
+
+    createdAt: { type: Date, default: Date.now },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Tournament', TournamentSchema);
@@ -0,0 +1,31 @@
+/**
+ * Modelo de Utilizador - MongoDB Schema
+ *
+ * Contas de jogador (convidado ou com nome e password).
+ * O userId é o identificador usado nos jogos e nos tokens de sessão.
+ */
+
+const mongoose = require('mongoose');
+
+const UserSchema = new mongoose.Schema({
+    // Identificador público estável
+    userId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // Nome de apresentação (único apenas para contas registadas)
+    name: { type: String, required: true },
+    nameKey: { type: String, index: { unique: true, sparse: true } }, // nome normalizado (minúsculas)
+
+    // Convidados não têm password
+    guest: { type: Boolean, default: true },
+    passwordHash: { type: String },
+
+    createdAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,133 @@
+/**
+ * Rotas REST de Administração (operadores)
+ *
+ * GET    /admin/sessions              - Sessões ativas (?status=): estado, jogadores, ronda e idade
+ * GET    /admin/sessions/:id          - Estado interno completo de uma sessão
+ * POST   /admin/sessions/:id/end      - Termina o jogo e avisa os clientes ({ reason? })
+ * DELETE /admin/sessions/:id          - Remove a sessão e avisa os clientes ({ reason? })
+ * POST   /admin/notice                - Aviso de manutenção a todos os sockets ({ message, level? })
+ * GET    /admin/drain                 - Estado do encerramento desta instância
+ * POST   /admin/drain                 - Recusa jogos novos enquanto os atuais terminam ({ draining })
+ *
+ * Todas as rotas exigem Authorization: Bearer <ADMIN_TOKEN>. Sem ADMIN_TOKEN
+ * definido, a API fica desativada (503).
+ */
+
+const express = require('express');
+const { GameStatus } = require('../game/stateMachine');
+const { asyncRoute, getBearerToken, tokensMatch } = require('./helpers');
+const { logger } = require('../config/logger');
+
+const log = logger.child({ component: 'admin' });
+
+const NOTICE_LEVELS = ['info', 'warning'];
+const MAX_REASON_LENGTH = 200;
+const MAX_NOTICE_LENGTH = 500;
+
+// Código de erro da operação -> estado HTTP
+const ERROR_STATUS = {
+    SESSION_NOT_FOUND: 404,
+    ILLEGAL_TRANSITION: 409
+};
+
+/**
+ * Responde com o resultado de uma operação de administração
+ */
+const sendResult = (res, { ok, code, message, ...result }) => {
+    if (!ok) {
+        return res.status(ERROR_STATUS[code] || 400).json({ error: message, code });
+    }
+    res.json(result);
+};
+
+/**
+ * Lê o motivo opcional do corpo (undefined se inválido)
+ */
+const parseReason = (body) => {
+    const reason = body?.reason;
+    if (reason === undefined || reason === null) return null;
+    return typeof reason === 'string' && reason.length <= MAX_REASON_LENGTH ? reason : undefined;
+};
+
+/**
+ * Cria o router de administração
+ * @param {Object} admin - Operações de administração (devolvidas pelo gameHandler)
+ * @param {Object} options - { token } (por omissão ADMIN_TOKEN)
+ */
+module.exports = (admin, { token = process.env.ADMIN_TOKEN } = {}) => {
+    const router = express.Router();
+
+    if (!token) {
+        log.warn('ADMIN_TOKEN não definido. API de administração desativada');
+    }
+
+    // Exige o token de operador em todas as rotas
+    router.use((req, res, next) => {
+        if (!token) {
+            return res.status(503).json({ error: 'API de administração desativada' });
+        }
+        if (!tokensMatch(token, getBearerToken(req))) {
+            return res.status(401).json({ error: 'Token de administração inválido' });
+        }
+        next();
+    });
+
+    router.get('/sessions', asyncRoute(async (req, res) => {
+        const status = req.query.status || null;
+        if (status !== null && !Object.values(GameStatus).includes(status)) {
+            return res.status(400).json({ error: `Estado inválido (${Object.values(GameStatus).join(', ')})` });
+        }
+
+        const sessions = await admin.listSessions({ status });
+        res.json({ count: sessions.length, sessions });
+    }));
+
+    router.get('/sessions/:id', asyncRoute(async (req, res) => {
+        const session = await admin.getSession(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Sessão não encontrada' });
+        }
+        res.json(session);
+    }));
+
+    router.post('/sessions/:id/end', asyncRoute(async (req, res) => {
+        const reason = parseReason(req.body);
+        if (reason === undefined) {
+            return res.status(400).json({ error: `"reason" deve ter até ${MAX_REASON_LENGTH} caracteres` });
+        }
+        sendResult(res, await admin.endSession(req.params.id, reason));
+    }));
+
+    router.delete('/sessions/:id', asyncRoute(async (req, res) => {
+        const reason = parseReason(req.body);
+        if (reason === undefined) {
+            return res.status(400).json({ error: `"reason" deve ter até ${MAX_REASON_LENGTH} caracteres` });
+        }
+        sendResult(res, await admin.deleteSession(req.params.id, reason));
+    }));
+
+    router.post('/notice', (req, res) => {
+        const { message, level = 'info' } = req.body || {};
+        if (typeof message !== 'string' || !message.trim() || message.length > MAX_NOTICE_LENGTH) {
+            return res.status(400).json({ error: `"message" é obrigatório (até ${MAX_NOTICE_LENGTH} caracteres)` });
+        }
+        if (!NOTICE_LEVELS.includes(level)) {
+            return res.status(400).json({ error: `"level" deve ser ${NOTICE_LEVELS.join(', ')}` });
+        }
+        sendResult(res, admin.broadcastNotice(message.trim(), level));
+    });
+
+    router.get('/drain', asyncRoute(async (req, res) => {
+        res.json(await admin.getDrainStatus());
+    }));
+
+    router.post('/drain', asyncRoute(async (req, res) => {
+        const { draining = true } = req.body || {};
+        if (typeof draining !== 'boolean') {
+            return res.status(400).json({ error: '"draining" deve ser true ou false' });
+        }
+        sendResult(res, await admin.setDraining(draining));
+    }));
+
+    return router;
+};
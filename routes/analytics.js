@@ -0,0 +1,70 @@
+/**
+ * Rotas REST de Analytics (equilíbrio de temas e ferramentas)
+ *
+ * GET /analytics/themes - Estatísticas por tema (?from=&to=&format=csv)
+ * GET /analytics/tools  - Estatísticas por ataque e par ataque/defesa (?from=&to=&format=csv)
+ */
+
+const express = require('express');
+const { flattenToolStats } = require('../services/analytics');
+const { asyncRoute, parseDateRange, sendCsv } = require('./helpers');
+
+const THEME_COLUMNS = [
+    'themeId', 'themeName', 'games', 'pickRate', 'rounds', 'defenseSuccessRate',
+    'averageResponseTime', 'timeoutRate', 'streakEnds', 'streakEndRate'
+];
+
+const TOOL_COLUMNS = [
+    'themeId', 'themeName', 'attackerTool', 'attackRounds', 'attackPickRate', 'attackDefenseSuccessRate',
+    'attackTimeoutRate', 'attackStreakEnds', 'defenderTool', 'rounds', 'pickRate', 'defenseSuccessRate',
+    'averageResponseTime', 'streakEnds'
+];
+
+/**
+ * Cria o router de analytics
+ * @param {Object} analytics - Serviço de analytics
+ */
+module.exports = (analytics) => {
+    const router = express.Router();
+
+    /**
+     * Valida os parâmetros comuns; responde 400 e devolve null se inválidos
+     */
+    const parseQuery = (req, res) => {
+        const range = parseDateRange(req.query);
+        if (!range) {
+            res.status(400).json({ error: 'Datas inválidas (from/to)' });
+            return null;
+        }
+        const { format = 'json' } = req.query;
+        if (format !== 'json' && format !== 'csv') {
+            res.status(400).json({ error: 'Formato inválido (json, csv)' });
+            return null;
+        }
+        return { range, format };
+    };
+
+    router.get('/themes', asyncRoute(async (req, res) => {
+        const query = parseQuery(req, res);
+        if (!query) return;
+
+        const themes = await analytics.getThemeStats(query.range);
+        if (query.format === 'csv') {
+            return sendCsv(res, 'themes.csv', THEME_COLUMNS, themes);
+        }
+        res.json({ ...query.range, count: themes.length, themes });
+    }));
+
+    router.get('/tools', asyncRoute(async (req, res) => {
+        const query = parseQuery(req, res);
+        if (!query) return;
+
+        const tools = await analytics.getToolStats(query.range);
+        if (query.format === 'csv') {
+            return sendCsv(res, 'tools.csv', TOOL_COLUMNS, flattenToolStats(tools));
+        }
+        res.json({ ...query.range, count: tools.length, tools });
+    }));
+
+    return router;
+};
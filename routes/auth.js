@@ -0,0 +1,117 @@
+/**
+ * Rotas REST de Autenticação
+ *
+ * POST /auth/guest     - Cria um convidado e devolve um token
+ * POST /auth/register  - Regista uma conta com nome e password
+ * POST /auth/login     - Autentica uma conta registada
+ * GET  /auth/me        - Dados do utilizador do token (Authorization: Bearer)
+ */
+
+const express = require('express');
+const {
+    issueToken,
+    verifyToken,
+    hashPassword,
+    verifyPassword,
+    createUserId
+} = require('../services/auth');
+const { asyncRoute, getBearerToken } = require('./helpers');
+
+const NAME_PATTERN = /^[\p{L}\p{N}_\- ]{3,24}$/u;
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Dados públicos do utilizador
+ */
+const toPublicUser = (user) => ({ userId: user.userId, name: user.name, guest: user.guest });
+
+/**
+ * Resposta com token + utilizador
+ */
+const sessionResponse = (user) => ({ token: issueToken(user), user: toPublicUser(user) });
+
+/**
+ * Cria o router de autenticação
+ * @param {Object} storage - Camada de armazenamento (users)
+ */
+module.exports = (storage) => {
+    const router = express.Router();
+
+    router.post('/guest', asyncRoute(async (req, res) => {
+        const requestedName = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+        if (requestedName && !NAME_PATTERN.test(requestedName)) {
+            return res.status(400).json({ error: 'Nome inválido (3-24 caracteres)' });
+        }
+
+        const userId = createUserId();
+        const user = await storage.users.create({
+            userId,
+            name: requestedName || `Convidado-${userId.slice(0, 4)}`,
+            guest: true,
+            createdAt: new Date(),
+            lastSeenAt: new Date()
+        });
+
+        res.status(201).json(sessionResponse(user));
+    }));
+
+    router.post('/register', asyncRoute(async (req, res) => {
+        const { name, password } = req.body || {};
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+        if (!NAME_PATTERN.test(trimmedName)) {
+            return res.status(400).json({ error: 'Nome inválido (3-24 caracteres)' });
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `A password deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres` });
+        }
+        if (await storage.users.findByName(trimmedName)) {
+            return res.status(409).json({ error: 'Nome já registado' });
+        }
+
+        try {
+            const user = await storage.users.create({
+                userId: createUserId(),
+                name: trimmedName,
+                nameKey: trimmedName.toLowerCase(),
+                guest: false,
+                passwordHash: await hashPassword(password),
+                createdAt: new Date(),
+                lastSeenAt: new Date()
+            });
+            res.status(201).json(sessionResponse(user));
+        } catch (error) {
+            res.status(409).json({ error: error.message });
+        }
+    }));
+
+    router.post('/login', asyncRoute(async (req, res) => {
+        const { name, password } = req.body || {};
+        if (typeof name !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Nome e password são obrigatórios' });
+        }
+
+        const user = await storage.users.findByName(name.trim());
+        if (!user || user.guest || !(await verifyPassword(password, user.passwordHash))) {
+            return res.status(401).json({ error: 'Credenciais inválidas' });
+        }
+
+        res.json(sessionResponse(user));
+    }));
+
+    router.get('/me', asyncRoute(async (req, res) => {
+        const payload = verifyToken(getBearerToken(req));
+        if (!payload) {
+            return res.status(401).json({ error: 'Token inválido ou expirado' });
+        }
+
+        const user = await storage.users.findById(payload.sub);
+        if (!user) {
+            return res.status(404).json({ error: 'Utilizador não encontrado' });
+        }
+
+        res.json(toPublicUser(user));
+    }));
+
+    return router;
+};
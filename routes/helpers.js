@@ -0,0 +1,87 @@
+/**
+ * Utilitários partilhados pelas rotas REST
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Envolve um handler async para que erros cheguem ao middleware de erros do Express
+ */
+const asyncRoute = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+/**
+ * Lê o token do cabeçalho Authorization: Bearer <token>
+ */
+const getBearerToken = (req) => {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+/**
+ * Compara tokens em tempo constante
+ */
+const tokensMatch = (expected, received) => {
+    const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return Boolean(received) && crypto.timingSafeEqual(hash(expected), hash(received));
+};
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Lê page/limit da query string (null se inválidos)
+ * @returns {{ page: number, limit: number } | null}
+ */
+const parsePagination = (query, defaultLimit = 20) => {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return null;
+    }
+    return { page, limit };
+};
+
+/**
+ * Lê from/to (datas ISO ou timestamps) da query string
+ * @returns {{ from: number|null, to: number|null } | null} Timestamps em ms (null se inválidos)
+ */
+const parseDateRange = (query) => {
+    const parse = (value) => {
+        if (value === undefined || value === '') return null;
+        const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date.getTime();
+    };
+
+    const from = parse(query.from);
+    const to = parse(query.to);
+    if (from === undefined || to === undefined || (from !== null && to !== null && from > to)) {
+        return null;
+    }
+    return { from, to };
+};
+
+/**
+ * Valor de uma célula CSV (aspas quando necessário). Texto que uma folha de
+ * cálculo leria como fórmula (=, +, -, @, tab, CR) leva um ' à frente.
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Envia linhas como CSV para download
+ * @param {string[]} columns - Colunas (e ordem) a exportar
+ */
+const sendCsv = (res, filename, columns, rows) => {
+    const lines = [columns.join(',')]
+        .concat(rows.map(row => columns.map(column => toCsvCell(row[column])).join(',')));
+    res.type('text/csv');
+    res.attachment(filename);
+    res.send(`${lines.join('\n')}\n`);
+};
+
+module.exports = { asyncRoute, getBearerToken, tokensMatch, parsePagination, parseDateRange, toCsvCell, sendCsv };
@@ -0,0 +1,37 @@
+/**
+ * Rotas REST do Leaderboard
+ *
+ * GET /leaderboard?role=overall|attacker|defender&window=day|week|month|all&page=1&limit=20
+ */
+
+const express = require('express');
+const { RATING_ROLES, WINDOWS } = require('../services/ratings');
+const { asyncRoute, parsePagination } = require('./helpers');
+
+/**
+ * Cria o router do leaderboard
+ * @param {Object} ratings - Serviço de ratings
+ */
+module.exports = (ratings) => {
+    const router = express.Router();
+
+    router.get('/', asyncRoute(async (req, res) => {
+        const { role = 'overall', window = 'all' } = req.query;
+
+        if (!RATING_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Papel inválido (${RATING_ROLES.join(', ')})` });
+        }
+        if (!Object.prototype.hasOwnProperty.call(WINDOWS, window)) {
+            return res.status(400).json({ error: `Janela inválida (${Object.keys(WINDOWS).join(', ')})` });
+        }
+
+        const pagination = parsePagination(req.query);
+        if (!pagination) {
+            return res.status(400).json({ error: 'Paginação inválida' });
+        }
+
+        res.json(await ratings.getLeaderboard({ role, window, ...pagination }));
+    }));
+
+    return router;
+};
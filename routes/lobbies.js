@@ -0,0 +1,23 @@
+/**
+ * Rotas REST de Lobbies
+ *
+ * GET /lobbies - Salas públicas em LOBBY com um lugar livre
+ */
+
+const express = require('express');
+const { asyncRoute } = require('./helpers');
+
+/**
+ * Cria o router de lobbies
+ * @param {Object} gameApi - API devolvida pelo gameHandler
+ */
+module.exports = (gameApi) => {
+    const router = express.Router();
+
+    router.get('/', asyncRoute(async (req, res) => {
+        const lobbies = await gameApi.listLobbies();
+        res.json({ count: lobbies.length, lobbies });
+    }));
+
+    return router;
+};
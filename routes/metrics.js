@@ -0,0 +1,29 @@
+/**
+ * Rota de Métricas (Prometheus)
+ *
+ * GET /metrics - Métricas desta instância no formato de texto do Prometheus
+ *
+ * Com METRICS_TOKEN definido, exige Authorization: Bearer <METRICS_TOKEN>.
+ */
+
+const express = require('express');
+const { asyncRoute, getBearerToken, tokensMatch } = require('./helpers');
+
+/**
+ * Cria o router de métricas
+ * @param {Object} registry - Registo de métricas (services/metrics)
+ * @param {Object} options - { token } (por omissão METRICS_TOKEN)
+ */
+module.exports = (registry, { token = process.env.METRICS_TOKEN } = {}) => {
+    const router = express.Router();
+
+    router.get('/', asyncRoute(async (req, res) => {
+        if (token && !tokensMatch(token, getBearerToken(req))) {
+            return res.status(401).json({ error: 'Token de métricas inválido' });
+        }
+        res.type('text/plain; version=0.0.4');
+        res.send(await registry.render());
+    }));
+
+    return router;
+};
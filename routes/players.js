@@ -0,0 +1,53 @@
+/**
+ * Rotas REST de Jogadores
+ *
+ * GET /players/:id        - Ratings (geral, atacante, defensor) de um jogador
+ * GET /players/:id/games  - Jogos terminados (?from=&to=&page=&limit=)
+ * GET /players/:id/stats  - Estatísticas agregadas (?from=&to=)
+ */
+
+const express = require('express');
+const { asyncRoute, parsePagination, parseDateRange } = require('./helpers');
+
+/**
+ * Cria o router de jogadores
+ * @param {Object} ratings - Serviço de ratings
+ * @param {Object} matchHistory - Serviço de histórico de jogos
+ */
+module.exports = (ratings, matchHistory) => {
+    const router = express.Router();
+
+    router.get('/:id', asyncRoute(async (req, res) => {
+        const profile = await ratings.getPlayer(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Jogador não encontrado' });
+        }
+
+        const { userId, name, overall, attacker, defender } = profile;
+        res.json({ userId, name, overall, attacker, defender });
+    }));
+
+    router.get('/:id/games', asyncRoute(async (req, res) => {
+        const range = parseDateRange(req.query);
+        if (!range) {
+            return res.status(400).json({ error: 'Datas inválidas (from/to)' });
+        }
+        const pagination = parsePagination(req.query);
+        if (!pagination) {
+            return res.status(400).json({ error: 'Paginação inválida' });
+        }
+
+        res.json(await matchHistory.listGames(req.params.id, { ...range, ...pagination }));
+    }));
+
+    router.get('/:id/stats', asyncRoute(async (req, res) => {
+        const range = parseDateRange(req.query);
+        if (!range) {
+            return res.status(400).json({ error: 'Datas inválidas (from/to)' });
+        }
+
+        res.json(await matchHistory.getStats(req.params.id, range));
+    }));
+
+    return router;
+};
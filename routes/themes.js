@@ -0,0 +1,28 @@
+/**
+ * Rotas REST do Catálogo de Temas
+ *
+ * GET /themes      - Lista todos os temas disponíveis
+ * GET /themes/:id  - Detalhe de um tema
+ *
+ * As respostas nunca incluem `defesasValidas` (a correção é feita no servidor).
+ */
+
+const express = require('express');
+const { listThemes, getTheme, toPublicTheme } = require('../services/scenarioCatalog');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+    const themes = listThemes().map(toPublicTheme);
+    res.json({ count: themes.length, themes });
+});
+
+router.get('/:id', (req, res) => {
+    const theme = getTheme(req.params.id);
+    if (!theme) {
+        return res.status(404).json({ error: 'Tema não encontrado' });
+    }
+    res.json(toPublicTheme(theme));
+});
+
+module.exports = router;
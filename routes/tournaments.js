@@ -0,0 +1,98 @@
+/**
+ * Rotas REST de Torneios
+ *
+ * GET  /tournaments               - Lista de torneios (?status=&page=&limit=)
+ * POST /tournaments               - Cria um torneio (o autor é o organizador)
+ * GET  /tournaments/:id           - Torneio com inscritos e chave
+ * POST /tournaments/:id/register  - Inscreve o utilizador do token
+ * POST /tournaments/:id/withdraw  - Anula a inscrição (antes de começar)
+ * POST /tournaments/:id/start     - Fecha as inscrições e gera a chave (organizador)
+ *
+ * As rotas que alteram torneios exigem Authorization: Bearer <token>.
+ */
+
+const express = require('express');
+const { verifyToken } = require('../services/auth');
+const { TournamentStatus } = require('../services/tournaments');
+const { asyncRoute, getBearerToken, parsePagination } = require('./helpers');
+
+// Código de erro do serviço -> estado HTTP
+const ERROR_STATUS = {
+    TOURNAMENT_NOT_FOUND: 404,
+    ORGANIZER_ONLY: 403,
+    TOURNAMENT_STATE: 409,
+    ALREADY_REGISTERED: 409,
+    TOURNAMENT_FULL: 409,
+    NOT_REGISTERED: 409,
+    NOT_ENOUGH_PLAYERS: 409
+};
+
+/**
+ * Responde com o resultado de uma operação do serviço
+ */
+const sendResult = (res, result, successStatus = 200) => {
+    if (!result.ok) {
+        return res.status(ERROR_STATUS[result.code] || 400).json({ error: result.message, code: result.code });
+    }
+    res.status(successStatus).json(result.tournament);
+};
+
+/**
+ * Exige um token válido (payload em req.auth)
+ */
+const requireAuth = (req, res, next) => {
+    const payload = verifyToken(getBearerToken(req));
+    if (!payload) {
+        return res.status(401).json({ error: 'Token inválido ou expirado' });
+    }
+    req.auth = payload;
+    next();
+};
+
+/**
+ * Cria o router de torneios
+ * @param {Object} tournaments - Serviço de torneios (devolvido pelo gameHandler)
+ */
+module.exports = (tournaments) => {
+    const router = express.Router();
+
+    router.get('/', asyncRoute(async (req, res) => {
+        const status = req.query.status || null;
+        if (status !== null && !Object.values(TournamentStatus).includes(status)) {
+            return res.status(400).json({ error: `Estado inválido (${Object.values(TournamentStatus).join(', ')})` });
+        }
+        const pagination = parsePagination(req.query);
+        if (!pagination) {
+            return res.status(400).json({ error: 'Paginação inválida' });
+        }
+
+        res.json(await tournaments.list({ status, ...pagination }));
+    }));
+
+    router.post('/', requireAuth, (req, res) => {
+        const organizer = { userId: req.auth.sub, name: req.auth.name };
+        sendResult(res, tournaments.create(organizer, req.body || {}), 201);
+    });
+
+    router.get('/:id', asyncRoute(async (req, res) => {
+        const tournament = await tournaments.get(req.params.id);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Torneio não encontrado' });
+        }
+        res.json(tournament);
+    }));
+
+    router.post('/:id/register', requireAuth, (req, res) => {
+        sendResult(res, tournaments.register(req.params.id, { userId: req.auth.sub, name: req.auth.name }));
+    });
+
+    router.post('/:id/withdraw', requireAuth, (req, res) => {
+        sendResult(res, tournaments.withdraw(req.params.id, req.auth.sub));
+    });
+
+    router.post('/:id/start', requireAuth, asyncRoute(async (req, res) => {
+        sendResult(res, await tournaments.start(req.params.id, req.auth.sub));
+    }));
+
+    return router;
+};
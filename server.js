@@ -5,6 +5,15 @@
  * - Inicializa Express e Socket.IO
  * - Configura CORS para aceitar conexões do frontend
  * - Conecta à base de dados MongoDB (opcional)
+ * - Carrega o catálogo de cenários (temas)
+ * - Autentica jogadores (tokens assinados)
+ * - Mantém os ratings, o leaderboard e o histórico de jogos
+ * - Organiza torneios (eliminação simples e dupla)
+ * - Partilha sessões e salas entre instâncias (SESSION_STORE, SOCKET_IO_ADAPTER)
+ * - Limita eventos, tamanho dos dados e salas por cliente (RATE_LIMIT_*, MAX_*)
+ * - API de administração para operadores (ADMIN_TOKEN)
+ * - Métricas para o Prometheus em /metrics
+ * - Logs estruturados em JSON (config/logger, nível em LOG_LEVEL)
  * - Regista os handlers de jogo
  */
 
@@ -15,11 +24,33 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const configureSocketAdapter = require('./config/socketAdapter');
+const { createStorage, createSessionStore } = require('./storage');
 const gameHandler = require('./socket/gameHandler');
+const { loadCatalog } = require('./services/scenarioCatalog');
+const themesRouter = require('./routes/themes');
+const createAuthRouter = require('./routes/auth');
+const createLobbiesRouter = require('./routes/lobbies');
+const createLeaderboardRouter = require('./routes/leaderboard');
+const createPlayersRouter = require('./routes/players');
+const createAnalyticsRouter = require('./routes/analytics');
+const createTournamentsRouter = require('./routes/tournaments');
+const createAdminRouter = require('./routes/admin');
+const createMetricsRouter = require('./routes/metrics');
+const { createRatingService } = require('./services/ratings');
+const { createMatchHistory } = require('./services/matchHistory');
+const { createAnalytics } = require('./services/analytics');
+const { createGameMetrics } = require('./services/metrics');
+const authMiddleware = require('./socket/authMiddleware');
+const { loadLimits, createRateLimiter } = require('./socket/rateLimiter');
+const { logger } = require('./config/logger');
+
+const log = logger.child({ component: 'server' });
 
 // Configurações
 const PORT = process.env.PORT || 3001;
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const limits = loadLimits();
 
 // Inicializar Express
 const app = express();
@@ -38,7 +69,7 @@ app.use(cors({
         /^http:\/\/192\.168\.\d+\.\d+:\d+$/,
         /^http:\/\/10\.\d+\.\d+\.\d+:\d+$/
     ],
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'DELETE'],
     credentials: true
 }));
 
@@ -58,6 +89,9 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok', uptime: process.uptime() });
 });
 
+// Catálogo de temas
+app.use('/themes', themesRouter);
+
 // Criar servidor HTTP
 const server = http.createServer(app);
 
@@ -81,47 +115,85 @@ const io = new Server(server, {
     },
     // Configurações de performance
     pingTimeout: 60000,
-    pingInterval: 25000
+    pingInterval: 25000,
+    // Pacotes muito acima de MAX_PAYLOAD_BYTES são cortados pelo próprio Socket.IO
+    // (os restantes são recusados evento a evento com PAYLOAD_TOO_LARGE)
+    maxHttpBufferSize: limits.maxPayloadBytes * 2
 });
 
-// Registar handlers de jogo
-gameHandler(io);
+// Carregar catálogo de cenários antes de aceitar jogos
+loadCatalog();
+
+// Apenas sockets com token válido (identidade em socket.data.userId)
+io.use(authMiddleware);
 
 // Iniciar servidor
 const startServer = async () => {
     // Tentar conectar à base de dados (opcional)
-    await connectDB();
+    const connection = await connectDB();
+
+    // Salas partilhadas com as outras instâncias (se configurado)
+    let sharedRooms;
+    try {
+        sharedRooms = await configureSocketAdapter(io, { connection });
+    } catch (error) {
+        // Sem o adapter, cada instância veria só metade de cada sala: não arrancar
+        log.error('Erro ao configurar o adapter do Socket.IO', { error });
+        process.exit(1);
+    }
+
+    // Registar handlers de jogo (restaura sessões guardadas antes de aceitar ligações)
+    const storage = createStorage(connection);
+    const sessions = createSessionStore(connection);
+    if (sessions.shared && !sharedRooms) {
+        log.warn('Sessões partilhadas sem SOCKET_IO_ADAPTER: as emissões não chegam às outras instâncias');
+    }
+    const ratings = createRatingService(storage);
+    const matchHistory = createMatchHistory(storage);
+    const rateLimiter = createRateLimiter(limits);
+    const metrics = createGameMetrics();
+    const gameApi = await gameHandler(io, { storage, sessions, ratings, matchHistory, rateLimiter, metrics });
+
+    // Rotas que dependem do armazenamento e do estado dos jogos
+    app.use('/auth', createAuthRouter(storage));
+    app.use('/lobbies', createLobbiesRouter(gameApi));
+    app.use('/leaderboard', createLeaderboardRouter(ratings));
+    app.use('/players', createPlayersRouter(ratings, matchHistory));
+    app.use('/analytics', createAnalyticsRouter(createAnalytics(storage)));
+    app.use('/tournaments', createTournamentsRouter(gameApi.tournaments));
+    app.use('/admin', createAdminRouter(gameApi.admin));
+    app.use('/metrics', createMetricsRouter(metrics.registry));
+
+    // Erros não tratados nas rotas
+    app.use((err, req, res, next) => {
+        log.error('Erro na rota', { method: req.method, path: req.path, error: err });
+        res.status(500).json({ error: 'Erro interno do servidor' });
+    });
 
     server.listen(PORT, '0.0.0.0', () => {
-        console.log('');
-        console.log('╔════════════════════════════════════════════╗');
-        console.log('║       🎮 CYBER SIEGE SERVER 🎮              ║');
-        console.log('╠════════════════════════════════════════════╣');
-        console.log(`║  🌐 HTTP: http://localhost:${PORT}            ║`);
-        console.log(`║  🔌 Socket.IO: ws://localhost:${PORT}         ║`);
-        console.log('╠════════════════════════════════════════════╣');
-        console.log('║  📱 Para acesso em rede, usa o IP local:   ║');
-        console.log('║     Execute: ipconfig (Windows)            ║');
-        console.log('║     Execute: ifconfig (Mac/Linux)          ║');
-        console.log('╚════════════════════════════════════════════╝');
-        console.log('');
+        // Para acesso em rede, usar o IP local da máquina (ipconfig / ifconfig)
+        log.info('Cyber Siege Server a escutar', {
+            port: Number(PORT),
+            http: `http://localhost:${PORT}`,
+            socketIo: `ws://localhost:${PORT}`
+        });
     });
 };
 
 // Tratamento de erros não capturados
 process.on('uncaughtException', (error) => {
-    console.error('❌ Erro não capturado:', error);
+    log.error('Erro não capturado', { error });
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Promise rejeitada:', reason);
+    log.error('Promise rejeitada', { error: reason });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-    console.log('📴 Recebido SIGTERM, a encerrar...');
+    log.info('Recebido SIGTERM, a encerrar');
     server.close(() => {
-        console.log('👋 Servidor encerrado');
+        log.info('Servidor encerrado');
         process.exit(0);
     });
 });
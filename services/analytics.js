@@ -0,0 +1,194 @@
+/**
+ * Analytics de Equilíbrio - Temas e ferramentas
+ *
+ * Agrega as rondas dos jogos arquivados para ajudar a equilibrar os
+ * cenários: que temas são fáceis demais, que ataques quase nunca são
+ * travados e onde as sequências de defesas certas costumam acabar.
+ *
+ * Rondas de desistência e jogos contra bots não contam. Uma sequência
+ * "acaba" numa ronda quando o defensor vinha de pelo menos uma defesa
+ * certa e falha.
+ */
+
+const { getTheme } = require('./scenarioCatalog');
+
+const ratio = (part, total) => (total > 0 ? part / total : null);
+
+/**
+ * Acumulador comum a temas, ataques e pares ataque/defesa
+ */
+const createBucket = (fields) => ({
+    ...fields,
+    rounds: 0,
+    defended: 0,
+    timeouts: 0,
+    streakEnds: 0,
+    responseTimeTotal: 0,
+    responseTimeCount: 0
+});
+
+const addRound = (bucket, round, streakEnded) => {
+    bucket.rounds += 1;
+    if (round.isCorrect) bucket.defended += 1;
+    if (round.timedOut) {
+        bucket.timeouts += 1;
+    } else if (Number.isFinite(round.responseTime)) {
+        bucket.responseTimeTotal += round.responseTime;
+        bucket.responseTimeCount += 1;
+    }
+    if (streakEnded) bucket.streakEnds += 1;
+};
+
+/**
+ * Métricas finais de um acumulador
+ */
+const summarize = ({ defended, timeouts, responseTimeTotal, responseTimeCount, ...bucket }) => ({
+    ...bucket,
+    defenseSuccessRate: ratio(defended, bucket.rounds),
+    averageResponseTime: ratio(responseTimeTotal, responseTimeCount),
+    timeoutRate: ratio(timeouts, bucket.rounds),
+    streakEndRate: ratio(bucket.streakEnds, bucket.rounds)
+});
+
+const themeName = (themeId, round) => getTheme(themeId)?.titulo || round.themeName || null;
+
+/**
+ * Percorre as rondas dos jogos indicando se cada uma terminou uma sequência
+ */
+const forEachRound = (matches, visit) => {
+    matches.forEach(match => {
+        const streaks = new Map(); // defenderUserId -> defesas certas seguidas
+        match.rounds.filter(round => !round.forfeit).forEach(round => {
+            const previous = streaks.get(round.defenderUserId) || 0;
+            const streakEnded = previous > 0 && !round.isCorrect;
+            streaks.set(round.defenderUserId, round.isCorrect ? previous + 1 : 0);
+            visit(round, streakEnded, match);
+        });
+    });
+};
+
+/**
+ * Estatísticas por tema
+ * @param {Object[]} matches - Jogos arquivados
+ */
+const computeThemeStats = (matches) => {
+    const themes = new Map();
+    const gamesWithTheme = new Map();
+
+    forEachRound(matches, (round, streakEnded, match) => {
+        const key = String(round.themeId);
+        if (!themes.has(key)) {
+            themes.set(key, createBucket({ themeId: round.themeId, themeName: themeName(round.themeId, round) }));
+            gamesWithTheme.set(key, new Set());
+        }
+        addRound(themes.get(key), round, streakEnded);
+        gamesWithTheme.get(key).add(match.matchId);
+    });
+
+    return Array.from(themes.entries())
+        .map(([key, bucket]) => {
+            const games = gamesWithTheme.get(key).size;
+            return { ...summarize(bucket), games, pickRate: ratio(games, matches.length) };
+        })
+        .sort((a, b) => b.rounds - a.rounds);
+};
+
+/**
+ * Estatísticas por ferramenta de ataque (dentro do tema) e pelas defesas usadas contra ela
+ * @param {Object[]} matches - Jogos arquivados
+ */
+const computeToolStats = (matches) => {
+    const themeRounds = new Map();
+    const attacks = new Map();
+
+    forEachRound(matches, (round, streakEnded) => {
+        if (!round.attackerTool) return;
+
+        const themeKey = String(round.themeId);
+        themeRounds.set(themeKey, (themeRounds.get(themeKey) || 0) + 1);
+
+        const attackKey = `${themeKey}:${round.attackerTool}`;
+        if (!attacks.has(attackKey)) {
+            attacks.set(attackKey, {
+                bucket: createBucket({
+                    themeId: round.themeId,
+                    themeName: themeName(round.themeId, round),
+                    attackerTool: round.attackerTool
+                }),
+                defenses: new Map()
+            });
+        }
+        const attack = attacks.get(attackKey);
+        addRound(attack.bucket, round, streakEnded);
+
+        // Sem defesa (tempo esgotado) só conta no ataque
+        if (!round.defenderTool) return;
+        if (!attack.defenses.has(round.defenderTool)) {
+            attack.defenses.set(round.defenderTool, createBucket({ defenderTool: round.defenderTool }));
+        }
+        addRound(attack.defenses.get(round.defenderTool), round, streakEnded);
+    });
+
+    return Array.from(attacks.values())
+        .map(({ bucket, defenses }) => ({
+            ...summarize(bucket),
+            pickRate: ratio(bucket.rounds, themeRounds.get(String(bucket.themeId))),
+            defenses: Array.from(defenses.values())
+                .map(defense => {
+                    const { timeoutRate, ...stats } = summarize(defense);
+                    return { ...stats, pickRate: ratio(defense.rounds, bucket.rounds) };
+                })
+                .sort((a, b) => b.rounds - a.rounds)
+        }))
+        .sort((a, b) => String(a.themeId).localeCompare(String(b.themeId), undefined, { numeric: true })
+            || b.rounds - a.rounds);
+};
+
+/**
+ * Uma linha por par ataque/defesa (para exportação CSV)
+ */
+const flattenToolStats = (tools) => tools.flatMap(attack => {
+    const base = {
+        themeId: attack.themeId,
+        themeName: attack.themeName,
+        attackerTool: attack.attackerTool,
+        attackRounds: attack.rounds,
+        attackPickRate: attack.pickRate,
+        attackDefenseSuccessRate: attack.defenseSuccessRate,
+        attackTimeoutRate: attack.timeoutRate,
+        attackStreakEnds: attack.streakEnds
+    };
+    if (attack.defenses.length === 0) return [{ ...base, defenderTool: null }];
+    return attack.defenses.map(defense => ({
+        ...base,
+        defenderTool: defense.defenderTool,
+        rounds: defense.rounds,
+        pickRate: defense.pickRate,
+        defenseSuccessRate: defense.defenseSuccessRate,
+        averageResponseTime: defense.averageResponseTime,
+        streakEnds: defense.streakEnds
+    }));
+});
+
+/**
+ * Cria o serviço de analytics sobre a camada de armazenamento
+ * @param {Object} storage - Camada de armazenamento (matches)
+ */
+const createAnalytics = (storage) => {
+    const loadMatches = async ({ from = null, to = null } = {}) => {
+        const matches = await storage.matches.list({ from, to });
+        return matches.filter(match => !match.botGame);
+    };
+
+    return {
+        getThemeStats: async (range) => computeThemeStats(await loadMatches(range)),
+        getToolStats: async (range) => computeToolStats(await loadMatches(range))
+    };
+};
+
+module.exports = {
+    computeThemeStats,
+    computeToolStats,
+    flattenToolStats,
+    createAnalytics
+};
@@ -0,0 +1,104 @@
+/**
+ * Autenticação - Tokens de sessão assinados
+ *
+ * Tokens no formato `<payload base64url>.<assinatura HMAC-SHA256>`.
+ * O payload contém { sub: userId, name, guest, iat, exp }.
+ * A chave vem de AUTH_SECRET; sem ela é gerada uma chave temporária
+ * (os tokens deixam de ser válidos quando o servidor reinicia).
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../config/logger');
+
+const log = logger.child({ component: 'auth' });
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 dias
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    log.warn('AUTH_SECRET não definida. A usar chave temporária (tokens expiram no reinício)');
+}
+
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL) || DEFAULT_TTL_SECONDS;
+
+const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Emite um token para o utilizador
+ */
+const issueToken = (user) => {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        sub: user.userId,
+        name: user.name,
+        guest: Boolean(user.guest),
+        iat: now,
+        exp: now + TOKEN_TTL_SECONDS
+    };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encoded}.${sign(encoded)}`;
+};
+
+/**
+ * Verifica um token e devolve o payload, ou null se inválido/expirado
+ */
+const verifyToken = (token) => {
+    if (typeof token !== 'string') return null;
+
+    const [encoded, signature] = token.split('.');
+    if (!encoded || !signature) return null;
+
+    const expected = Buffer.from(sign(encoded));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        if (!payload.sub || !payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Hash de password com scrypt e salt aleatório (`salt:hash`)
+ */
+const hashPassword = (password) => new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (error, derived) => {
+        if (error) return reject(error);
+        resolve(`${salt}:${derived.toString('hex')}`);
+    });
+});
+
+/**
+ * Compara uma password com o hash guardado
+ */
+const verifyPassword = (password, stored) => new Promise((resolve, reject) => {
+    const [salt, hash] = String(stored || '').split(':');
+    if (!salt || !hash) return resolve(false);
+    crypto.scrypt(password, salt, 64, (error, derived) => {
+        if (error) return reject(error);
+        const expected = Buffer.from(hash, 'hex');
+        resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+    });
+});
+
+/**
+ * Cria um novo userId
+ */
+const createUserId = () => crypto.randomUUID();
+
+module.exports = {
+    issueToken,
+    verifyToken,
+    hashPassword,
+    verifyPassword,
+    createUserId
+};
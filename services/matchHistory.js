@@ -0,0 +1,240 @@
+/**
+ * Histórico de Jogos - Arquivo de partidas terminadas e estatísticas
+ *
+ * As sessões em memória/Mongo expiram, por isso cada jogo terminado é
+ * arquivado com as suas rondas. As estatísticas dos jogadores são
+ * calculadas a partir deste arquivo.
+ */
+
+const crypto = require('crypto');
+const { isBotUserId } = require('../game/bot');
+
+const ratio = (part, total) => (total > 0 ? part / total : null);
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Equipa do jogador num jogo de equipas (ou null)
+ */
+const getPlayerTeam = (match, userId) =>
+    Object.keys(match.teams || {}).find(name => match.teams[name].includes(userId)) || null;
+
+/**
+ * Resultado do jogo do ponto de vista do jogador (em equipas, o da sua equipa)
+ */
+const getOutcome = (match, userId) => {
+    if (match.teams) {
+        if (!match.winnerTeam) return 'draw';
+        return getPlayerTeam(match, userId) === match.winnerTeam ? 'win' : 'loss';
+    }
+    if (!match.winnerUserId) return 'draw';
+    return match.winnerUserId === userId ? 'win' : 'loss';
+};
+
+/**
+ * Se o jogador esteve no lado indicado nesta ronda (em equipas, como membro da equipa)
+ */
+const playedSide = (match, round, side, userId) => {
+    const team = round[`${side}Team`];
+    if (team && match.teams) return (match.teams[team] || []).includes(userId);
+    return round[`${side}UserId`] === userId;
+};
+
+/**
+ * Se a jogada do lado foi decidida pelo jogador (sempre, fora das equipas)
+ */
+const madeMove = (round, side, userId) => {
+    const contributors = round[`${side}ContributorIds`];
+    return !contributors || contributors.includes(userId);
+};
+
+/**
+ * Resumo de um jogo para a lista de jogos do jogador
+ */
+const toPlayerMatch = (match, userId) => {
+    const team = getPlayerTeam(match, userId);
+    const opponent = match.players.find(player => player.userId !== userId
+        && (!team || !match.teams[team].includes(player.userId))) || null;
+    return {
+        matchId: match.matchId,
+        sessionId: match.sessionId,
+        finishedAt: match.finishedAt,
+        result: getOutcome(match, userId),
+        forfeit: match.forfeit,
+        botGame: Boolean(match.botGame),
+        team,
+        teams: match.teams || null,
+        opponent,
+        score: match.finalScores?.[userId] || 0,
+        opponentScore: opponent ? match.finalScores?.[opponent.userId] || 0 : 0,
+        themes: match.themes,
+        rounds: match.rounds
+    };
+};
+
+/**
+ * Acumula tentativas/acertos numa tabela por chave
+ */
+const tally = (table, key, fields, success) => {
+    if (key === undefined || key === null) return;
+    const entry = table.get(String(key)) || { ...fields, attempts: 0, successes: 0 };
+    entry.attempts += 1;
+    if (success) entry.successes += 1;
+    table.set(String(key), entry);
+};
+
+const withAccuracy = (table) => Array.from(table.values())
+    .map(entry => ({ ...entry, accuracy: ratio(entry.successes, entry.attempts) }))
+    .sort((a, b) => b.attempts - a.attempts);
+
+/**
+ * Estatísticas agregadas de um jogador a partir dos jogos arquivados
+ * @param {string} userId
+ * @param {Object[]} matches - Jogos em que o jogador participou
+ */
+const computePlayerStats = (userId, matches) => {
+    const games = { played: matches.length, wins: 0, losses: 0, draws: 0, forfeits: 0 };
+    const roles = {
+        attacker: { rounds: 0, roundsWon: 0 },
+        defender: { rounds: 0, roundsWon: 0 }
+    };
+    const responseTimes = [];
+    let timeouts = 0;
+    let bestStreak = 0;
+    const themes = new Map();
+    const attackTools = new Map();
+    const defenseTools = new Map();
+
+    matches.forEach(match => {
+        const outcome = getOutcome(match, userId);
+        if (outcome === 'win') games.wins += 1;
+        else if (outcome === 'loss') games.losses += 1;
+        else games.draws += 1;
+        if (match.forfeit && outcome === 'loss') games.forfeits += 1;
+
+        let streak = 0;
+        match.rounds.filter(round => !round.forfeit).forEach(round => {
+            if (playedSide(match, round, 'attacker', userId)) {
+                const breached = round.winner === 'attacker';
+                roles.attacker.rounds += 1;
+                if (breached) roles.attacker.roundsWon += 1;
+                if (madeMove(round, 'attacker', userId)) {
+                    tally(attackTools, round.attackerTool, { toolId: round.attackerTool }, breached);
+                }
+            }
+
+            if (playedSide(match, round, 'defender', userId)) {
+                roles.defender.rounds += 1;
+                if (round.isCorrect) roles.defender.roundsWon += 1;
+
+                if (round.timedOut) {
+                    timeouts += 1;
+                } else if (Number.isFinite(round.responseTime)) {
+                    responseTimes.push(round.responseTime);
+                }
+
+                // Sequência de defesas certas seguidas dentro do jogo
+                streak = round.isCorrect ? streak + 1 : 0;
+                bestStreak = Math.max(bestStreak, streak);
+
+                tally(themes, round.themeId, { themeId: round.themeId, themeName: round.themeName }, round.isCorrect);
+                if (madeMove(round, 'defender', userId)) {
+                    tally(defenseTools, round.defenderTool, { toolId: round.defenderTool }, round.isCorrect);
+                }
+            }
+        });
+    });
+
+    return {
+        userId,
+        games: { ...games, winRate: ratio(games.wins, games.played) },
+        roles: {
+            attacker: { ...roles.attacker, winRate: ratio(roles.attacker.roundsWon, roles.attacker.rounds) },
+            defender: { ...roles.defender, winRate: ratio(roles.defender.roundsWon, roles.defender.rounds) }
+        },
+        averageResponseTime: average(responseTimes),
+        timeoutRate: ratio(timeouts, roles.defender.rounds),
+        bestStreak,
+        themes: withAccuracy(themes),
+        tools: {
+            attack: withAccuracy(attackTools),
+            defense: withAccuracy(defenseTools)
+        }
+    };
+};
+
+/**
+ * Cria o serviço de histórico sobre a camada de armazenamento
+ * @param {Object} storage - Camada de armazenamento (matches, users)
+ */
+const createMatchHistory = (storage) => {
+    /**
+     * Arquiva um jogo terminado
+     * @param {Object} data - { sessionId, playerIds, winnerUserId, finalScores, botGame, teams, winnerTeam, rounds }
+     */
+    const recordMatch = async ({
+        sessionId,
+        playerIds,
+        winnerUserId,
+        finalScores,
+        botGame = false,
+        teams = null,
+        winnerTeam = null,
+        rounds
+    }) => {
+        const ids = playerIds.filter(Boolean);
+        if (ids.length === 0 || rounds.length === 0) return null;
+
+        const users = await Promise.all(ids.map(userId => storage.users.findById(userId)));
+        const match = {
+            matchId: crypto.randomUUID(),
+            sessionId,
+            finishedAt: Date.now(),
+            players: ids.map((userId, index) => ({
+                userId,
+                name: users[index]?.name || (isBotUserId(userId) ? 'Bot' : null)
+            })),
+            winnerUserId: winnerUserId || null,
+            finalScores: finalScores || {},
+            forfeit: rounds.some(round => round.forfeit),
+            botGame,
+            teams,
+            winnerTeam,
+            themes: Array.from(new Set(rounds.map(round => round.themeId).filter(id => id !== undefined && id !== null))),
+            rounds
+        };
+
+        await storage.matches.save(match);
+        return match;
+    };
+
+    /**
+     * Jogos de um jogador, mais recentes primeiro
+     * @param {Object} options - { from, to, page, limit }
+     */
+    const listGames = async (userId, { from = null, to = null, page = 1, limit = 20 } = {}) => {
+        const { total, matches } = await storage.matches.listByPlayer(userId, {
+            from,
+            to,
+            offset: (page - 1) * limit,
+            limit
+        });
+        return { page, limit, total, games: matches.map(match => toPlayerMatch(match, userId)) };
+    };
+
+    /**
+     * Estatísticas agregadas de um jogador no intervalo de datas
+     * @param {Object} options - { from, to }
+     */
+    const getStats = async (userId, { from = null, to = null } = {}) => {
+        const { matches } = await storage.matches.listByPlayer(userId, { from, to });
+        return { ...computePlayerStats(userId, matches), from, to };
+    };
+
+    return { recordMatch, listGames, getStats };
+};
+
+module.exports = {
+    computePlayerStats,
+    createMatchHistory
+};
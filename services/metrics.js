@@ -0,0 +1,191 @@
+/**
+ * Métricas no formato de texto do Prometheus
+ *
+ * Registo mínimo de contadores, gauges e histogramas com labels, exposto em
+ * GET /metrics (routes/metrics). Os valores são desta instância do servidor;
+ * os gauges calculados a partir do armazém de sessões são atualizados pelos
+ * coletores (onCollect) em cada leitura.
+ *
+ * createGameMetrics regista as métricas do jogo, alimentadas pelo gameHandler.
+ */
+
+// Limites dos histogramas de duração dos handlers (segundos)
+const HANDLER_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+// Tempo de resposta da defesa (segundos; as rondas duram tipicamente até 60 s)
+const RESPONSE_BUCKETS = [1, 2, 5, 10, 15, 20, 30, 45, 60];
+// Duração das sessões (segundos: 1 min a 2 h)
+const SESSION_BUCKETS = [60, 300, 600, 900, 1800, 3600, 7200];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Série de labels: chave estável para o Map e texto {a="1",b="2"}
+ */
+const formatLabels = (labelNames, labels = {}, extra = '') => {
+    const parts = labelNames.map(name => `${name}="${escapeLabel(labels[name] ?? '')}"`);
+    if (extra) parts.push(extra);
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+};
+
+const formatValue = (value) => (value === Infinity ? '+Inf' : String(value));
+
+/**
+ * Registo de métricas
+ */
+const createMetricsRegistry = () => {
+    const metrics = [];
+    const collectors = [];
+
+    const register = (metric) => {
+        metrics.push(metric);
+        return metric;
+    };
+
+    /**
+     * Contador (só aumenta)
+     */
+    const counter = ({ name, help, labelNames = [] }) => {
+        const values = new Map();
+        return register({
+            name,
+            help,
+            type: 'counter',
+            inc: (labels = {}, amount = 1) => {
+                const key = formatLabels(labelNames, labels);
+                values.set(key, (values.get(key) || 0) + amount);
+            },
+            lines: () => Array.from(values, ([key, value]) => `${name}${key} ${formatValue(value)}`)
+        });
+    };
+
+    /**
+     * Gauge (valor atual)
+     */
+    const gauge = ({ name, help, labelNames = [] }) => {
+        const values = new Map();
+        return register({
+            name,
+            help,
+            type: 'gauge',
+            set: (labels, value) => values.set(formatLabels(labelNames, labels), value),
+            inc: (labels = {}, amount = 1) => {
+                const key = formatLabels(labelNames, labels);
+                values.set(key, (values.get(key) || 0) + amount);
+            },
+            dec: (labels = {}, amount = 1) => {
+                const key = formatLabels(labelNames, labels);
+                values.set(key, (values.get(key) || 0) - amount);
+            },
+            reset: () => values.clear(),
+            lines: () => Array.from(values, ([key, value]) => `${name}${key} ${formatValue(value)}`)
+        });
+    };
+
+    /**
+     * Histograma (contagens cumulativas por limite, soma e total)
+     */
+    const histogram = ({ name, help, labelNames = [], buckets }) => {
+        const series = new Map(); // labels -> { labels, counts, sum, count }
+        const bounds = [...buckets, Infinity];
+        return register({
+            name,
+            help,
+            type: 'histogram',
+            observe: (labels, value) => {
+                const key = formatLabels(labelNames, labels);
+                if (!series.has(key)) {
+                    series.set(key, { labels, counts: bounds.map(() => 0), sum: 0, count: 0 });
+                }
+                const entry = series.get(key);
+                bounds.forEach((bound, index) => {
+                    if (value <= bound) entry.counts[index] += 1;
+                });
+                entry.sum += value;
+                entry.count += 1;
+            },
+            lines: () => Array.from(series.entries()).flatMap(([key, entry]) => [
+                ...bounds.map((bound, index) =>
+                    `${name}_bucket${formatLabels(labelNames, entry.labels, `le="${formatValue(bound)}"`)} ${entry.counts[index]}`),
+                `${name}_sum${key} ${entry.sum}`,
+                `${name}_count${key} ${entry.count}`
+            ])
+        });
+    };
+
+    /**
+     * Coletor chamado antes de cada leitura (pode ser async)
+     */
+    const onCollect = (collector) => collectors.push(collector);
+
+    /**
+     * Texto para o Prometheus (formato 0.0.4)
+     */
+    const render = async () => {
+        await Promise.all(collectors.map(collector => collector()));
+        const blocks = metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.lines()
+        ].join('\n'));
+        return `${blocks.join('\n')}\n`;
+    };
+
+    return { counter, gauge, histogram, onCollect, render };
+};
+
+/**
+ * Métricas do jogo (ligações, sessões, rondas, handlers e erros)
+ */
+const createGameMetrics = (registry = createMetricsRegistry()) => ({
+    registry,
+
+    connectedSockets: registry.gauge({
+        name: 'cyber_siege_connected_sockets',
+        help: 'Sockets ligados a esta instância'
+    }),
+    connections: registry.counter({
+        name: 'cyber_siege_socket_connections_total',
+        help: 'Ligações Socket.IO aceites'
+    }),
+    activeSessions: registry.gauge({
+        name: 'cyber_siege_active_sessions',
+        help: 'Sessões ativas por estado do jogo',
+        labelNames: ['status']
+    }),
+    sessionIdle: registry.gauge({
+        name: 'cyber_siege_session_max_idle_seconds',
+        help: 'Maior tempo sem alterações entre as sessões de cada estado (ex.: jogos presos em ATTACKING)',
+        labelNames: ['status']
+    }),
+    rounds: registry.counter({
+        name: 'cyber_siege_rounds_total',
+        help: 'Rondas resolvidas por resultado',
+        labelNames: ['outcome']
+    }),
+    handlerDuration: registry.histogram({
+        name: 'cyber_siege_socket_handler_duration_seconds',
+        help: 'Duração dos handlers de eventos Socket.IO',
+        labelNames: ['event'],
+        buckets: HANDLER_BUCKETS
+    }),
+    eventErrors: registry.counter({
+        name: 'cyber_siege_socket_errors_total',
+        help: 'Erros enviados aos clientes por evento e código',
+        labelNames: ['event', 'code']
+    }),
+    defenseResponse: registry.histogram({
+        name: 'cyber_siege_defense_response_seconds',
+        help: 'Tempo entre o ataque e a defesa',
+        buckets: RESPONSE_BUCKETS
+    }),
+    sessionDuration: registry.histogram({
+        name: 'cyber_siege_session_duration_seconds',
+        help: 'Duração das sessões, da criação à remoção',
+        buckets: SESSION_BUCKETS
+    })
+});
+
+module.exports = {
+    createMetricsRegistry,
+    createGameMetrics
+};
@@ -0,0 +1,232 @@
+/**
+ * Ratings - Classificação ELO dos jogadores
+ *
+ * Cada jogador tem três ratings: geral (resultado do jogo) e um por papel.
+ * Atacar e defender são assimétricos, por isso o rating de atacante só
+ * muda contra o rating de defensor do oponente (e vice-versa), com base
+ * na fração de rondas ganhas nesse papel.
+ *
+ * As alterações de cada jogo ficam registadas para a classificação
+ * por janela temporal (ex.: última semana).
+ */
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = Number(process.env.RATING_K_FACTOR) || 32;
+
+// Ratings mantidos por jogador
+const RATING_ROLES = ['overall', 'attacker', 'defender'];
+
+// Janelas temporais aceites no leaderboard
+const WINDOWS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    all: null
+};
+
+/**
+ * Probabilidade de vitória esperada contra o oponente
+ */
+const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+/**
+ * Novo rating após um resultado (score: 1 vitória, 0.5 empate, 0 derrota)
+ */
+const nextRating = (rating, opponentRating, score, k = K_FACTOR) =>
+    Math.round(rating + k * (score - expectedScore(rating, opponentRating)));
+
+/**
+ * Perfil inicial de um jogador
+ */
+const createProfile = (userId, name = null) => ({
+    userId,
+    name,
+    overall: { rating: DEFAULT_RATING, games: 0, wins: 0, losses: 0, draws: 0, lastPlayedAt: null },
+    attacker: { rating: DEFAULT_RATING, games: 0, rounds: 0, roundsWon: 0, lastPlayedAt: null },
+    defender: { rating: DEFAULT_RATING, games: 0, rounds: 0, roundsWon: 0, lastPlayedAt: null },
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+});
+
+/**
+ * Calcula os novos perfis de dois jogadores após um jogo
+ * @param {Object} data - { profiles: [a, b], winnerUserId, rounds, now }
+ * @returns {{ profiles: Object[], changes: Object[] }} Perfis atualizados e alterações de rating
+ */
+const rateGame = ({ profiles, winnerUserId, rounds, now = Date.now() }) => {
+    const [a, b] = profiles;
+    const next = profiles.map(profile => JSON.parse(JSON.stringify(profile)));
+    const [nextA, nextB] = next;
+
+    // Resultado geral (sem vencedor conta como empate)
+    const scoreA = winnerUserId === a.userId ? 1 : winnerUserId === b.userId ? 0 : 0.5;
+    nextA.overall.rating = nextRating(a.overall.rating, b.overall.rating, scoreA);
+    nextB.overall.rating = nextRating(b.overall.rating, a.overall.rating, 1 - scoreA);
+
+    [[nextA, scoreA], [nextB, 1 - scoreA]].forEach(([profile, score]) => {
+        profile.overall.games += 1;
+        if (score === 1) profile.overall.wins += 1;
+        else if (score === 0) profile.overall.losses += 1;
+        else profile.overall.draws += 1;
+        profile.overall.lastPlayedAt = now;
+    });
+
+    // Ratings por papel: cada par atacante/defensor é um confronto próprio
+    [[a, b, nextA, nextB], [b, a, nextB, nextA]].forEach(([attacker, defender, nextAttacker, nextDefender]) => {
+        const played = rounds.filter(round => !round.forfeit
+            && round.attackerUserId === attacker.userId
+            && round.defenderUserId === defender.userId);
+        if (played.length === 0) return;
+
+        const attackerWins = played.filter(round => round.winner === 'attacker').length;
+        const score = attackerWins / played.length;
+
+        nextAttacker.attacker.rating = nextRating(attacker.attacker.rating, defender.defender.rating, score);
+        nextDefender.defender.rating = nextRating(defender.defender.rating, attacker.attacker.rating, 1 - score);
+
+        Object.assign(nextAttacker.attacker, {
+            games: nextAttacker.attacker.games + 1,
+            rounds: nextAttacker.attacker.rounds + played.length,
+            roundsWon: nextAttacker.attacker.roundsWon + attackerWins,
+            lastPlayedAt: now
+        });
+        Object.assign(nextDefender.defender, {
+            games: nextDefender.defender.games + 1,
+            rounds: nextDefender.defender.rounds + played.length,
+            roundsWon: nextDefender.defender.roundsWon + played.length - attackerWins,
+            lastPlayedAt: now
+        });
+    });
+
+    next.forEach(profile => {
+        profile.updatedAt = now;
+    });
+
+    const changes = next.map((profile, index) => {
+        const change = { userId: profile.userId, timestamp: now };
+        RATING_ROLES.forEach(role => {
+            change[role] = profile[role].rating - profiles[index][role].rating;
+        });
+        return change;
+    });
+
+    return { profiles: next, changes };
+};
+
+/**
+ * Diferenças entre o perfil lido e o calculado por rateGame, para gravar
+ * sem substituir o perfil: contadores e ratings como incrementos, datas
+ * como valores novos (caminhos com ponto, ex.: 'overall.rating')
+ * @returns {{ inc: Object, set: Object }}
+ */
+const toProfileUpdate = (before, after) => {
+    const inc = {};
+    const set = { updatedAt: after.updatedAt };
+    RATING_ROLES.forEach(role => {
+        Object.entries(after[role]).forEach(([field, value]) => {
+            const path = `${role}.${field}`;
+            if (field === 'lastPlayedAt') {
+                if (value !== before[role][field]) set[path] = value;
+            } else if (value !== before[role][field]) {
+                inc[path] = value - before[role][field];
+            }
+        });
+    });
+    return { inc, set };
+};
+
+/**
+ * Início da janela temporal (ms) ou null para "desde sempre"
+ */
+const getWindowStart = (windowName, now = Date.now()) => {
+    const size = WINDOWS[windowName];
+    return size ? now - size : null;
+};
+
+/**
+ * Cria o serviço de ratings sobre a camada de armazenamento
+ * @param {Object} storage - Camada de armazenamento (ratings, users)
+ */
+const createRatingService = (storage) => {
+    /**
+     * Perfil guardado ou um novo (com o nome atual do utilizador)
+     */
+    const loadProfile = async (userId) => {
+        const saved = await storage.ratings.findById(userId);
+        if (saved) return saved;
+        const user = await storage.users.findById(userId);
+        return createProfile(userId, user?.name || null);
+    };
+
+    /**
+     * Atualiza os ratings dos dois jogadores de um jogo terminado
+     * @param {Object} data - { sessionId, playerIds: [a, b], winnerUserId, rounds }
+     * @returns {Promise<Object[]|null>} Alterações aplicadas (null se o jogo não conta)
+     */
+    const recordGame = async ({ sessionId, playerIds, winnerUserId, rounds }) => {
+        const [idA, idB] = playerIds;
+        if (!idA || !idB || idA === idB) return null;
+
+        const profiles = await Promise.all([loadProfile(idA), loadProfile(idB)]);
+        const result = rateGame({ profiles, winnerUserId, rounds });
+
+        // Só os incrementos são gravados (atómicos no armazenamento): dois jogos
+        // do mesmo jogador a terminar ao mesmo tempo não apagam um ao outro
+        await Promise.all(result.profiles.map((profile, index) => storage.ratings.update(profile.userId, {
+            insert: profiles[index],
+            ...toProfileUpdate(profiles[index], profile)
+        })));
+        const changes = result.changes.map(change => ({ ...change, sessionId }));
+        await storage.ratings.addChanges(changes);
+
+        return changes;
+    };
+
+    /**
+     * Rating atual de um jogador (sem criar perfil)
+     */
+    const getPlayer = (userId) => storage.ratings.findById(userId);
+
+    /**
+     * Classificação paginada por papel, opcionalmente só com jogadores
+     * ativos na janela temporal (com a variação de rating nessa janela)
+     * @param {Object} options - { role, window, page, limit }
+     */
+    const getLeaderboard = async ({ role = 'overall', window = 'all', page = 1, limit = 20 } = {}) => {
+        const since = getWindowStart(window);
+        const { total, profiles } = await storage.ratings.list({
+            role,
+            since,
+            offset: (page - 1) * limit,
+            limit
+        });
+
+        const deltas = since !== null
+            ? await storage.ratings.sumChanges({ role, since, userIds: profiles.map(p => p.userId) })
+            : {};
+
+        const players = profiles.map((profile, index) => ({
+            rank: (page - 1) * limit + index + 1,
+            userId: profile.userId,
+            name: profile.name,
+            ...profile[role],
+            ...(since !== null ? { change: deltas[profile.userId] || 0 } : {})
+        }));
+
+        return { role, window, page, limit, total, players };
+    };
+
+    return { recordGame, getPlayer, getLeaderboard };
+};
+
+module.exports = {
+    DEFAULT_RATING,
+    RATING_ROLES,
+    WINDOWS,
+    expectedScore,
+    nextRating,
+    createProfile,
+    rateGame,
+    toProfileUpdate,
+    createRatingService
+};
@@ -0,0 +1,167 @@
+/**
+ * Catálogo de Cenários - Temas carregados do disco
+ *
+ * Lê as definições de temas (um ficheiro JSON por tema) da pasta
+ * data/scenarios, valida a estrutura e disponibiliza-as ao resto do servidor.
+ * Os clientes escolhem temas apenas pelo ID.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../config/logger');
+
+const log = logger.child({ component: 'scenarioCatalog' });
+
+const DEFAULT_SCENARIOS_DIR = path.join(__dirname, '..', 'data', 'scenarios');
+
+// Temas indexados por ID normalizado (string)
+let themes = new Map();
+let loaded = false;
+
+/**
+ * Valida uma lista de ferramentas ({ id, nome })
+ */
+const validateTools = (tools, field, errors) => {
+    if (!Array.isArray(tools) || tools.length === 0) {
+        errors.push(`"${field}" deve ser uma lista não vazia`);
+        return;
+    }
+    const seen = new Set();
+    tools.forEach((tool, index) => {
+        if (!tool || (typeof tool.id !== 'string' && typeof tool.id !== 'number')) {
+            errors.push(`${field}[${index}] sem id válido`);
+            return;
+        }
+        if (typeof tool.nome !== 'string' || !tool.nome) {
+            errors.push(`${field}[${index}] sem nome`);
+        }
+        if (seen.has(String(tool.id))) {
+            errors.push(`${field}[${index}] tem id duplicado: ${tool.id}`);
+        }
+        seen.add(String(tool.id));
+    });
+};
+
+/**
+ * Valida a definição de um tema
+ * @returns {string[]} Lista de erros (vazia se válido)
+ */
+const validateTheme = (theme) => {
+    const errors = [];
+
+    if (!theme || typeof theme !== 'object') {
+        return ['Tema não é um objeto'];
+    }
+    if (typeof theme.id !== 'string' && typeof theme.id !== 'number') {
+        errors.push('"id" em falta');
+    }
+    if (typeof theme.titulo !== 'string' || !theme.titulo) {
+        errors.push('"titulo" em falta');
+    }
+    if (!Number.isFinite(theme.tempo) || theme.tempo <= 0) {
+        errors.push('"tempo" deve ser um número positivo (segundos)');
+    }
+
+    validateTools(theme.ataques, 'ataques', errors);
+    validateTools(theme.defesas, 'defesas', errors);
+
+    const validMap = theme.defesasValidas;
+    if (!validMap || typeof validMap !== 'object' || Array.isArray(validMap)) {
+        errors.push('"defesasValidas" deve ser um objeto { ataqueId: [defesaId] }');
+    } else if (Array.isArray(theme.ataques) && Array.isArray(theme.defesas)) {
+        const defenseIds = new Set(theme.defesas.map(tool => String(tool?.id)));
+        theme.ataques.forEach(attack => {
+            const valid = validMap[String(attack?.id)];
+            if (!Array.isArray(valid) || valid.length === 0) {
+                errors.push(`Ataque ${attack?.id} sem defesas válidas`);
+                return;
+            }
+            valid.forEach(defenseId => {
+                if (!defenseIds.has(String(defenseId))) {
+                    errors.push(`Ataque ${attack.id} aponta para defesa inexistente: ${defenseId}`);
+                }
+            });
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Carrega todos os temas da pasta indicada.
+ * Ficheiros inválidos são ignorados com aviso.
+ */
+const loadCatalog = (dir = process.env.SCENARIOS_DIR || DEFAULT_SCENARIOS_DIR) => {
+    const next = new Map();
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+        try {
+            const theme = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            const errors = validateTheme(theme);
+            if (errors.length > 0) {
+                log.warn('Cenário inválido ignorado', { file, errors });
+                continue;
+            }
+            if (next.has(String(theme.id))) {
+                log.warn('Cenário duplicado ignorado', { file, themeId: theme.id });
+                continue;
+            }
+            next.set(String(theme.id), Object.freeze(theme));
+        } catch (error) {
+            log.warn('Erro ao ler cenário', { file, error });
+        }
+    }
+
+    themes = next;
+    loaded = true;
+    log.info('Catálogo de cenários carregado', { themes: themes.size });
+    return themes.size;
+};
+
+const ensureLoaded = () => {
+    if (!loaded) loadCatalog();
+};
+
+/**
+ * Obtém um tema pelo ID (aceita número ou string)
+ */
+const getTheme = (themeId) => {
+    ensureLoaded();
+    if (themeId === undefined || themeId === null) return null;
+    return themes.get(String(themeId)) || null;
+};
+
+/**
+ * Lista todos os temas do catálogo
+ */
+const listThemes = () => {
+    ensureLoaded();
+    return Array.from(themes.values());
+};
+
+/**
+ * Número de temas disponíveis (usado no fim de jogo)
+ */
+const getThemeCount = () => {
+    ensureLoaded();
+    return themes.size;
+};
+
+/**
+ * Versão do tema segura para enviar aos clientes (sem as respostas)
+ */
+const toPublicTheme = (theme) => {
+    if (!theme) return null;
+    const { defesasValidas, ...publicTheme } = theme;
+    return publicTheme;
+};
+
+module.exports = {
+    loadCatalog,
+    validateTheme,
+    getTheme,
+    listThemes,
+    getThemeCount,
+    toPublicTheme
+};
@@ -0,0 +1,370 @@
+/**
+ * Torneios - Eliminação simples ou dupla sobre várias sessões
+ *
+ * O organizador cria o torneio por REST e os jogadores inscrevem-se. Ao
+ * começar, a chave é gerada com seeds pelo rating geral. Este serviço guarda
+ * o estado do torneio e decide quem joga com quem; criar as sessões e avisar
+ * os jogadores fica a cargo do gameHandler (onMatchReady/onUpdate).
+ *
+ * Os torneios ativos ficam em memória e cada alteração é escrita na camada
+ * de armazenamento, para a chave sobreviver a um reinício.
+ */
+
+const crypto = require('crypto');
+const {
+    BracketFormat,
+    MatchStatus,
+    MIN_PLAYERS,
+    createBracket,
+    reportMatchResult,
+    getReadyMatches,
+    getChampion,
+    findMatch
+} = require('../game/bracket');
+const { resolveRules } = require('../game/rules');
+const { getTheme } = require('./scenarioCatalog');
+const { DEFAULT_RATING } = require('./ratings');
+const { logger } = require('../config/logger');
+
+const log = logger.child({ component: 'tournaments' });
+
+const TournamentStatus = {
+    REGISTRATION: 'registration',
+    RUNNING: 'running',
+    FINISHED: 'finished'
+};
+
+const DEFAULT_MAX_PLAYERS = 16;
+const MAX_PLAYERS_LIMIT = 64;
+
+// Tempo para os dois jogadores entrarem na sessão do jogo antes de contar como falta
+const DEFAULT_NO_SHOW_SECONDS = Number(process.env.TOURNAMENT_NO_SHOW_SECONDS) || 300;
+
+const fail = (code, message) => ({ ok: false, code, message });
+
+/**
+ * Resumo para a lista de torneios
+ */
+const toTournamentSummary = (tournament) => ({
+    tournamentId: tournament.tournamentId,
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    organizerName: tournament.organizerName,
+    playerCount: tournament.players.length,
+    maxPlayers: tournament.maxPlayers,
+    championUserId: tournament.championUserId,
+    createdAt: tournament.createdAt,
+    startedAt: tournament.startedAt
+});
+
+/**
+ * Valida os dados de criação de um torneio
+ * @returns {{ ok: true, settings: Object } | { ok: false, code, message }}
+ */
+const validateSettings = ({ name, format = BracketFormat.SINGLE, maxPlayers = DEFAULT_MAX_PLAYERS, themeId = null, rules, noShowSeconds = DEFAULT_NO_SHOW_SECONDS }) => {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (trimmedName.length < 3 || trimmedName.length > 60) {
+        return fail('INVALID_TOURNAMENT', 'Nome inválido (3-60 caracteres)');
+    }
+    if (!Object.values(BracketFormat).includes(format)) {
+        return fail('INVALID_TOURNAMENT', `Formato inválido (${Object.values(BracketFormat).join(', ')})`);
+    }
+    if (!Number.isInteger(maxPlayers) || maxPlayers < MIN_PLAYERS[format] || maxPlayers > MAX_PLAYERS_LIMIT) {
+        return fail('INVALID_TOURNAMENT', `"maxPlayers" deve ser um inteiro entre ${MIN_PLAYERS[format]} e ${MAX_PLAYERS_LIMIT}`);
+    }
+    if (themeId !== null && !getTheme(themeId)) {
+        return fail('INVALID_TOURNAMENT', 'Tema não encontrado');
+    }
+    if (!Number.isFinite(noShowSeconds) || noShowSeconds < 30 || noShowSeconds > 3600) {
+        return fail('INVALID_TOURNAMENT', '"noShowSeconds" deve ser um número entre 30 e 3600');
+    }
+    const resolvedRules = resolveRules(rules);
+    if (!resolvedRules.ok) {
+        return fail('INVALID_RULES', resolvedRules.errors.join('; '));
+    }
+
+    return {
+        ok: true,
+        settings: {
+            name: trimmedName,
+            format,
+            maxPlayers,
+            themeId: themeId === null ? null : getTheme(themeId).id,
+            rules: resolvedRules.rules,
+            noShowSeconds
+        }
+    };
+};
+
+/**
+ * Cria o serviço de torneios
+ * @param {Object} storage - Camada de armazenamento (tournaments)
+ * @param {Object} options - { ratings, onMatchReady(tournament, match), onUpdate(tournament) }
+ */
+const createTournamentService = (storage, { ratings, onMatchReady = () => {}, onUpdate = () => {} } = {}) => {
+    // Torneios em inscrição ou a decorrer: tournamentId -> estado
+    const active = new Map();
+
+    const persist = (tournament) => {
+        tournament.updatedAt = Date.now();
+        storage.tournaments.save(tournament).catch(error => {
+            log.error('Erro ao guardar torneio', { tournamentId: tournament.tournamentId, error });
+        });
+    };
+
+    /**
+     * Guarda, avisa quem acompanha a chave e lança os jogos que ficaram prontos
+     */
+    const changed = (tournament) => {
+        persist(tournament);
+        onUpdate(tournament);
+        if (tournament.status === TournamentStatus.RUNNING) {
+            getReadyMatches(tournament.matches).forEach(match => onMatchReady(tournament, match));
+        }
+    };
+
+    const getActive = (tournamentId, status) => {
+        const tournament = active.get(tournamentId);
+        if (!tournament) return fail('TOURNAMENT_NOT_FOUND', 'Torneio não encontrado ou já terminado');
+        if (status && tournament.status !== status) {
+            return fail('TOURNAMENT_STATE', `O torneio não está em ${status}`);
+        }
+        return { ok: true, tournament };
+    };
+
+    /**
+     * Cria um torneio em inscrição
+     * @param {Object} organizer - { userId, name }
+     * @param {Object} data - { name, format, maxPlayers, themeId, rules, noShowSeconds }
+     */
+    const create = (organizer, data = {}) => {
+        const validation = validateSettings(data);
+        if (!validation.ok) return validation;
+
+        const now = Date.now();
+        const tournament = {
+            tournamentId: crypto.randomUUID(),
+            ...validation.settings,
+            status: TournamentStatus.REGISTRATION,
+            organizerUserId: organizer.userId,
+            organizerName: organizer.name || null,
+            players: [], // [{ userId, name, seed, registeredAt }]
+            matches: [],
+            championUserId: null,
+            createdAt: now,
+            startedAt: null,
+            finishedAt: null,
+            updatedAt: now
+        };
+        active.set(tournament.tournamentId, tournament);
+        changed(tournament);
+
+        log.info('Torneio criado', { tournamentId: tournament.tournamentId, format: tournament.format, maxPlayers: tournament.maxPlayers });
+        return { ok: true, tournament };
+    };
+
+    /**
+     * Inscreve um jogador
+     * @param {Object} user - { userId, name }
+     */
+    const register = (tournamentId, user) => {
+        const found = getActive(tournamentId, TournamentStatus.REGISTRATION);
+        if (!found.ok) return found;
+        const { tournament } = found;
+
+        if (tournament.players.some(player => player.userId === user.userId)) {
+            return fail('ALREADY_REGISTERED', 'Já está inscrito neste torneio');
+        }
+        if (tournament.players.length >= tournament.maxPlayers) {
+            return fail('TOURNAMENT_FULL', 'Torneio cheio');
+        }
+
+        tournament.players.push({ userId: user.userId, name: user.name || null, seed: null, registeredAt: Date.now() });
+        changed(tournament);
+        return { ok: true, tournament };
+    };
+
+    /**
+     * Anula a inscrição (só antes de começar)
+     */
+    const withdraw = (tournamentId, userId) => {
+        const found = getActive(tournamentId, TournamentStatus.REGISTRATION);
+        if (!found.ok) return found;
+        const { tournament } = found;
+
+        const index = tournament.players.findIndex(player => player.userId === userId);
+        if (index === -1) {
+            return fail('NOT_REGISTERED', 'Não está inscrito neste torneio');
+        }
+
+        tournament.players.splice(index, 1);
+        changed(tournament);
+        return { ok: true, tournament };
+    };
+
+    /**
+     * Fecha as inscrições, ordena as seeds pelo rating geral e gera a chave
+     */
+    const start = async (tournamentId, userId) => {
+        const found = getActive(tournamentId, TournamentStatus.REGISTRATION);
+        if (!found.ok) return found;
+        const { tournament } = found;
+
+        if (tournament.organizerUserId !== userId) {
+            return fail('ORGANIZER_ONLY', 'Apenas o organizador pode começar o torneio');
+        }
+        if (tournament.players.length < MIN_PLAYERS[tournament.format]) {
+            return fail('NOT_ENOUGH_PLAYERS', `São precisos pelo menos ${MIN_PLAYERS[tournament.format]} jogadores`);
+        }
+
+        const profiles = await Promise.all(tournament.players.map(player =>
+            ratings.getPlayer(player.userId).catch(() => null)));
+        const ratingOf = new Map(tournament.players.map((player, index) =>
+            [player.userId, profiles[index]?.overall.rating ?? DEFAULT_RATING]));
+
+        // Entretanto pode ter começado noutro pedido
+        if (tournament.status !== TournamentStatus.REGISTRATION) {
+            return fail('TOURNAMENT_STATE', 'O torneio já começou');
+        }
+
+        // Melhor rating primeiro; empates pela ordem de inscrição
+        const seeded = [...tournament.players].sort((a, b) =>
+            ratingOf.get(b.userId) - ratingOf.get(a.userId) || a.registeredAt - b.registeredAt);
+        seeded.forEach((player, index) => {
+            player.seed = index + 1;
+        });
+
+        tournament.players = seeded;
+        tournament.matches = createBracket(tournament.format, seeded.map(player => player.userId));
+        tournament.status = TournamentStatus.RUNNING;
+        tournament.startedAt = Date.now();
+
+        log.info('Torneio começou', { tournamentId, players: seeded.length });
+        changed(tournament);
+        return { ok: true, tournament };
+    };
+
+    /**
+     * Associa a sessão criada para um jogo da chave
+     */
+    const markPlaying = (tournamentId, matchId, sessionId) => {
+        const tournament = active.get(tournamentId);
+        const match = tournament && findMatch(tournament.matches, matchId);
+        if (!match || match.status !== MatchStatus.READY) return false;
+
+        match.status = MatchStatus.PLAYING;
+        match.sessionId = sessionId;
+        persist(tournament);
+        onUpdate(tournament);
+        return true;
+    };
+
+    /**
+     * Resultado de um jogo: avança o vencedor e lança os jogos seguintes
+     * @param {Object} result - { winnerUserId, forfeit }
+     */
+    const reportResult = (tournamentId, matchId, { winnerUserId, forfeit = false }) => {
+        const found = getActive(tournamentId, TournamentStatus.RUNNING);
+        if (!found.ok) return found;
+        const { tournament } = found;
+
+        const result = reportMatchResult(tournament.matches, matchId, { winnerUserId, forfeit });
+        if (!result.ok) return result;
+
+        log.info('Jogo de torneio terminado', { tournamentId, matchId, winnerUserId, forfeit: Boolean(forfeit) });
+
+        const championUserId = getChampion(tournament.matches);
+        if (championUserId) {
+            tournament.status = TournamentStatus.FINISHED;
+            tournament.championUserId = championUserId;
+            tournament.finishedAt = Date.now();
+            active.delete(tournamentId);
+            log.info('Torneio terminado', { tournamentId, championUserId });
+        }
+
+        changed(tournament);
+        return { ok: true, tournament };
+    };
+
+    /**
+     * Torneio por ID (ativo em memória ou terminado no armazenamento)
+     */
+    const get = async (tournamentId) => active.get(tournamentId) || storage.tournaments.findById(tournamentId);
+
+    /**
+     * Lista de torneios, mais recentes primeiro
+     * @param {Object} options - { status, page, limit }
+     */
+    const list = async ({ status = null, page = 1, limit = 20 } = {}) => {
+        const { total, tournaments } = await storage.tournaments.list({ status, offset: (page - 1) * limit, limit });
+        return { page, limit, total, tournaments: tournaments.map(toTournamentSummary) };
+    };
+
+    /**
+     * Jogos com sessão criada em que o jogador ainda tem de jogar
+     * @returns {{ tournament, match }[]}
+     */
+    const findOpenMatches = (userId) => Array.from(active.values())
+        .filter(tournament => tournament.status === TournamentStatus.RUNNING)
+        .flatMap(tournament => tournament.matches
+            .filter(match => match.status === MatchStatus.PLAYING
+                && match.slots.some(slot => slot.userId === userId))
+            .map(match => ({ tournament, match })));
+
+    /**
+     * Carrega os torneios ativos depois de um reinício
+     * @returns {Object[]} Torneios a decorrer (para o gameHandler reconciliar as sessões)
+     */
+    const restore = async () => {
+        const saved = await storage.tournaments.listActive();
+        saved.forEach(tournament => active.set(tournament.tournamentId, tournament));
+        if (saved.length > 0) {
+            log.info('Torneios restaurados do armazenamento', { count: saved.length });
+        }
+        return saved.filter(tournament => tournament.status === TournamentStatus.RUNNING);
+    };
+
+    /**
+     * Jogo cuja sessão se perdeu: volta a ficar pronto para uma sessão nova
+     */
+    const requeueMatch = (tournamentId, matchId) => {
+        const tournament = active.get(tournamentId);
+        const match = tournament && findMatch(tournament.matches, matchId);
+        if (!match || match.status !== MatchStatus.PLAYING) return false;
+
+        match.status = MatchStatus.READY;
+        match.sessionId = null;
+        persist(tournament);
+        return true;
+    };
+
+    /**
+     * Volta a lançar os jogos prontos sem sessão (ex.: depois de um reinício)
+     */
+    const launchReadyMatches = (tournament) => {
+        getReadyMatches(tournament.matches).forEach(match => onMatchReady(tournament, match));
+    };
+
+    return {
+        create,
+        register,
+        withdraw,
+        start,
+        markPlaying,
+        reportResult,
+        get,
+        list,
+        findOpenMatches,
+        restore,
+        requeueMatch,
+        launchReadyMatches
+    };
+};
+
+module.exports = {
+    TournamentStatus,
+    DEFAULT_NO_SHOW_SECONDS,
+    toTournamentSummary,
+    createTournamentService
+};
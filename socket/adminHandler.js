@@ -0,0 +1,161 @@
+/**
+ * Admin Handler - Operações da API de administração (routes/admin)
+ *
+ * Atuam sobre o mesmo armazém de sessões e servidor Socket.IO dos eventos
+ * de jogo: listar e inspecionar sessões, terminá-las ou removê-las, enviar
+ * avisos a todos os clientes e encerrar a instância.
+ * Resultados: { ok: true, ... } | { ok: false, code, message }
+ */
+
+const { GameStatus, GameEvent, transition } = require('../game/stateMachine');
+const { TEAM_NAMES } = require('../game/teams');
+const { teamRoom } = require('./sessionState');
+const { ErrorCode } = require('./errorCodes');
+const { logger } = require('../config/logger');
+
+const log = logger.child({ component: 'adminHandler' });
+
+/**
+ * Resumo de uma sessão para a API de administração (routes/admin)
+ */
+const toAdminSummary = (game, now = Date.now()) => ({
+    sessionId: game.sessionId,
+    status: game.status,
+    players: {
+        attacker: { userId: game.attacker.userId, connected: game.attacker.connected, bot: game.attacker.bot || null },
+        defender: { userId: game.defender.userId, connected: game.defender.connected, bot: game.defender.bot || null }
+    },
+    teams: game.teams
+        ? Object.fromEntries(TEAM_NAMES.map(name => [name, game.teams[name].members.map(m => m.userId)]))
+        : null,
+    roundNumber: game.roundNumber,
+    totalRounds: game.totalRounds,
+    themeId: game.activeThemeId,
+    hostUserId: game.hostUserId,
+    tournamentId: game.tournament?.tournamentId || null,
+    spectatorCount: game.spectatorCount || 0,
+    createdAt: game.createdAt,
+    updatedAt: game.updatedAt,
+    ageSeconds: Math.round((now - game.createdAt) / 1000),
+    idleSeconds: Math.round((now - game.updatedAt) / 1000)
+});
+
+/**
+ * Cria as operações de administração sobre as sessões do gameHandler
+ * @param {Object} context - { io, games, sessions, withSession, clearSessionTimers,
+ *   settleAbandonedMatch, broadcastState, toRoom, deleteGame, isDraining, setDraining }
+ */
+const createAdminHandler = ({
+    io,
+    games,
+    sessions,
+    withSession,
+    clearSessionTimers,
+    settleAbandonedMatch,
+    broadcastState,
+    toRoom,
+    deleteGame,
+    isDraining,
+    setDraining
+}) => {
+    const admin = {
+        listSessions: async ({ status = null } = {}) => {
+            const now = Date.now();
+            return (await sessions.list())
+                .filter(game => !status || game.status === status)
+                .sort((a, b) => b.createdAt - a.createdAt)
+                .map(game => toAdminSummary(game, now));
+        },
+
+        /**
+         * Estado interno completo (ou null)
+         */
+        getSession: (sessionId) => sessions.get(sessionId),
+
+        /**
+         * Termina o jogo (GAME_FINISHED, sem vencedor nem ratings) e avisa a sala
+         */
+        endSession: (sessionId, reason) => withSession(sessionId, () => {
+            const game = games.get(sessionId);
+            if (!game) return { ok: false, code: ErrorCode.SESSION_NOT_FOUND, message: 'Sessão não encontrada' };
+
+            const result = transition(game.status, GameEvent.ADMIN_END);
+            if (!result.ok) return { ok: false, code: result.code, message: 'O jogo já terminou' };
+
+            clearSessionTimers(sessionId);
+            if (game.tournament && !game.tournament.reported) settleAbandonedMatch(game);
+            game.status = result.to;
+            game.pause = null;
+            game.teamVote = null;
+            game.consentRequest = null;
+            game.currentRound.deadline = null;
+            // Jogo interrompido: as rondas jogadas não contam para os ratings
+            game.ratedRounds = game.history.length;
+            game.updatedAt = Date.now();
+
+            log.info('Sessão terminada pelo operador', { sessionId, reason });
+            broadcastState(sessionId, game);
+            toRoom(sessionId).emit('session_ended', { reason: reason || null });
+            return { ok: true, session: toAdminSummary(game) };
+        }),
+
+        /**
+         * Remove a sessão: avisa a sala e tira os sockets das salas Socket.IO
+         */
+        deleteSession: (sessionId, reason) => withSession(sessionId, () => {
+            if (!games.get(sessionId)) {
+                return { ok: false, code: ErrorCode.SESSION_NOT_FOUND, message: 'Sessão não encontrada' };
+            }
+
+            toRoom(sessionId).emit('session_closed', { reason: reason || null });
+            io.in(sessionId).socketsLeave([sessionId, ...TEAM_NAMES.map(name => teamRoom(sessionId, name))]);
+            // Sockets noutras instâncias ficam com a sessão antiga e recebem NOT_IN_SESSION
+            for (const playerSocket of io.sockets.sockets.values()) {
+                if (playerSocket.data.sessionId === sessionId) {
+                    playerSocket.data.sessionId = null;
+                    playerSocket.data.role = null;
+                }
+            }
+            deleteGame(sessionId);
+
+            log.info('Sessão removida pelo operador', { sessionId, reason });
+            return { ok: true, sessionId };
+        }),
+
+        /**
+         * Aviso de manutenção a todos os sockets (de todas as instâncias)
+         */
+        broadcastNotice: (message, level = 'info') => {
+            const notice = { message, level, timestamp: Date.now() };
+            io.emit('server_notice', notice);
+            log.info('Aviso enviado a todos os clientes', { notice: message, level });
+            return { ok: true, notice };
+        },
+
+        /**
+         * Estado do encerramento desta instância
+         */
+        getDrainStatus: async () => ({
+            draining: isDraining(),
+            connectedSockets: io.of('/').sockets.size,
+            activeSessions: (await sessions.list()).filter(game => game.status !== GameStatus.GAME_FINISHED).length
+        }),
+
+        /**
+         * Liga/desliga o encerramento desta instância (os clientes dela são avisados)
+         */
+        setDraining: async (value) => {
+            setDraining(value);
+            io.local.emit('server_draining', { draining: value });
+            log.info(value ? 'Servidor em encerramento: jogos novos recusados' : 'Encerramento cancelado', { draining: value });
+            return { ok: true, ...(await admin.getDrainStatus()) };
+        }
+    };
+
+    return admin;
+};
+
+module.exports = {
+    toAdminSummary,
+    createAdminHandler
+};
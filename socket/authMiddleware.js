@@ -0,0 +1,26 @@
+/**
+ * Middleware de Autenticação do Socket.IO
+ *
+ * Verifica o token enviado no handshake (`auth: { token }`) e guarda a
+ * identidade verificada em socket.data. Os handlers de jogo usam apenas
+ * socket.data.userId, nunca um userId vindo do payload.
+ */
+
+const { verifyToken } = require('../services/auth');
+const { ErrorCode } = require('./errorCodes');
+
+module.exports = (socket, next) => {
+    const token = socket.handshake.auth?.token;
+    const payload = verifyToken(token);
+
+    if (!payload) {
+        const error = new Error('Não autenticado');
+        error.data = { code: ErrorCode.UNAUTHORIZED };
+        return next(error);
+    }
+
+    socket.data.userId = payload.sub;
+    socket.data.userName = payload.name;
+    socket.data.guest = payload.guest;
+    next();
+};
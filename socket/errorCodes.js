@@ -0,0 +1,81 @@
+/**
+ * Códigos de Erro dos Eventos Socket.IO
+ *
+ * Lista estável dos códigos enviados aos clientes em `{ ok: false, code, message }`
+ * (callback de acknowledgement) ou no evento `error`. A mensagem é apenas
+ * informativa (português); o frontend deve traduzir a partir do código.
+ * Códigos existentes não mudam de significado nem são removidos.
+ */
+
+const { TransitionError } = require('../game/stateMachine');
+
+const ErrorCode = Object.freeze({
+    // Ligação e pedidos
+    UNAUTHORIZED: 'UNAUTHORIZED', // Token em falta ou inválido (handshake)
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD', // Dados do evento não respeitam o schema
+    INTERNAL_ERROR: 'INTERNAL_ERROR', // Falha inesperada no servidor
+    STALE_STATE: 'STALE_STATE', // Ação enviada com uma versão antiga do estado
+
+    // Limites (socket/rateLimiter)
+    RATE_LIMITED: 'RATE_LIMITED', // Demasiados eventos na janela (ver retryAfterMs)
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    SESSION_LIMIT: 'SESSION_LIMIT', // Demasiadas salas abertas pelo mesmo cliente
+    TOO_MANY_VIOLATIONS: 'TOO_MANY_VIOLATIONS', // Enviado antes de o servidor desligar o socket
+
+    // Máquina de estados
+    ILLEGAL_TRANSITION: TransitionError.ILLEGAL_TRANSITION, // Ação não permitida no estado atual
+    ROLE_NOT_ALLOWED: TransitionError.ROLE_NOT_ALLOWED, // Papel do jogador não pode fazer esta ação
+
+    // Salas e lugares
+    NOT_IN_SESSION: 'NOT_IN_SESSION',
+    SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+    SESSION_FULL: 'SESSION_FULL',
+    SEAT_TAKEN: 'SEAT_TAKEN',
+    WAITING_FOR_HOST: 'WAITING_FOR_HOST', // Sala ainda sem ninguém sentado
+    HOST_ONLY: 'HOST_ONLY',
+    ALREADY_IN_GAME: 'ALREADY_IN_GAME',
+    SERVER_DRAINING: 'SERVER_DRAINING', // Servidor a encerrar: não aceita jogos novos
+    ALREADY_PLAYING: 'ALREADY_PLAYING', // Jogador não pode assistir a outra sessão
+    INVALID_ROLE: 'INVALID_ROLE',
+    INVALID_RULES: 'INVALID_RULES',
+    RULE_DISABLED: 'RULE_DISABLED',
+    THEME_NOT_FOUND: 'THEME_NOT_FOUND',
+
+    // Anfitrião e pedidos ao adversário
+    ROOM_LOCKED: 'ROOM_LOCKED', // Sala trancada: só voltam os jogadores que já lá estavam
+    KICKED: 'KICKED', // Expulso desta sala pelo anfitrião
+    GAME_IN_PROGRESS: 'GAME_IN_PROGRESS', // Ação só permitida em LOBBY/READY
+    INVALID_TARGET: 'INVALID_TARGET', // Jogador alvo não está na sala (ou é o próprio anfitrião)
+    CONSENT_PENDING: 'CONSENT_PENDING', // Já há um pedido à espera do adversário
+    NO_CONSENT_REQUEST: 'NO_CONSENT_REQUEST',
+    OPPONENT_ONLY: 'OPPONENT_ONLY', // Só o adversário responde ao pedido
+
+    // Jogadas
+    INVALID_TOOL: 'INVALID_TOOL', // Ferramenta que não pertence ao tema
+    TIME_EXPIRED: 'TIME_EXPIRED', // Defesa depois do prazo da ronda
+    TOO_EARLY: 'TOO_EARLY', // time_expired antes do prazo da ronda (ver msRemaining)
+    WINNER_ONLY: 'WINNER_ONLY', // Só o vencedor da ronda escolhe o próximo papel
+
+    // Espectadores
+    SPECTATOR_READ_ONLY: 'SPECTATOR_READ_ONLY',
+    SPECTATING_DISABLED: 'SPECTATING_DISABLED',
+
+    // Bots
+    INVALID_DIFFICULTY: 'INVALID_DIFFICULTY',
+
+    // Equipas
+    INVALID_TEAM_MODE: 'INVALID_TEAM_MODE',
+    INVALID_TEAM: 'INVALID_TEAM',
+    TEAM_FULL: 'TEAM_FULL',
+    TEAM_GAME: 'TEAM_GAME', // Ação indisponível em jogos de equipas
+    TEAM_GAME_ONLY: 'TEAM_GAME_ONLY', // Ação só disponível em jogos de equipas
+    NOT_A_PLAYER: 'NOT_A_PLAYER',
+    NOT_A_MEMBER: 'NOT_A_MEMBER',
+    CAPTAIN_ONLY: 'CAPTAIN_ONLY',
+
+    // Torneios
+    TOURNAMENT_NOT_FOUND: 'TOURNAMENT_NOT_FOUND',
+    TOURNAMENT_MATCH: 'TOURNAMENT_MATCH' // Ação indisponível em jogos de torneio
+});
+
+module.exports = { ErrorCode };
@@ -0,0 +1,149 @@
+/**
+ * Schemas dos Eventos Socket.IO
+ *
+ * Cada evento recebido do cliente é validado contra o schema declarado aqui
+ * antes de chegar ao handler. Campos desconhecidos são ignorados; campos
+ * conhecidos com tipo ou valor inválido recusam o evento (INVALID_PAYLOAD).
+ *
+ * Schema: { session, fields }
+ * - session: o socket tem de estar numa sessão existente (senão NOT_IN_SESSION)
+ * - fields: campo -> { type, required, nullable, enum, min, max, maxLength }
+ *   type: 'string' | 'integer' | 'boolean' | 'object' | 'id' (string ou número) | lista de tipos
+ */
+
+const { Role } = require('../game/stateMachine');
+const { TEAM_NAMES } = require('../game/teams');
+const { BOT_DIFFICULTIES } = require('../game/bot');
+const { ErrorCode } = require('./errorCodes');
+
+const PLAYER_ROLES = [Role.ATTACKER, Role.DEFENDER];
+
+const sessionId = { type: 'string', maxLength: 64 };
+const themeId = { type: 'id', nullable: true };
+const toolId = { type: 'id', required: true };
+const role = { type: 'string', enum: PLAYER_ROLES, nullable: true };
+// Versão do estado que o cliente viu (ver VERSIONED_EVENTS no gameHandler)
+const version = { type: 'integer', min: 0, max: Number.MAX_SAFE_INTEGER };
+
+const EVENT_SCHEMAS = {
+    create_game: {
+        fields: {
+            role,
+            themeId,
+            private: { type: 'boolean' },
+            rules: { type: 'object', nullable: true },
+            team: { type: ['boolean', 'object'], nullable: true }
+        }
+    },
+    list_lobbies: { fields: {} },
+    unwatch_lobbies: { fields: {} },
+    watch_tournament: { fields: { tournamentId: { type: 'string', required: true, maxLength: 64 } } },
+    unwatch_tournament: { fields: { tournamentId: { type: 'string', required: true, maxLength: 64 } } },
+    queue_for_match: { fields: { preferredRole: role, themeId } },
+    cancel_queue: { fields: {} },
+    join_game: {
+        fields: {
+            sessionId: { ...sessionId, required: true },
+            role,
+            themeId,
+            team: { type: 'string', enum: TEAM_NAMES, nullable: true }
+        }
+    },
+    start_game: {
+        fields: {
+            themeId: { type: 'id', required: true },
+            role,
+            sessionId: { ...sessionId, nullable: true },
+            rules: { type: 'object', nullable: true },
+            version
+        }
+    },
+    execute_attack: { session: true, fields: { toolId, version } },
+    execute_defense: { session: true, fields: { toolId, version } },
+    time_expired: { session: true, fields: { version } },
+    choose_next_role: { session: true, fields: { role: { ...role, required: true, nullable: false }, version } },
+    next_round: { session: true, fields: { version } },
+    reset_game: { session: true, fields: { version } },
+    replay_game: { session: true, fields: { version } },
+    request_state: { fields: {} },
+    set_captain: { session: true, fields: { userId: { type: 'string', required: true, maxLength: 64 }, version } },
+    add_bot: {
+        session: true,
+        fields: { difficulty: { type: 'string', enum: Object.keys(BOT_DIFFICULTIES) }, version }
+    },
+    spectate_game: { fields: { sessionId: { ...sessionId, required: true } } },
+    stop_spectating: { fields: {} },
+    set_spectating: { session: true, fields: { allowed: { type: 'boolean', required: true } } },
+    kick_player: { session: true, fields: { userId: { type: 'string', required: true, maxLength: 64 }, version } },
+    lock_room: { session: true, fields: { locked: { type: 'boolean', required: true }, version } },
+    update_rules: { session: true, fields: { rules: { type: 'object', required: true }, version } },
+    transfer_host: { session: true, fields: { userId: { type: 'string', required: true, maxLength: 64 }, version } },
+    respond_consent: { session: true, fields: { accept: { type: 'boolean', required: true }, version } }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    object: isPlainObject,
+    id: (value) => (typeof value === 'string' && value.length > 0 && value.length <= 100) || Number.isInteger(value)
+};
+
+/**
+ * Valida um campo
+ * @returns {string|null} Mensagem de erro
+ */
+const checkField = (name, value, spec) => {
+    if (value === undefined) {
+        return spec.required ? `"${name}" é obrigatório` : null;
+    }
+    if (value === null) {
+        return spec.nullable && !spec.required ? null : `"${name}" não pode ser null`;
+    }
+
+    const types = [].concat(spec.type);
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+        return `"${name}" deve ser do tipo ${types.join(' ou ')}`;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+        return `"${name}" deve ser ${spec.enum.join(', ')}`;
+    }
+    if (spec.maxLength !== undefined && typeof value === 'string' && (value.length === 0 || value.length > spec.maxLength)) {
+        return `"${name}" deve ter entre 1 e ${spec.maxLength} caracteres`;
+    }
+    if (spec.min !== undefined && (value < spec.min || value > spec.max)) {
+        return `"${name}" deve estar entre ${spec.min} e ${spec.max}`;
+    }
+    return null;
+};
+
+/**
+ * Valida os dados de um evento (sem dados = objeto vazio)
+ * @returns {{ ok: true, schema } | { ok: false, code, message }}
+ */
+const validateEvent = (event, data) => {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) {
+        return { ok: false, code: ErrorCode.INVALID_PAYLOAD, message: `Evento desconhecido: ${event}` };
+    }
+
+    const payload = data === undefined || data === null ? {} : data;
+    if (!isPlainObject(payload)) {
+        return { ok: false, code: ErrorCode.INVALID_PAYLOAD, message: 'Os dados do evento devem ser um objeto' };
+    }
+
+    const errors = Object.entries(schema.fields)
+        .map(([name, spec]) => checkField(name, payload[name], spec))
+        .filter(Boolean);
+    if (errors.length > 0) {
+        return { ok: false, code: ErrorCode.INVALID_PAYLOAD, message: errors.join('; ') };
+    }
+    return { ok: true, schema };
+};
+
+module.exports = {
+    EVENT_SCHEMAS,
+    validateEvent
+};
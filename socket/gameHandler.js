@@ -6,137 +6,1758 @@
  * - Execução de ataques
  * - Tentativas de defesa
  * - Sincronização de estado
+ * - Persistência em cada transição de estado
+ *
+ * As restantes funcionalidades têm o seu módulo em socket/, ligado aqui:
+ * equipas (teamHandler), controlo do anfitrião (hostHandler), torneios
+ * (tournamentHandler) e API de administração (adminHandler). O estado
+ * inicial, as vistas e as salas partilhadas estão em socket/sessionState.
+ *
+ * Os eventos de cada sessão correm um de cada vez (fila por sessão no
+ * armazém de sessões). Cada estado enviado leva uma `version`; as ações
+ * enviadas com uma versão antiga são recusadas com STALE_STATE.
+ *
+ * Os logs saem em JSON (config/logger); as linhas de cada evento levam
+ * eventId, event, socketId, userId verificado e sessionId.
  */
 
-// Armazenamento em memória (fallback se MongoDB não disponível)
-const games = new Map();
-
-// Estados possíveis do jogo
-const GameStatus = {
-    LOBBY: 'LOBBY',
-    READY: 'READY',
-    ATTACKING: 'ATTACKING',
-    DEFENDED: 'DEFENDED',
-    BREACHED: 'BREACHED',
-    THEME_COMPLETED: 'THEME_COMPLETED', // Novo estado: Fim das 3 rondas do tema
-    GAME_FINISHED: 'GAME_FINISHED' // Novo estado: Todos os temas jogados
-};
-
-/**
- * Cria um estado inicial limpo para um novo jogo
- */
-const createInitialState = (sessionId) => ({
-    sessionId,
-    status: GameStatus.LOBBY,
-    activeThemeId: null,
-    activeTheme: null,
-    attacker: { socketId: null, userId: null, connected: false },
-    defender: { socketId: null, userId: null, connected: false },
-    currentRound: {
-        attackerTool: null,
-        defenderTool: null,
-        startTime: null,
-        endTime: null
-    },
-    attackerScore: 0,
-    defenderScore: 0,
-    roundNumber: 0,
-    totalRounds: 0,
-    streak: 0,
-    playedThemes: [], // Array de IDs de temas já jogados
-    themeRoundCount: 0, // Contador de rondas do tema atual (1-3)
-    history: [],
-    createdAt: Date.now(),
-    updatedAt: Date.now()
-});
+const { isAttackTool, isDefenseTool, evaluateDefense } = require('../game/defense');
+const { getTheme, getThemeCount, listThemes, toPublicTheme } = require('../services/scenarioCatalog');
+const { createRoundTimers } = require('../game/roundTimer');
+const { GameStatus, GameEvent, Role, transition } = require('../game/stateMachine');
+const { generateRoomCode, normalizeRoomCode, listOpenLobbies } = require('../game/lobby');
+const { createMatchmaker, assignRoles, pickTheme } = require('../game/matchmaking');
+const {
+    resolveRules,
+    getRules,
+    getRuleRoundTime,
+    calculateScore,
+    getThemesPerMatch
+} = require('../game/rules');
+const {
+    BOT_DIFFICULTIES,
+    DEFAULT_DIFFICULTY,
+    createBotUserId,
+    chooseAttack,
+    chooseDefense,
+    getDefenseDelay,
+    getAttackDelay
+} = require('../game/bot');
+const {
+    TEAM_NAMES,
+    resolveTeamMode,
+    createTeams,
+    findMember,
+    syncSeats,
+    swapSides,
+    getAllMemberIds
+} = require('../game/teams');
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createMemoryStore, createMemorySessionStore } = require('../storage');
+const { createRatingService, DEFAULT_RATING } = require('../services/ratings');
+const { createMatchHistory } = require('../services/matchHistory');
+const { createGameMetrics } = require('../services/metrics');
+const {
+    createInitialState,
+    toClientState,
+    toSpectatorState,
+    spectatorRoom,
+    teamRoom,
+    getDisconnectedRoles,
+    sumScoresByUser,
+    sumScoresByTeam,
+    teamRoundFields,
+    getPlayerRole,
+    logHostAction
+} = require('./sessionState');
+const { createTeamHandler } = require('./teamHandler');
+const { createHostHandler } = require('./hostHandler');
+const { createTournamentHandler } = require('./tournamentHandler');
+const { createAdminHandler } = require('./adminHandler');
+const { ErrorCode } = require('./errorCodes');
+const { validateEvent } = require('./eventSchemas');
+const { createRateLimiter } = require('./rateLimiter');
+const { logger, runWithLogContext, runWithNewLogContext } = require('../config/logger');
+
+const log = logger.child({ component: 'gameHandler' });
+
+// Margem para aceitar time_expired do cliente antes do prazo do servidor (latência)
+const TIME_EXPIRED_TOLERANCE_MS = 500;
+
+// Eventos de jogo recusados a sockets em modo espectador
+const SPECTATOR_BLOCKED_EVENTS = [
+    'join_game',
+    'start_game',
+    'create_game',
+    'execute_attack',
+    'execute_defense',
+    'time_expired',
+    'choose_next_role',
+    'next_round',
+    'reset_game',
+    'replay_game',
+    'set_spectating',
+    'queue_for_match',
+    'add_bot',
+    'set_captain',
+    'kick_player',
+    'lock_room',
+    'update_rules',
+    'transfer_host',
+    'respond_consent'
+];
+
+// Ações que o cliente pode enviar com a `version` do estado que viu:
+// se o estado entretanto mudou, a ação é recusada (STALE_STATE)
+const VERSIONED_EVENTS = [
+    'start_game',
+    'execute_attack',
+    'execute_defense',
+    'time_expired',
+    'choose_next_role',
+    'next_round',
+    'reset_game',
+    'replay_game',
+    'add_bot',
+    'set_captain',
+    'kick_player',
+    'lock_room',
+    'update_rules',
+    'transfer_host',
+    'respond_consent'
+];
+
+// Janela de reconexão antes de o jogo terminar por desistência
+const RECONNECT_GRACE_MS = (Number(process.env.RECONNECT_GRACE_SECONDS) || 60) * 1000;
+
+// Tempo máximo de espera na fila de matchmaking
+const MATCHMAKING_TIMEOUT_MS = (Number(process.env.MATCHMAKING_TIMEOUT_SECONDS) || 120) * 1000;
+
+// Sala Socket.IO de quem está a ver a lista de lobbies
+const LOBBY_BROWSER_ROOM = 'lobby-browser';
 
 /**
- * Obtém ou cria um jogo
+ * Papel ocupado por um bot ('attacker' | 'defender' | null)
  */
-const getOrCreateGame = (sessionId) => {
-    if (!games.has(sessionId)) {
-        games.set(sessionId, createInitialState(sessionId));
-    }
-    return games.get(sessionId);
+const getBotRole = (game) => {
+    if (game.attacker.bot) return Role.ATTACKER;
+    if (game.defender.bot) return Role.DEFENDER;
+    return null;
 };
 
 /**
- * Converte estado interno para formato do cliente
+ * Contexto da máquina de estados para avançar de ronda
  */
-const toClientState = (game) => ({
-    sessionId: game.sessionId,
-    gameStatus: game.status,
-    activeThemeId: game.activeThemeId,
-    activeTheme: game.activeTheme,
-    attackerTool: game.currentRound.attackerTool,
-    defenderTool: game.currentRound.defenderTool,
-    startTime: game.currentRound.startTime,
-    endTime: game.currentRound.endTime,
-    attackerScore: game.attackerScore,
-    defenderScore: game.defenderScore,
-    roundNumber: game.roundNumber,
-    totalRounds: game.totalRounds,
-    streak: game.streak,
-    responseTime: game.currentRound.endTime && game.currentRound.startTime
-        ? (game.currentRound.endTime - game.currentRound.startTime) / 1000
-        : null,
-    history: game.history,
-    players: {
-        attacker: { id: game.attacker.socketId, connected: game.attacker.connected },
-        defender: { id: game.defender.socketId, connected: game.defender.connected }
-    },
-    playedThemes: game.playedThemes,
-    themeRoundCount: game.themeRoundCount
+const nextRoundContext = (game) => ({
+    themeCompleted: (Number(game.themeRoundCount) || 1) >= getRules(game).roundsPerTheme
 });
 
-/**
- * Calcula pontuação com base no tempo e streak
- */
-const calculateScore = (timeRemaining, maxTime, correct, streak) => {
-    if (!correct) return 0;
-    const base = 100;
-    const timeBonus = Math.round((timeRemaining / maxTime) * 200);
-    const streakBonus = streak * 50;
-    return base + timeBonus + streakBonus;
-};
-
 /**
  * Configura os handlers de Socket.IO
+ * @param {Server} io - Instância Socket.IO
+ * @param {Object} options - { storage, sessions, rateLimiter } (por omissão, tudo em memória)
+ * `sessions` é o armazém das sessões ativas (ver storage/sessionStore); com um
+ * armazém partilhado, várias instâncias servem as mesmas salas.
+ * `rateLimiter` limita os eventos de cada cliente (ver socket/rateLimiter).
+ * `metrics` recebe as métricas do jogo (ver services/metrics, exposto em /metrics).
  */
-module.exports = (io) => {
+module.exports = async (io, {
+    storage = createMemoryStore(),
+    sessions = createMemorySessionStore(),
+    ratings = createRatingService(storage),
+    matchHistory = createMatchHistory(storage),
+    rateLimiter = createRateLimiter(),
+    metrics = createGameMetrics()
+} = {}) => {
+    // Vista local das sessões ativas: atualizada a partir do armazém em cada withSession
+    const games = new Map();
+
+    // Sessão cujo lock o código em curso detém (evita pedir o mesmo lock duas vezes)
+    const heldSession = new AsyncLocalStorage();
+
+    // Evento do cliente em curso: { socket, event, ack, answered } (erros vão para o callback)
+    const eventReply = new AsyncLocalStorage();
+
+    /**
+     * Envia um erro ao socket: pelo callback do evento em curso, se o cliente
+     * o passou, senão pelo evento `error` (socket null = bot, ignorado)
+     * @param {Object} error - { code, message, ...detalhes }
+     */
+    const sendError = (socket, error) => {
+        if (!socket) return;
+        const reply = eventReply.getStore();
+        // Erros fora de um evento do próprio socket (ex.: matchmaking) contam como 'server'
+        metrics.eventErrors.inc({ event: reply?.socket === socket ? reply.event : 'server', code: error.code });
+        if (reply?.socket === socket && reply.ack && !reply.answered) {
+            reply.answered = true;
+            reply.ack({ ok: false, ...error });
+            return;
+        }
+        socket.emit('error', error);
+    };
+
+    // Servidor a encerrar (API de administração): recusa jogos novos, os atuais continuam
+    let draining = false;
+
+    /**
+     * Recusa a criação de um jogo enquanto o servidor encerra
+     * @returns {boolean} true se recusou
+     */
+    const refuseWhileDraining = (socket) => {
+        if (!draining) return false;
+        sendError(socket, { code: ErrorCode.SERVER_DRAINING, message: 'O servidor vai reiniciar e não aceita jogos novos' });
+        return true;
+    };
+
+    const isHeld = (sessionId) => {
+        const held = heldSession.getStore();
+        return Boolean(held?.active && held.sessionId === sessionId);
+    };
+
+    /**
+     * Procura um jogo pelo ID exato ou pelo código de sala normalizado
+     */
+    const findGame = (sessionId) => games.get(sessionId) || games.get(normalizeRoomCode(sessionId)) || null;
+
+    /**
+     * ID com que a sala pedida está guardada (a mesma ordem de findGame): o ID
+     * exato (salas de start_game) ou o código de sala normalizado. É este o lock
+     * a usar, mesmo que a sala só exista no armazém partilhado.
+     */
+    const resolveSessionId = async (requestedId) => {
+        if (!requestedId) return null;
+        if (games.has(requestedId) || await sessions.get(requestedId)) return requestedId;
+        return normalizeRoomCode(requestedId);
+    };
+
+    /**
+     * Copia o estado mais recente do armazém para a vista local.
+     * O objeto local mantém-se (temporizadores e closures continuam a apontar para ele).
+     */
+    const syncLocalGame = (sessionId, latest) => {
+        const local = games.get(sessionId);
+        if (!latest) {
+            games.delete(sessionId);
+        } else if (!local) {
+            games.set(sessionId, latest);
+        } else if (local !== latest) {
+            Object.keys(local).forEach(key => delete local[key]);
+            Object.assign(local, latest);
+        }
+    };
+
+    /**
+     * Corre `fn` com o lock da sessão, sobre o estado mais recente, e grava o
+     * resultado no armazém no fim (atualização atómica por sessão).
+     */
+    const withSession = async (sessionId, fn) => {
+        if (!sessionId || isHeld(sessionId)) return fn();
+
+        const held = { sessionId, active: true };
+        let result;
+        try {
+            await sessions.update(sessionId, (latest) => heldSession.run(held, async () => {
+                syncLocalGame(sessionId, latest);
+                result = await fn();
+                return games.get(sessionId) || null;
+            }));
+        } finally {
+            // Temporizadores criados dentro de fn herdam o contexto: deixam de contar como lock
+            held.active = false;
+            if (held.lobbiesChanged) notifyLobbies();
+        }
+        return result;
+    };
+
+    /**
+     * withSession para temporizadores e fluxos sem socket (erros só no log).
+     * Os logs levam só a sessão, não o evento que agendou o temporizador.
+     */
+    const runInSession = (sessionId, fn) => runWithNewLogContext({ sessionId }, () => withSession(sessionId, fn)).catch(error => {
+        log.error('Erro na sessão', { sessionId, error });
+    });
+
+    /**
+     * Guarda o estado do jogo: no armazém de sessões (exceto dentro do próprio
+     * withSession, que grava no fim) e na camada de armazenamento
+     */
+    const persistGame = (game) => {
+        if (!isHeld(game.sessionId)) {
+            sessions.save(game).catch(error => {
+                log.error('Erro ao partilhar sessão', { sessionId: game.sessionId, error });
+            });
+        }
+        storage.games.save(game).catch(error => {
+            log.error('Erro ao persistir sessão', { sessionId: game.sessionId, error });
+        });
+    };
+
+    /**
+     * Espectadores por sessão (socket IDs, apenas em memória)
+     */
+    const spectators = new Map();
+
+    /**
+     * Jogadores e espectadores da sessão (eventos sem informação sensível)
+     */
+    const toRoom = (sessionId) => io.to([sessionId, spectatorRoom(sessionId)]);
+
+    /**
+     * Persiste e envia o estado: completo aos jogadores, filtrado aos espectadores
+     */
+    const broadcastState = (sessionId, game) => {
+        game.version = (game.version || 0) + 1;
+        game.spectatorCount = spectators.get(sessionId)?.size || 0;
+        persistGame(game);
+        io.to(sessionId).emit('game_state', toClientState(game));
+        io.to(spectatorRoom(sessionId)).emit('game_state', toSpectatorState(game));
+        notifyLobbies();
+        scheduleBot(game);
+    };
+
+    /**
+     * Lista atual de salas públicas abertas (de todas as instâncias)
+     */
+    const listLobbies = async () => listOpenLobbies(await sessions.list());
+
+    /**
+     * Cliente já abriu o máximo de salas (MAX_SESSIONS_PER_CLIENT por utilizador,
+     * MAX_SESSIONS_PER_IP por IP): recusa com SESSION_LIMIT
+     */
+    const hasSessionLimit = async (socket) => {
+        const { maxSessionsPerClient, maxSessionsPerIp } = rateLimiter.limits;
+        const ip = rateLimiter.getClientIp(socket);
+        const created = (await sessions.list()).map(game => game.createdBy).filter(Boolean);
+        const byUser = created.filter(owner => owner.userId === socket.data.userId).length;
+        const byIp = created.filter(owner => owner.ip === ip).length;
+        if (byUser < maxSessionsPerClient && byIp < maxSessionsPerIp) return false;
+
+        const limit = byUser >= maxSessionsPerClient ? maxSessionsPerClient : maxSessionsPerIp;
+        sendError(socket, {
+            code: ErrorCode.SESSION_LIMIT,
+            message: `Limite de ${limit} salas abertas atingido`,
+            limit
+        });
+        return true;
+    };
+
+    /**
+     * Envia a lista de lobbies a quem a está a ver, apenas quando muda
+     */
+    let lastLobbiesJson = null;
+    const notifyLobbies = () => {
+        // Dentro de withSession a alteração só é gravada no fim: enviar depois
+        const held = heldSession.getStore();
+        if (held?.active) {
+            held.lobbiesChanged = true;
+            return;
+        }
+        listLobbies().then((lobbies) => {
+            const json = JSON.stringify(lobbies);
+            if (json === lastLobbiesJson) return;
+            lastLobbiesJson = json;
+            io.to(LOBBY_BROWSER_ROOM).emit('lobbies_updated', { lobbies });
+        }).catch(error => {
+            log.error('Erro ao listar lobbies', { error });
+        });
+    };
+
+    /**
+     * Atualiza a contagem de espectadores para todos na sessão
+     */
+    const emitSpectatorCount = (sessionId) => {
+        const count = spectators.get(sessionId)?.size || 0;
+        const game = games.get(sessionId);
+        if (game) game.spectatorCount = count;
+        toRoom(sessionId).emit('spectator_count', { count });
+    };
+
+    /**
+     * Remove todos os espectadores de uma sessão
+     */
+    const removeSpectators = (sessionId, reason) => {
+        const room = spectatorRoom(sessionId);
+        toRoom(sessionId).emit('spectating_ended', { reason });
+        for (const socketId of spectators.get(sessionId) || []) {
+            const spectatorSocket = io.sockets.sockets.get(socketId);
+            if (spectatorSocket) spectatorSocket.data.spectatingSessionId = null;
+        }
+        io.in(room).socketsLeave(room);
+        spectators.delete(sessionId);
+        emitSpectatorCount(sessionId);
+    };
+
+    /**
+     * Valida um evento na máquina de estados.
+     * Se for ilegal, responde ao socket com o código de erro e devolve null
+     * (socket null = jogada do bot, apenas registada no log).
+     */
+    const guardTransition = (socket, game, event, role, context = {}) => {
+        const result = transition(game.status, event, { role, context });
+        if (!result.ok) {
+            log.warn('Transição recusada', { sessionId: game.sessionId, transition: event, code: result.code, status: game.status, role });
+            sendError(socket, { code: result.code, message: result.message });
+            return null;
+        }
+        return result;
+    };
+
+    /**
+     * Temporizadores de ronda do servidor (um por sessão)
+     */
+    const roundTimers = createRoundTimers({
+        onTick: (sessionId, msRemaining) => {
+            const game = games.get(sessionId);
+            if (!game) return;
+            toRoom(sessionId).emit('timer_tick', {
+                roundNumber: game.roundNumber,
+                timeRemaining: Math.ceil(msRemaining / 1000),
+                deadline: game.currentRound.deadline
+            });
+        },
+        onExpire: (sessionId) => runInSession(sessionId, () => resolveTimeout(sessionId))
+    });
+
+    /**
+     * Cancela os temporizadores de jogo da sessão (ronda, reconexão, votações, bot)
+     */
+    const clearSessionTimers = (sessionId) => {
+        roundTimers.clear(sessionId);
+        graceTimers.clear(sessionId);
+        teamHandler.clearTimers(sessionId);
+        hostHandler.clearTimers(sessionId);
+        clearBotAction(sessionId);
+    };
+
+    /**
+     * Remove uma sessão e os respetivos temporizadores
+     */
+    const deleteGame = (sessionId) => {
+        const game = games.get(sessionId);
+        if (game?.tournament && !game.tournament.reported) tournamentHandler.settleAbandonedMatch(game);
+        if (game) metrics.sessionDuration.observe({}, (Date.now() - game.createdAt) / 1000);
+
+        clearSessionTimers(sessionId);
+        tournamentHandler.clearTimers(sessionId);
+        removeSpectators(sessionId, 'SESSION_CLOSED');
+        games.delete(sessionId);
+        notifyLobbies();
+        sessions.delete(sessionId).catch(error => {
+            log.error('Erro ao remover sessão partilhada', { sessionId, error });
+        });
+        storage.games.delete(sessionId).catch(error => {
+            log.error('Erro ao remover sessão', { sessionId, error });
+        });
+    };
+
+    /**
+     * Resolve a ronda por tempo esgotado (temporizador do servidor ou time_expired)
+     */
+    const resolveTimeout = (sessionId) => {
+        const game = games.get(sessionId);
+        if (!game) return;
+
+        const result = transition(game.status, GameEvent.TIME_EXPIRED, {
+            role: Role.SYSTEM,
+            context: { attackLaunched: Boolean(game.currentRound.startTime) }
+        });
+        if (!result.ok) return;
+
+        roundTimers.clear(sessionId);
+        teamHandler.clearTeamVote(game);
+        game.currentRound.endTime = Date.now();
+
+        const roundResult = {
+            round: game.roundNumber,
+            themeId: game.activeThemeId,
+            themeName: game.activeTheme?.titulo,
+            attackerTool: game.currentRound.attackerTool,
+            defenderTool: null,
+            isCorrect: false,
+            responseTime: getRuleRoundTime(getRules(game), game.activeTheme),
+            scoreGained: 0,
+            winner: 'attacker',
+            timedOut: true,
+            timestamp: Date.now(),
+            attackerUserId: game.attacker.userId,
+            defenderUserId: game.defender.userId,
+            winnerSocketId: game.attacker.socketId,
+            winnerUserId: game.attacker.userId,
+            ...teamRoundFields(game)
+        };
+
+        game.history.push(roundResult);
+        game.status = result.to;
+        game.attackerScore += getRules(game).scoring.attackerTimeoutReward;
+        game.streak = 0;
+        game.totalRounds += 1;
+        game.updatedAt = Date.now();
+
+        log.info('Tempo esgotado', { sessionId, round: game.roundNumber });
+        metrics.rounds.inc({ outcome: 'timed_out' });
+
+        broadcastState(sessionId, game);
+        toRoom(sessionId).emit('round_result', roundResult);
+    };
+
+    /**
+     * Temporizadores da janela de reconexão (um por sessão pausada)
+     */
+    const graceTimers = createRoundTimers({
+        onTick: (sessionId, msRemaining) => {
+            const game = games.get(sessionId);
+            if (game) emitReconnecting(game, msRemaining);
+        },
+        onExpire: (sessionId) => runInSession(sessionId, () => forfeitGame(sessionId))
+    });
+
+    /**
+     * Contagem decrescente da reconexão para o(s) oponente(s)
+     */
+    const emitReconnecting = (game, msRemaining) => {
+        const waitingFor = getDisconnectedRoles(game);
+        toRoom(game.sessionId).emit('player_reconnecting', {
+            role: waitingFor[0] || null,
+            waitingFor,
+            secondsRemaining: Math.ceil(msRemaining / 1000),
+            graceDeadline: game.pause?.graceDeadline
+        });
+    };
+
+    /**
+     * Pausa o jogo quando um jogador cai: congela o tempo da ronda
+     * e abre a janela de reconexão.
+     */
+    const pauseGame = (game) => {
+        const result = transition(game.status, GameEvent.PAUSE, { role: Role.SYSTEM });
+        if (!result.ok) return false;
+
+        const now = Date.now();
+        const roundRunning = game.status === GameStatus.ATTACKING && Boolean(game.currentRound.deadline);
+
+        roundTimers.clear(game.sessionId);
+        teamHandler.clearTeamVote(game); // Os membros votam de novo depois de retomar
+        game.pause = {
+            resumeStatus: game.status,
+            pausedAt: now,
+            graceDeadline: now + RECONNECT_GRACE_MS,
+            msRemaining: roundRunning ? Math.max(0, game.currentRound.deadline - now) : null
+        };
+        game.status = result.to;
+        game.updatedAt = now;
+
+        graceTimers.start(game.sessionId, game.pause.graceDeadline);
+        log.info('Sessão pausada', { sessionId: game.sessionId, waitingFor: getDisconnectedRoles(game) });
+        return true;
+    };
+
+    /**
+     * Retoma o jogo no ponto exato em que foi pausado
+     */
+    const resumeGame = (game) => {
+        const result = transition(game.status, GameEvent.RESUME, {
+            role: Role.SYSTEM,
+            context: { resumeStatus: game.pause?.resumeStatus }
+        });
+        if (!result.ok) return false;
+
+        const now = Date.now();
+        const { pausedAt, msRemaining } = game.pause;
+
+        graceTimers.clear(game.sessionId);
+        game.status = result.to;
+
+        // Deslocar o início da ronda pelo tempo em pausa para manter o tempo restante
+        if (msRemaining !== null) {
+            game.currentRound.startTime += now - pausedAt;
+            game.currentRound.deadline = now + msRemaining;
+            roundTimers.start(game.sessionId, game.currentRound.deadline);
+        }
+
+        game.pause = null;
+        game.updatedAt = now;
+
+        log.info('Sessão retomada', { sessionId: game.sessionId, status: game.status });
+        return true;
+    };
+
+    /**
+     * Termina o jogo por desistência quando a janela de reconexão expira
+     */
+    const forfeitGame = (sessionId) => {
+        const game = games.get(sessionId);
+        if (!game) return;
+
+        const result = transition(game.status, GameEvent.FORFEIT, { role: Role.SYSTEM });
+        if (!result.ok) return;
+
+        const forfeitRoles = getDisconnectedRoles(game);
+        // Só há vencedor se o oponente continuar ligado
+        const winnerRole = forfeitRoles.length === 1
+            ? (forfeitRoles[0] === Role.ATTACKER ? Role.DEFENDER : Role.ATTACKER)
+            : null;
+        const winner = winnerRole ? game[winnerRole] : null;
+
+        roundTimers.clear(sessionId);
+        graceTimers.clear(sessionId);
+
+        game.history.push({
+            round: game.roundNumber,
+            themeId: game.activeThemeId,
+            themeName: game.activeTheme?.titulo,
+            attackerTool: game.currentRound.attackerTool,
+            defenderTool: null,
+            isCorrect: false,
+            responseTime: null,
+            scoreGained: 0,
+            winner: winnerRole || undefined,
+            timedOut: false,
+            forfeit: true,
+            forfeitUserIds: forfeitRoles.map(role => game[role].userId).filter(Boolean),
+            timestamp: Date.now(),
+            attackerUserId: game.attacker.userId,
+            defenderUserId: game.defender.userId,
+            winnerSocketId: winner?.socketId || null,
+            winnerUserId: winner?.userId || null,
+            ...teamRoundFields(game)
+        });
+
+        game.status = result.to;
+        game.pause = null;
+        game.globalWinnerUserId = winner?.userId || null;
+        game.globalWinnerTeam = game.teams && winnerRole ? game.sides[winnerRole] : null;
+        game.finalScores = sumScoresByUser(game.history);
+        game.updatedAt = Date.now();
+        recordResult(game);
+        tournamentHandler.finishTournamentMatch(game, { forfeit: true });
+
+        log.info('Sessão terminada por desistência', { sessionId, forfeitRoles, winnerUserId: game.globalWinnerUserId });
+
+        broadcastState(sessionId, game);
+        toRoom(sessionId).emit('game_forfeited', {
+            forfeitRoles,
+            winnerRole,
+            winnerUserId: game.globalWinnerUserId
+        });
+    };
+
+    /**
+     * Executa um ataque (jogador ou bot)
+     * @param {Socket|null} socket - Quem recebe os erros (null para o bot)
+     * @param {string[]} [contributorIds] - Membros da equipa que decidiram o ataque
+     * @returns {boolean} Se o ataque foi aceite
+     */
+    const executeAttack = (socket, game, role, toolId, contributorIds = null) => {
+        const { sessionId } = game;
+
+        // Só um ataque por ronda (READY ou nova ronda à espera)
+        const result = guardTransition(socket, game, GameEvent.EXECUTE_ATTACK, role, {
+            attackLaunched: Boolean(game.currentRound.startTime)
+        });
+        if (!result) return false;
+
+        if (!isAttackTool(game.activeTheme, toolId)) {
+            sendError(socket, { code: ErrorCode.INVALID_TOOL, message: 'Ferramenta de ataque inválida para este tema' });
+            return false;
+        }
+
+        teamHandler.clearTeamVote(game);
+        game.currentRound.attackerTool = toolId;
+        game.currentRound.attackerContributorIds = contributorIds;
+        game.currentRound.defenderTool = null;
+        game.currentRound.startTime = Date.now();
+        game.currentRound.endTime = null;
+        game.currentRound.deadline = game.currentRound.startTime
+            + getRuleRoundTime(getRules(game), game.activeTheme) * 1000;
+        // handleNextRound já avançou o número quando a ronda começa em ATTACKING
+        if (game.status === GameStatus.READY) {
+            game.roundNumber += 1;
+        }
+        game.status = result.to;
+        game.updatedAt = Date.now();
+
+        // Relógio do servidor decide o fim da ronda
+        roundTimers.start(sessionId, game.currentRound.deadline);
+
+        log.info('Ataque executado', { sessionId: game.sessionId, toolId, round: game.roundNumber });
+
+        broadcastState(sessionId, game);
+        const attackInfo = {
+            roundNumber: game.roundNumber,
+            startTime: game.currentRound.startTime,
+            deadline: game.currentRound.deadline
+        };
+        io.to(sessionId).emit('attack_executed', { toolId, ...attackInfo });
+        // Espectadores não veem a ferramenta até a ronda ser resolvida
+        io.to(spectatorRoom(sessionId)).emit('attack_executed', attackInfo);
+        return true;
+    };
+
+    /**
+     * Executa uma defesa (jogador ou bot).
+     * A correção e o tempo restante são calculados pelo servidor.
+     * @param {Socket|null} socket - Quem recebe os erros (null para o bot)
+     * @param {string[]} [contributorIds] - Membros da equipa que decidiram a defesa
+     * @returns {boolean} Se a defesa foi aceite
+     */
+    const executeDefense = (socket, game, role, toolId, contributorIds = null) => {
+        const { sessionId } = game;
+        const now = Date.now();
+        const rules = getRules(game);
+        const maxTime = getRuleRoundTime(rules, game.activeTheme);
+
+        const { isCorrect, timeRemaining, responseTime } = evaluateDefense({
+            theme: game.activeTheme,
+            attackToolId: game.currentRound.attackerTool,
+            defenseToolId: toolId,
+            startTime: game.currentRound.startTime,
+            now,
+            roundTime: maxTime
+        });
+
+        // Validação de estado e papel
+        const result = guardTransition(socket, game, GameEvent.EXECUTE_DEFENSE, role, {
+            attackLaunched: Boolean(game.currentRound.startTime),
+            isCorrect
+        });
+        if (!result) return false;
+
+        if (!isDefenseTool(game.activeTheme, toolId)) {
+            sendError(socket, { code: ErrorCode.INVALID_TOOL, message: 'Ferramenta de defesa inválida para este tema' });
+            return false;
+        }
+
+        // Defesas depois do prazo são ignoradas (o temporizador resolve a ronda)
+        if (game.currentRound.deadline && now > game.currentRound.deadline) {
+            sendError(socket, { code: ErrorCode.TIME_EXPIRED, message: 'Tempo esgotado' });
+            return false;
+        }
+
+        const score = calculateScore(rules, { timeRemaining, maxTime, correct: isCorrect, streak: game.streak });
+
+        roundTimers.clear(sessionId);
+        teamHandler.clearTeamVote(game);
+        game.currentRound.defenderTool = toolId;
+        game.currentRound.endTime = now;
+
+        const roundResult = {
+            round: game.roundNumber,
+            themeId: game.activeThemeId,
+            themeName: game.activeTheme?.titulo,
+            attackerTool: game.currentRound.attackerTool,
+            defenderTool: toolId,
+            isCorrect,
+            responseTime,
+            scoreGained: score,
+            winner: isCorrect ? 'defender' : 'attacker',
+            timedOut: false,
+            timestamp: Date.now(),
+            attackerUserId: game.attacker.userId,
+            defenderUserId: game.defender.userId,
+            winnerSocketId: isCorrect ? game.defender.socketId : game.attacker.socketId,
+            winnerUserId: isCorrect ? game.defender.userId : game.attacker.userId,
+            ...teamRoundFields(game, contributorIds || [])
+        };
+
+        game.history.push(roundResult);
+        game.status = result.to;
+        game.defenderScore += score;
+        game.attackerScore += isCorrect ? 0 : rules.scoring.attackerBreachReward;
+        game.streak = isCorrect ? game.streak + 1 : 0;
+        game.totalRounds += 1;
+        game.updatedAt = Date.now();
+
+        log.info('Defesa executada', { sessionId, toolId, isCorrect, responseTime });
+        metrics.rounds.inc({ outcome: isCorrect ? 'defended' : 'breached' });
+        metrics.defenseResponse.observe({}, responseTime);
+
+        broadcastState(sessionId, game);
+        toRoom(sessionId).emit('round_result', roundResult);
+        return true;
+    };
+
+    /**
+     * Reinicia a sessão do zero. O anfitrião, as definições da sala, as
+     * equipas e o registo do anfitrião sobrevivem ao reinício.
+     */
+    const resetSession = (game) => {
+        const { sessionId } = game;
+        roundTimers.clear(sessionId);
+        graceTimers.clear(sessionId);
+        teamHandler.clearTimers(sessionId);
+        hostHandler.clearTimers(sessionId);
+
+        const freshState = createInitialState(sessionId, getRules(game));
+        Object.assign(freshState, {
+            hostUserId: game.hostUserId,
+            hostName: game.hostName,
+            createdBy: game.createdBy,
+            isPrivate: game.isPrivate,
+            allowSpectators: game.allowSpectators,
+            matchmade: game.matchmade,
+            locked: Boolean(game.locked),
+            kickedUserIds: game.kickedUserIds || [],
+            hostLog: game.hostLog || [],
+            version: game.version
+        });
+        // Equipas mantêm membros, capitães e lados
+        if (game.teams) {
+            Object.assign(freshState, { teamMode: game.teamMode, teams: game.teams, sides: game.sides });
+            syncSeats(freshState);
+        }
+        games.set(sessionId, freshState);
+
+        log.info('Jogo reiniciado', { sessionId });
+
+        broadcastState(sessionId, freshState);
+        toRoom(sessionId).emit('game_reset');
+    };
+
+    /**
+     * Joga novamente mantendo pontuações e histórico
+     * @param {string} status - Estado de destino (transição REPLAY)
+     */
+    const replaySession = (game, status) => {
+        const { sessionId } = game;
+        roundTimers.clear(sessionId);
+        hostHandler.clearTimers(sessionId);
+        game.consentRequest = null;
+        game.status = status;
+        game.currentRound = {
+            attackerTool: null,
+            defenderTool: null,
+            startTime: null,
+            endTime: null,
+            deadline: null
+        };
+        game.roundNumber = 0;
+        game.streak = 0;
+        // NÃO resetar: attackerScore, defenderScore, totalRounds, history
+        game.updatedAt = Date.now();
+
+        log.info('Replay', { sessionId, attackerScore: game.attackerScore, defenderScore: game.defenderScore });
+
+        broadcastState(sessionId, game);
+        toRoom(sessionId).emit('game_replay');
+    };
+
+    /**
+     * Jogadas agendadas dos bots: sessionId -> { key, timeout }
+     * A chave identifica a situação (estado + ronda); se mudar, a jogada é cancelada.
+     */
+    const botActions = new Map();
+
+    const clearBotAction = (sessionId) => {
+        const pending = botActions.get(sessionId);
+        if (!pending) return;
+        clearTimeout(pending.timeout);
+        botActions.delete(sessionId);
+    };
+
+    /**
+     * Agenda a próxima jogada do bot da sessão (se houver algo a fazer)
+     */
+    const scheduleBot = (game) => {
+        const { sessionId } = game;
+        const botRole = getBotRole(game);
+        const attackLaunched = Boolean(game.currentRound.startTime);
+
+        let action = null;
+        if (botRole === Role.ATTACKER && game.activeTheme && !attackLaunched
+            && (game.status === GameStatus.READY || game.status === GameStatus.ATTACKING)) {
+            action = 'attack';
+        } else if (botRole === Role.DEFENDER && game.status === GameStatus.ATTACKING && attackLaunched) {
+            action = 'defend';
+        }
+
+        if (!action) {
+            clearBotAction(sessionId);
+            return;
+        }
+
+        const key = `${action}:${game.status}:${game.roundNumber}:${game.currentRound.startTime}`;
+        if (botActions.get(sessionId)?.key === key) return;
+        clearBotAction(sessionId);
+
+        const { bot: difficulty } = game[botRole];
+        const delay = action === 'attack'
+            ? getAttackDelay()
+            : getDefenseDelay(getRuleRoundTime(getRules(game), game.activeTheme), difficulty);
+
+        const timeout = setTimeout(() => {
+            botActions.delete(sessionId);
+            runInSession(sessionId, () => {
+                const current = games.get(sessionId);
+                if (current !== game || getBotRole(game) !== botRole) return;
+
+                if (action === 'attack') {
+                    executeAttack(null, game, Role.ATTACKER, chooseAttack(game.activeTheme));
+                } else {
+                    const toolId = chooseDefense(game.activeTheme, game.currentRound.attackerTool, difficulty);
+                    executeDefense(null, game, Role.DEFENDER, toolId);
+                }
+            });
+        }, delay);
+
+        botActions.set(sessionId, { key, timeout });
+    };
+
+    /**
+     * Arquiva o jogo e atualiza os ratings no fim do jogo (exceto contra bots). Só contam as rondas
+     * ainda não contabilizadas (um replay após GAME_FINISHED não repete as anteriores).
+     */
+    const recordResult = (game) => {
+        const rounds = game.history.slice(game.ratedRounds || 0);
+        game.ratedRounds = game.history.length;
+        if (rounds.length === 0) return;
+
+        const { sessionId } = game;
+        const playerIds = game.teams ? getAllMemberIds(game) : [game.attacker.userId, game.defender.userId];
+
+        matchHistory.recordMatch({
+            sessionId,
+            playerIds,
+            winnerUserId: game.globalWinnerUserId,
+            finalScores: sumScoresByUser(rounds),
+            botGame: Boolean(game.botGame),
+            teams: game.teams
+                ? Object.fromEntries(TEAM_NAMES.map(name => [name, game.teams[name].members.map(m => m.userId)]))
+                : null,
+            winnerTeam: game.globalWinnerTeam || null,
+            rounds
+        }).catch(error => {
+            log.error('Erro ao arquivar a sessão', { sessionId, error });
+        });
+
+        // Jogos contra bots e de equipas não contam para os rankings (ELO é 1v1)
+        if (game.botGame || game.teams) return;
+
+        ratings.recordGame({
+            sessionId,
+            playerIds,
+            winnerUserId: game.globalWinnerUserId,
+            rounds
+        })
+            .then(changes => {
+                if (changes) toRoom(sessionId).emit('ratings_updated', { changes });
+            })
+            .catch(error => {
+                log.error('Erro ao atualizar ratings', { sessionId, error });
+            });
+    };
+
+    /**
+     * Lógica interna para avançar ronda
+     * @param {string} nextStatus - Destino já validado pela máquina de estados (NEXT_ROUND)
+     */
+    const handleNextRound = (game, sessionId, nextStatus) => {
+        // Garantir que é número (FIX: evita loop infinito por string '11')
+        game.themeRoundCount = Number(game.themeRoundCount) || 1;
+
+        // Verificar se atingimos o limite de rondas por tema (regras da sessão)
+        log.debug('Próxima ronda', { sessionId, themeRoundCount: game.themeRoundCount, roundsPerTheme: getRules(game).roundsPerTheme });
+
+        game.status = nextStatus;
+
+        if (game.status === GameStatus.THEME_COMPLETED) {
+
+            // CALCULAR VENCEDOR DO TEMA (User-based)
+            // Somar scores do histórico para o tema atual por userId
+            const themeScores = {};
+            const currentThemeId = game.activeThemeId;
+
+            game.history.forEach(round => {
+                if (round.themeId === currentThemeId && round.winnerUserId) {
+                    themeScores[round.winnerUserId] = (themeScores[round.winnerUserId] || 0) + (round.scoreGained || 0);
+                }
+            });
+
+            let bestScore = -1;
+            let bestUserId = null;
+
+            Object.entries(themeScores).forEach(([uId, score]) => {
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestUserId = uId;
+                }
+            });
+
+            // Fallback se empatado ou sem scores: Vencedor da última ronda
+            if (!bestUserId) {
+                const lastRound = game.history[game.history.length - 1];
+                bestUserId = lastRound?.winnerUserId;
+            }
+
+            game.themeWinnerUserId = bestUserId;
+
+            log.info('Tema completado', { sessionId, themeId: game.activeThemeId, winnerUserId: bestUserId, score: bestScore });
+
+            // Adicionar tema aos jogados se não tiver
+            if (game.activeThemeId && !game.playedThemes.includes(game.activeThemeId)) {
+                game.playedThemes.push(game.activeThemeId);
+            }
+
+            // CHECK GAME OVER (All Themes Played)
+            // Temas por jogo vêm das regras (limitados ao catálogo de cenários)
+            const finish = transition(game.status, GameEvent.FINISH_GAME, { role: Role.SYSTEM });
+            if (finish.ok && game.playedThemes.length >= getThemesPerMatch(getRules(game), getThemeCount())) {
+                game.status = finish.to;
+
+                // Calcular Vencedor Global
+                const globalScores = sumScoresByUser(game.history);
+
+                let bestGlobalScore = -1;
+                let bestGlobalUserId = null;
+
+                Object.entries(globalScores).forEach(([uId, score]) => {
+                    if (score > bestGlobalScore) {
+                        bestGlobalScore = score;
+                        bestGlobalUserId = uId;
+                    }
+                });
+
+                game.globalWinnerUserId = bestGlobalUserId;
+                game.finalScores = globalScores; // Opcional: enviar scores finais
+
+                // Equipas: ganha a equipa com mais pontos (o capitão fica como vencedor global)
+                if (game.teams) {
+                    const teamScores = sumScoresByTeam(game.history);
+                    const [red, blue] = TEAM_NAMES.map(name => teamScores[name]);
+                    game.globalWinnerTeam = red === blue ? null : TEAM_NAMES[red > blue ? 0 : 1];
+                    game.globalWinnerUserId = game.globalWinnerTeam
+                        ? game.teams[game.globalWinnerTeam].captainUserId
+                        : null;
+                }
+
+                log.info('Jogo terminado', { sessionId, winnerUserId: game.globalWinnerUserId, winnerTeam: game.globalWinnerTeam, score: bestGlobalScore });
+                recordResult(game);
+                tournamentHandler.finishTournamentMatch(game);
+            }
+        } else {
+            // Iniciar nova ronda do mesmo tema
+            game.roundNumber++;
+            game.themeRoundCount++; // Incrementar rondas do tema
+            game.themeWinnerUserId = null; // Reset
+
+            // Clear round data
+            game.currentRound = {
+                attackerTool: null,
+                defenderTool: null,
+                startTime: null,
+                endTime: null,
+                deadline: null
+            };
+            log.info('Nova ronda', { sessionId, round: game.roundNumber, themeRoundCount: game.themeRoundCount });
+        }
+
+        game.updatedAt = Date.now();
+        broadcastState(sessionId, game);
+
+        // Se for nova ronda de ataque, notificar que está pronto
+        if (game.status === GameStatus.ATTACKING) {
+            toRoom(sessionId).emit('next_round_ready');
+        }
+    };
+
+    /**
+     * Inicia (ou reinicia) um jogo com tema e papel para um socket.
+     * Usado pelo evento start_game e pelo matchmaking.
+     * @param {Socket} socket - Socket do jogador
+     * @param {Object} data - { themeId, role, sessionId, rules? }
+     * @returns {Object|null} Jogo iniciado, ou null se o pedido foi recusado
+     */
+    const startGame = (socket, data) => {
+        const { themeId, role, sessionId, rules } = data;
+        const { userId } = socket.data; // Identidade verificada no handshake
+
+        // Usar sessionId fornecido ou o atual da socket
+        const targetSessionId = sessionId || socket.data.sessionId;
+
+        if (!targetSessionId) {
+            sendError(socket, { code: ErrorCode.NOT_IN_SESSION, message: 'Não está numa sessão' });
+            return null;
+        }
+
+        const theme = getTheme(themeId);
+        if (!theme) {
+            sendError(socket, { code: ErrorCode.THEME_NOT_FOUND, message: 'Tema não encontrado' });
+            return null;
+        }
+
+        let game = games.get(targetSessionId);
+
+        // Regras só contam quando a sessão é criada aqui
+        const resolvedRules = game ? null : resolveRules(rules);
+        if (resolvedRules && !resolvedRules.ok) {
+            sendError(socket, { code: ErrorCode.INVALID_RULES, message: resolvedRules.errors.join('; ') });
+            return null;
+        }
+
+        // Sessão existente: só quem já tem lugar nela a pode (re)começar, em LOBBY/READY
+        // ou entre temas. O papel pedido não dá lugar a ninguém (entra-se com join_game).
+        const seatRole = game ? getPlayerRole(game, socket.id) : null;
+        if (game && !seatRole) {
+            sendError(socket, { code: ErrorCode.SEAT_TAKEN, message: 'Entra na sala com join_game antes de começar o jogo' });
+            return null;
+        }
+        if (game && !guardTransition(socket, game, GameEvent.START_GAME, seatRole)) {
+            return null;
+        }
+        if (game && !hostHandler.canEnterSession(socket, game)) return null;
+
+        const isTeamMember = Boolean(game?.teams && findMember(game, { userId }));
+
+        // Atualizar contexto da socket se necessário
+        if (sessionId && sessionId !== socket.data.sessionId) {
+            if (socket.data.sessionId) {
+                socket.leave(socket.data.sessionId);
+            }
+            socket.join(sessionId);
+            socket.data.sessionId = sessionId;
+            log.debug('Socket associado à sessão via start_game', { sessionId });
+        }
+
+        // Se o jogo não existe, criar (Start New Game logic)
+        if (!game) {
+            log.info('Sessão criada via start_game', { sessionId: targetSessionId });
+            // Criar estado inicial
+            game = createInitialState(targetSessionId, resolvedRules.rules);
+
+            // Definir papel inicial
+            if (role === 'attacker') {
+                game.attacker = { socketId: socket.id, userId, connected: true };
+            } else if (role === 'defender') {
+                game.defender = { socketId: socket.id, userId, connected: true };
+            }
+
+            game.hostUserId = userId;
+            game.hostName = socket.data.userName || null;
+            game.createdBy = { userId, ip: rateLimiter.getClientIp(socket) };
+            games.set(targetSessionId, game);
+        }
+
+        // Equipas: o papel pedido troca os lados das equipas em bloco
+        if (role && isTeamMember) {
+            if (getPlayerRole(game, socket.id) !== role) swapSides(game);
+        } else if (role) {
+            // Se role for fornecido e jogo já existia, gerir papéis com segurança e persistência
+            const myId = socket.id;
+
+            // Tentar identificar o "outro" pelo userId se possível, ou pelo socket anterior
+            // Se eu (UserId) sou o Vencedor, quem é o outro?
+
+            // Lógica simplificada robusta:
+            // Eu sou 'myId' e 'userId'. Eu quero ser 'role'.
+            // O outro deve ser o socket/user que estava no outro papel.
+
+            // Snapshot atual
+            const oldAttacker = { ...game.attacker };
+            const oldDefender = { ...game.defender };
+
+            // Quem sou eu no estado atual?
+            // Se eu era attacker, o outro era defender.
+            let otherPlayer = null;
+            if (oldAttacker.socketId === myId || (userId && oldAttacker.userId === userId)) {
+                otherPlayer = oldDefender;
+            } else if (oldDefender.socketId === myId || (userId && oldDefender.userId === userId)) {
+                otherPlayer = oldAttacker;
+            } else {
+                // Novo jogador ou não identificado?
+                // Assumir que o Slot Vazio ou o Slot Oposto é o outro.
+                otherPlayer = role === 'attacker' ? oldDefender : oldAttacker;
+            }
+
+            if (role === 'attacker') {
+                game.attacker = { socketId: myId, userId: userId, connected: true };
+                // Preservar o outro se tiver dados
+                if (otherPlayer && (otherPlayer.socketId || otherPlayer.userId)) {
+                    game.defender = otherPlayer;
+                } else {
+                    game.defender = { socketId: null, userId: null, connected: false };
+                }
+            } else { // role === 'defender'
+                game.defender = { socketId: myId, userId: userId, connected: true };
+                if (otherPlayer && (otherPlayer.socketId || otherPlayer.userId)) {
+                    game.attacker = otherPlayer;
+                } else {
+                    game.attacker = { socketId: null, userId: null, connected: false };
+                }
+            }
+            socket.data.role = role;
+            log.debug('Papéis definidos', { sessionId: targetSessionId, role, opponentUserId: otherPlayer?.userId || null });
+        }
+
+        game.activeThemeId = theme.id;
+        game.activeTheme = theme;
+
+        // Só iniciar (READY) se ambos estiverem presentes. Caso contrário LOBBY.
+        const started = transition(game.status, GameEvent.START_GAME, {
+            role: getPlayerRole(game, socket.id),
+            context: { bothConnected: game.attacker.connected && game.defender.connected }
+        });
+        game.status = started.ok ? started.to : GameStatus.LOBBY;
+        if (game.status === GameStatus.LOBBY) {
+            log.info('Sessão à espera de oponente', { sessionId: socket.data.sessionId });
+        }
+
+        roundTimers.clear(targetSessionId);
+        game.roundNumber = 0;
+        game.themeRoundCount = 1; // Reset theme round count
+        // FIX: Não adicionar aos playedThemes aqui! Apenas quando completar (handleNextRound)
+        // if (!game.playedThemes.includes(theme.id)) {
+        //    game.playedThemes.push(theme.id); 
+        // }
+        game.currentRound = {
+            attackerTool: null,
+            defenderTool: null,
+            startTime: null,
+            endTime: null,
+            deadline: null
+        };
+        game.updatedAt = Date.now();
+
+        log.info('Jogo iniciado', { sessionId: socket.data.sessionId, themeId: theme.id });
+
+        broadcastState(socket.data.sessionId, game);
+        toRoom(socket.data.sessionId).emit('game_started', { theme: toPublicTheme(theme) });
+
+        return game;
+    };
+
+    /**
+     * Cria a sessão para um par emparelhado pela fila e coloca ambos os
+     * jogadores nela pelo mesmo caminho que o start_game.
+     */
+    const startMatch = (a, b) => {
+        const socketA = io.sockets.sockets.get(a.socketId);
+        const socketB = io.sockets.sockets.get(b.socketId);
+
+        // Servidor a encerrar: quem estava na fila sai sem jogo
+        if (draining) {
+            [socketA, socketB].forEach(refuseWhileDraining);
+            return;
+        }
+
+        // Um dos jogadores saiu entretanto: o outro volta para a fila
+        if (!socketA || !socketB) {
+            const remaining = socketA ? a : socketB ? b : null;
+            if (remaining) matchmaker.enqueue(remaining);
+            return;
+        }
+
+        const { attacker, defender } = assignRoles(a, b);
+        const themeId = pickTheme(a, b, listThemes().map(theme => theme.id));
+        const sockets = { [a.socketId]: socketA, [b.socketId]: socketB };
+
+        const sessionId = generateRoomCode(code => games.has(code));
+        const game = createInitialState(sessionId);
+        game.hostUserId = attacker.userId;
+        game.hostName = attacker.userName || null;
+        game.isPrivate = true; // Não aparece na lista de lobbies
+        game.matchmade = true;
+
+        log.info('Jogadores emparelhados', { sessionId, attackerUserId: attacker.userId, defenderUserId: defender.userId });
+
+        [[attacker, defender, Role.ATTACKER], [defender, attacker, Role.DEFENDER]].forEach(([me, opponent, role]) => {
+            sockets[me.socketId].emit('match_found', {
+                sessionId,
+                role,
+                themeId,
+                opponentName: opponent.userName || null
+            });
+        });
+
+        // Os lugares são dados pela fila: cada jogador começa o jogo já sentado
+        game.attacker = { socketId: attacker.socketId, userId: attacker.userId, connected: true };
+        game.defender = { socketId: defender.socketId, userId: defender.userId, connected: true };
+
+        runInSession(sessionId, () => {
+            games.set(sessionId, game);
+            startGame(sockets[attacker.socketId], { sessionId, themeId, role: Role.ATTACKER });
+            startGame(sockets[defender.socketId], { sessionId, themeId, role: Role.DEFENDER });
+        });
+    };
+
+    const matchmaker = createMatchmaker({
+        timeoutMs: MATCHMAKING_TIMEOUT_MS,
+        onMatch: startMatch,
+        onTimeout: (entry) => {
+            const socket = io.sockets.sockets.get(entry.socketId);
+            if (socket) {
+                socket.emit('queue_timeout', { message: 'Nenhum adversário encontrado' });
+            }
+        }
+    });
+    matchmaker.start();
+
+    /**
+     * Funcionalidades em módulos próprios (socket/*Handler): recebem as
+     * peças do fluxo 1v1 de que precisam e registam os seus eventos em
+     * cada ligação (register)
+     */
+    const teamHandler = createTeamHandler({
+        io,
+        games,
+        sendError,
+        runInSession,
+        guardTransition,
+        broadcastState,
+        toRoom,
+        executeAttack,
+        executeDefense,
+        resumeGame
+    });
+
+    const hostHandler = createHostHandler({
+        io,
+        games,
+        sendError,
+        runInSession,
+        broadcastState,
+        toRoom,
+        resetSession,
+        replaySession,
+        clearBotAction
+    });
+
+    const tournamentHandler = createTournamentHandler({
+        io,
+        games,
+        storage,
+        ratings,
+        sendError,
+        runInSession,
+        persistGame,
+        toRoom,
+        deleteGame
+    });
+
+    const admin = createAdminHandler({
+        io,
+        games,
+        sessions,
+        withSession,
+        clearSessionTimers,
+        settleAbandonedMatch: tournamentHandler.settleAbandonedMatch,
+        broadcastState,
+        toRoom,
+        deleteGame,
+        isDraining: () => draining,
+        setDraining: (value) => {
+            draining = value;
+        }
+    });
+
+    /**
+     * Restaura sessões guardadas (após reinício do servidor).
+     * Os sockets antigos já não existem: os jogadores ficam desconectados
+     * até voltarem a entrar com o mesmo userId.
+     * Com sessões partilhadas não há nada a restaurar: o estado continua no
+     * armazém e outras instâncias podem estar a servi-lo.
+     */
+    const restoreGames = async () => {
+        if (sessions.shared) return;
+
+        const saved = await storage.games.loadAll();
+
+        for (const game of saved) {
+            // Bots não dependem de sockets: continuam sentados
+            game.attacker = { ...game.attacker, socketId: null, connected: Boolean(game.attacker.bot) };
+            game.defender = { ...game.defender, socketId: null, connected: Boolean(game.defender.bot) };
+            // Membros das equipas voltam desconectados; votações em curso recomeçam
+            if (game.teams) {
+                TEAM_NAMES.forEach(name => game.teams[name].members.forEach(member => {
+                    Object.assign(member, { socketId: null, connected: false });
+                }));
+                game.teamVote = null;
+                syncSeats(game);
+            }
+            // Pedidos ao adversário caducam com o reinício do servidor
+            game.consentRequest = null;
+            game.activeTheme = getTheme(game.activeThemeId) || game.activeTheme;
+            game.spectatorCount = 0;
+            games.set(game.sessionId, game);
+            await sessions.save(game);
+
+            tournamentHandler.restoreNoShow(game);
+
+            // Rondas cujo prazo passou durante o reinício são resolvidas
+            if (game.status === GameStatus.ATTACKING && game.currentRound.deadline
+                && game.currentRound.deadline <= Date.now()) {
+                resolveTimeout(game.sessionId);
+            }
+
+            // Jogos ativos ficam pausados até os jogadores voltarem
+            if (game.status === GameStatus.PAUSED) {
+                if (game.pause.graceDeadline <= Date.now()) {
+                    forfeitGame(game.sessionId);
+                } else {
+                    graceTimers.start(game.sessionId, game.pause.graceDeadline);
+                }
+            } else {
+                pauseGame(game);
+            }
+        }
+
+        if (saved.length > 0) {
+            log.info('Sessões restauradas do armazenamento', { count: saved.length });
+        }
+    };
+
+    try {
+        await restoreGames();
+        await tournamentHandler.restoreTournaments();
+    } catch (error) {
+        log.error('Erro ao restaurar sessões', { error });
+    }
+
     io.on('connection', (socket) => {
-        console.log(`🔌 Cliente conectado: ${socket.id}`);
+        log.info('Cliente conectado', { socketId: socket.id, userId: socket.data.userId });
+        metrics.connections.inc();
+
+        // Estado da ligação em socket.data (acessível a fluxos do servidor, ex.: matchmaking)
+        socket.data.sessionId = null;
+        socket.data.role = null; // Apenas referência local inicial, o state dita a verdade
+        socket.data.spectatingSessionId = null; // Sessão assistida (modo só de leitura)
+
+        /**
+         * Sai do modo espectador (se ativo)
+         */
+        const stopSpectating = () => {
+            const sessionId = socket.data.spectatingSessionId;
+            if (!sessionId) return;
+            socket.data.spectatingSessionId = null;
+            socket.leave(spectatorRoom(sessionId));
+            spectators.get(sessionId)?.delete(socket.id);
+            if (spectators.get(sessionId)?.size === 0) spectators.delete(sessionId);
+            emitSpectatorCount(sessionId);
+        };
+
+        /**
+         * Ação enviada com a versão de um estado anterior ao atual: recusa e
+         * reenvia o estado (só se o socket estiver na sessão)
+         */
+        const isStaleAction = (sessionId, data) => {
+            const game = sessionId ? games.get(sessionId) : null;
+            if (!game || !Number.isInteger(data?.version) || data.version === game.version) return false;
+
+            log.warn('Ação com versão antiga recusada', { sessionId, version: data.version, currentVersion: game.version });
+            sendError(socket, {
+                code: ErrorCode.STALE_STATE,
+                message: 'O estado do jogo mudou entretanto. Tenta de novo.',
+                version: game.version
+            });
+            if (socket.data.sessionId === sessionId) socket.emit('game_state', toClientState(game));
+            return true;
+        };
+
+        /**
+         * Recusa eventos acima dos limites; à RATE_LIMIT_MAX_VIOLATIONS-ésima
+         * recusa na janela, desliga o socket
+         * @returns {boolean} true se o evento pode seguir
+         */
+        const checkLimits = (event, data) => {
+            let error = null;
+            if (!rateLimiter.fitsPayload(data)) {
+                error = {
+                    code: ErrorCode.PAYLOAD_TOO_LARGE,
+                    message: `Dados do evento acima de ${rateLimiter.limits.maxPayloadBytes} bytes`
+                };
+            } else {
+                const rate = rateLimiter.check(socket, event);
+                if (!rate.ok) {
+                    error = {
+                        code: ErrorCode.RATE_LIMITED,
+                        message: 'Demasiados pedidos. Espera um pouco.',
+                        retryAfterMs: rate.retryAfterMs
+                    };
+                }
+            }
+            if (!error) return true;
+
+            sendError(socket, error);
+            if (rateLimiter.recordViolation(socket)) {
+                log.warn('Socket desligado por exceder os limites');
+                socket.emit('error', { code: ErrorCode.TOO_MANY_VIOLATIONS, message: 'Ligação terminada por excesso de pedidos' });
+                socket.disconnect(true);
+            }
+            return false;
+        };
+
+        /**
+         * Regista um evento do cliente. Antes do handler: aplica os limites de
+         * eventos e de tamanho (rateLimiter), valida os dados contra o schema
+         * (eventSchemas), recusa eventos de jogo a espectadores e, com o
+         * lock da sessão, exige sessão e recusa versões antigas. Se o cliente
+         * passar um callback, recebe { ok: true } ou o primeiro erro { ok: false, code, message }.
+         * @param {Function} getSessionId - Sessão cujo lock o evento usa (null = nenhuma; pode devolver uma promessa)
+         */
+        const onEvent = (event, handler, getSessionId = () => null) => {
+            socket.on(event, (...args) => {
+                const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+                const [data] = args;
+                const reply = { socket, event, ack, answered: false };
+                const startedAt = process.hrtime.bigint();
+                // Correlação: todas as linhas deste evento levam estes campos
+                const logContext = {
+                    eventId: crypto.randomUUID(),
+                    event,
+                    socketId: socket.id,
+                    userId: socket.data.userId,
+                    sessionId: socket.data.sessionId || null
+                };
+
+                runWithLogContext(logContext, () => eventReply.run(reply, async () => {
+                    try {
+                        if (!checkLimits(event, data)) return;
+
+                        const validation = validateEvent(event, data);
+                        if (!validation.ok) {
+                            sendError(socket, { code: validation.code, message: validation.message });
+                            return;
+                        }
+                        if (socket.data.spectatingSessionId && SPECTATOR_BLOCKED_EVENTS.includes(event)) {
+                            sendError(socket, { code: ErrorCode.SPECTATOR_READ_ONLY, message: 'Espectadores não podem jogar' });
+                            return;
+                        }
+
+                        const payload = data ?? {};
+                        const sessionId = await getSessionId(payload);
+                        const logSessionId = sessionId || socket.data.sessionId || null;
+                        await runWithLogContext({ sessionId: logSessionId }, () => withSession(sessionId, () => {
+                            if (validation.schema.session && !games.get(socket.data.sessionId)) {
+                                sendError(socket, { code: ErrorCode.NOT_IN_SESSION, message: 'Não está numa sessão' });
+                                return;
+                            }
+                            if (VERSIONED_EVENTS.includes(event) && isStaleAction(sessionId, payload)) return;
+                            return handler(payload);
+                        }));
+                    } catch (error) {
+                        log.error('Erro no handler', { error });
+                        sendError(socket, { code: ErrorCode.INTERNAL_ERROR, message: 'Erro interno do servidor' });
+                    } finally {
+                        if (ack && !reply.answered) {
+                            reply.answered = true;
+                            ack({ ok: true });
+                        }
+                        metrics.handlerDuration.observe({ event }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+                    }
+                }));
+            });
+        };
+
+        /**
+         * Evento que lê ou altera uma sessão: corre com o lock dela
+         * (por omissão, a sessão do socket)
+         */
+        const onSession = (event, handler, getSessionId = () => socket.data.sessionId) => {
+            onEvent(event, handler, getSessionId);
+        };
 
-        let currentSessionId = null;
-        let currentRole = null; // Apenas referência local inicial, o state dita a verdade
+        // Eventos das equipas, do anfitrião e dos torneios (socket/*Handler)
+        [teamHandler, hostHandler, tournamentHandler].forEach(feature => feature.register(socket, { onEvent, onSession }));
+
+        /**
+         * CREATE_GAME - Cria uma sala com código gerado pelo servidor
+         * @param {Object} data - { role: 'attacker'|'defender', themeId, private, rules, team }
+         * `team` (true ou { decision, voteSeconds, maxTeamSize }) cria um jogo de equipas;
+         * o criador fica capitão da equipa red no lado escolhido.
+         */
+        onEvent('create_game', async (data = {}) => {
+            const { role = Role.ATTACKER, themeId, private: isPrivate = false, rules, team } = data;
+            const { userId, userName } = socket.data;
+
+            if (role !== Role.ATTACKER && role !== Role.DEFENDER) {
+                sendError(socket, { code: ErrorCode.INVALID_ROLE, message: 'Papel inválido' });
+                return;
+            }
+
+            const theme = themeId !== undefined && themeId !== null ? getTheme(themeId) : null;
+            if (themeId !== undefined && themeId !== null && !theme) {
+                sendError(socket, { code: ErrorCode.THEME_NOT_FOUND, message: 'Tema não encontrado' });
+                return;
+            }
+
+            const resolvedRules = resolveRules(rules);
+            if (!resolvedRules.ok) {
+                sendError(socket, { code: ErrorCode.INVALID_RULES, message: resolvedRules.errors.join('; ') });
+                return;
+            }
+
+            const resolvedTeamMode = team ? resolveTeamMode(team) : null;
+            if (resolvedTeamMode && !resolvedTeamMode.ok) {
+                sendError(socket, { code: ErrorCode.INVALID_TEAM_MODE, message: resolvedTeamMode.errors.join('; ') });
+                return;
+            }
+
+            if (refuseWhileDraining(socket) || await hasSessionLimit(socket)) return;
+
+            if (socket.data.sessionId) {
+                socket.leave(socket.data.sessionId);
+            }
+
+            const sessionId = generateRoomCode(code => games.has(code));
+            const game = createInitialState(sessionId, resolvedRules.rules);
+            game.hostUserId = userId;
+            game.hostName = userName || null;
+            game.createdBy = { userId, ip: rateLimiter.getClientIp(socket) };
+            game.isPrivate = Boolean(isPrivate);
+            if (resolvedTeamMode) {
+                Object.assign(game, createTeams(), { teamMode: resolvedTeamMode.teamMode });
+                if (role === Role.DEFENDER) game.sides = { attacker: 'blue', defender: 'red' };
+                game.teams.red.captainUserId = userId;
+                game.teams.red.members.push({ userId, name: userName || null, socketId: socket.id, connected: true });
+                syncSeats(game);
+                await socket.join(teamRoom(sessionId, 'red'));
+            } else {
+                game[role] = { socketId: socket.id, userId, connected: true };
+            }
+            if (theme) {
+                game.activeTheme = theme;
+                game.activeThemeId = theme.id;
+                game.themeRoundCount = 1;
+            }
+            games.set(sessionId, game);
+
+            socket.data.sessionId = sessionId;
+            socket.data.role = role;
+            await socket.join(sessionId);
+
+            log.info('Sala criada', { sessionId, role, private: game.isPrivate, teamMode: game.teamMode?.decision || null });
+
+            socket.emit('game_created', { sessionId, role, private: game.isPrivate, team: game.teams ? 'red' : null });
+            broadcastState(sessionId, game);
+        });
+
+        /**
+         * LIST_LOBBIES - Lista salas públicas abertas e subscreve atualizações
+         */
+        onEvent('list_lobbies', async () => {
+            await socket.join(LOBBY_BROWSER_ROOM);
+            socket.emit('lobbies', { lobbies: await listLobbies() });
+        });
+
+        /**
+         * UNWATCH_LOBBIES - Deixa de receber atualizações da lista
+         */
+        onEvent('unwatch_lobbies', () => {
+            socket.leave(LOBBY_BROWSER_ROOM);
+        });
+
+        /**
+         * QUEUE_FOR_MATCH - Entra na fila de matchmaking
+         * @param {Object} data - { preferredRole?: 'attacker'|'defender', themeId? }
+         */
+        onEvent('queue_for_match', async (data = {}) => {
+            const { preferredRole = null, themeId = null } = data;
+
+            if (preferredRole && preferredRole !== Role.ATTACKER && preferredRole !== Role.DEFENDER) {
+                sendError(socket, { code: ErrorCode.INVALID_ROLE, message: 'Papel inválido' });
+                return;
+            }
+            if (themeId !== null && !getTheme(themeId)) {
+                sendError(socket, { code: ErrorCode.THEME_NOT_FOUND, message: 'Tema não encontrado' });
+                return;
+            }
+
+            if (refuseWhileDraining(socket)) return;
+
+            // Quem está a meio de um jogo não pode procurar outro
+            const current = socket.data.sessionId ? games.get(socket.data.sessionId) : null;
+            if (current && getPlayerRole(current, socket.id)
+                && current.status !== GameStatus.LOBBY && current.status !== GameStatus.GAME_FINISHED) {
+                sendError(socket, { code: ErrorCode.ALREADY_IN_GAME, message: 'Já está num jogo em curso' });
+                return;
+            }
+
+            log.info('Entrada na fila de matchmaking', { preferredRole, themeId });
+
+            socket.emit('queue_joined', {
+                preferredRole,
+                themeId,
+                timeoutSeconds: Math.round(MATCHMAKING_TIMEOUT_MS / 1000)
+            });
+            // Rating geral para emparelhar por nível (banda alarga com a espera)
+            const profile = await ratings.getPlayer(socket.data.userId).catch(() => null);
+            if (!socket.connected) return;
+
+            matchmaker.enqueue({
+                socketId: socket.id,
+                userId: socket.data.userId,
+                userName: socket.data.userName || null,
+                preferredRole,
+                themeId,
+                rating: profile?.overall.rating ?? DEFAULT_RATING
+            });
+        });
+
+        /**
+         * CANCEL_QUEUE - Sai da fila de matchmaking
+         */
+        onEvent('cancel_queue', () => {
+            if (matchmaker.cancel(socket.id)) {
+                socket.emit('queue_cancelled');
+            }
+        });
 
         /**
          * JOIN_GAME - Jogador entra numa sessão
-         * @param {Object} data - { sessionId, role: 'attacker'|'defender', theme }
+         * @param {Object} data - { sessionId, role: 'attacker'|'defender', themeId, team? }
+         * Em jogos de equipas o papel vem da equipa ('red' | 'blue', ou a mais pequena).
          */
-        socket.on('join_game', async (data) => { // Async handler
-            console.log('📥 Request join_game:', data);
-            const { sessionId, role: requestedRole, theme, userId } = data; // Receber userId
+        onSession('join_game', async (data) => { // Async handler
+            log.debug('Pedido join_game', { requestedSessionId: data.sessionId, requestedRole: data.role, themeId: data.themeId, team: data.team });
+            const { sessionId: requestedSessionId, role: requestedRole, themeId } = data;
+            const { userId } = socket.data; // Identidade verificada no handshake
             let finalRole = requestedRole;
 
-            if (!sessionId) {
-                socket.emit('error', { message: 'ID da sessão é obrigatório' });
+            if (!requestedSessionId) {
+                sendError(socket, { code: ErrorCode.INVALID_PAYLOAD, message: 'ID da sessão é obrigatório' });
+                return;
+            }
+
+            // Só se entra em salas existentes (criadas com create_game ou start_game)
+            const game = findGame(requestedSessionId);
+            if (!game) {
+                sendError(socket, { code: ErrorCode.SESSION_NOT_FOUND, message: 'Sala não encontrada' });
                 return;
             }
+            const { sessionId } = game;
+
+            // Tema escolhido apenas por ID, a definição vem do catálogo
+            const theme = themeId !== undefined && themeId !== null ? getTheme(themeId) : null;
+            if (themeId !== undefined && themeId !== null && !theme) {
+                sendError(socket, { code: ErrorCode.THEME_NOT_FOUND, message: 'Tema não encontrado' });
+                return;
+            }
+
+            if (!hostHandler.canEnterSession(socket, game)) return;
 
             // Sair da sala anterior se existir
-            if (currentSessionId) {
-                socket.leave(currentSessionId);
+            if (socket.data.sessionId) {
+                socket.leave(socket.data.sessionId);
+            }
+
+            if (game.teams) {
+                await teamHandler.joinTeam(socket, game, data.team);
+                return;
             }
 
-            // Obter ou criar jogo
-            const game = getOrCreateGame(sessionId);
-            console.log(`🔍 Estado atual da sala ${sessionId}:`, {
-                attacker: game.attacker?.socketId,
-                defender: game.defender?.socketId
+            log.debug('Estado atual da sala', {
+                sessionId,
+                attackerConnected: Boolean(game.attacker?.connected),
+                defenderConnected: Boolean(game.defender?.connected)
             });
 
             // Atribuir jogador ao papel
+            // Reconexão: o userId já ocupa um lugar (ex.: sessão restaurada após reinício)
+            if (!finalRole && userId) {
+                if (game.attacker.userId === userId) finalRole = 'attacker';
+                else if (game.defender.userId === userId) finalRole = 'defender';
+            }
+
             // Auto-assign se role não for fornecido (Guest Mode)
             if (!finalRole) {
                 if (game.attacker.connected && !game.defender.connected) {
@@ -145,7 +1766,7 @@ module.exports = (io) => {
                     finalRole = 'attacker';
                 } else if (!game.attacker.connected && !game.defender.connected) {
                     // Sala vazia - Guest first?
-                    socket.emit('error', { message: 'A aguardar pelo anfitrião...' });
+                    sendError(socket, { code: ErrorCode.WAITING_FOR_HOST, message: 'A aguardar pelo anfitrião...' });
                     return;
                 } else {
                     // Sala cheia
@@ -153,13 +1774,21 @@ module.exports = (io) => {
                     if (userId && game.attacker.userId === userId) finalRole = 'attacker';
                     else if (userId && game.defender.userId === userId) finalRole = 'defender';
                     else {
-                        console.warn(`⛔ Sala cheia para ${socket.id}`);
-                        socket.emit('error', { message: 'Sala cheia' });
+                        log.warn('Sala cheia', { sessionId });
+                        sendError(socket, { code: ErrorCode.SESSION_FULL, message: 'Sala cheia' });
                         return;
                     }
                 }
             }
 
+            // Um lugar de outro utilizador nunca pode ser ocupado
+            const seat = game[finalRole];
+            if (seat?.userId && seat.userId !== userId) {
+                log.warn('Lugar ocupado', { sessionId, role: finalRole });
+                sendError(socket, { code: ErrorCode.SEAT_TAKEN, message: 'Lugar ocupado por outro jogador' });
+                return;
+            }
+
             // Atribuir jogador ao papel com suporte a reconexão por userId
             if (finalRole === 'attacker') {
                 game.attacker = { socketId: socket.id, userId: userId || null, connected: true };
@@ -168,344 +1797,182 @@ module.exports = (io) => {
             }
 
             // Guardar referências
-            currentSessionId = sessionId;
-            currentRole = finalRole;
+            socket.data.sessionId = sessionId;
+            socket.data.role = finalRole;
 
             // Entrar na sala Socket.IO (AWAIT IMPORTANTE)
             await socket.join(sessionId);
-            console.log(`✅ Socket ${socket.id} entrou na sala ${sessionId}`);
-
-            // Herdar tema se não fornecido e já existir
-            if (!data.theme && game.activeTheme) {
-                // Guest herda tema
-            }
+            log.debug('Socket entrou na sala', { sessionId });
 
             // Se tema fornecido (Host joining or setting up), atualizar
-            if (data.theme) {
+            if (theme) {
                 // BUG FIX: Normalizar IDs para garantir comparação correta
-                const incomingThemeId = String(data.theme.id);
+                const incomingThemeId = String(theme.id);
                 const currentThemeId = String(game.activeThemeId);
 
                 // Só resetar contadores se o tema mudar de verdade
                 if (currentThemeId !== incomingThemeId) {
-                    console.log(`🆕 [RESET] Novo tema detetado: ${incomingThemeId} (Anterior: ${currentThemeId}). Resetando themeRoundCount de ${game.themeRoundCount} para 1.`);
-                    game.activeTheme = data.theme;
-                    game.activeThemeId = data.theme.id;
+                    log.info('Novo tema na entrada', { sessionId, themeId: incomingThemeId, previousThemeId: currentThemeId });
+                    game.activeTheme = theme;
+                    game.activeThemeId = theme.id;
                     game.themeRoundCount = 1;
 
-                    if (!game.playedThemes.includes(data.theme.id)) {
-                        game.playedThemes.push(data.theme.id);
+                    if (!game.playedThemes.includes(theme.id)) {
+                        game.playedThemes.push(theme.id);
                     }
                 } else {
-                    console.log(`ℹ️ [KEEP] Tema mantido na reconexão: ${incomingThemeId} (ID igual). Mantendo themeRoundCount em ${game.themeRoundCount}.`);
+                    log.debug('Tema mantido na reconexão', { sessionId, themeId: incomingThemeId, themeRoundCount: game.themeRoundCount });
                 }
             } else {
-                console.log(`ℹ️ [NO-THEME] join_game sem tema. Mantendo estado atual: ${game.activeThemeId} / Round ${game.themeRoundCount}`);
+                log.debug('join_game sem tema', { sessionId, themeId: game.activeThemeId, themeRoundCount: game.themeRoundCount });
             }
 
-            // Limpar estado da ronda se o jogo não estiver em ATTACKING
-            if (game.status !== GameStatus.ATTACKING) {
+            // Em LOBBY/READY a entrada decide o estado (READY se ambos conectados).
+            // A meio do jogo é uma reconexão: o estado e a ronda mantêm-se.
+            const joined = transition(game.status, GameEvent.PLAYER_JOINED, {
+                role: finalRole,
+                context: { bothConnected: game.attacker.connected && game.defender.connected }
+            });
+            if (joined.ok) {
+                game.status = joined.to;
                 game.currentRound = {
                     attackerTool: null,
                     defenderTool: null,
                     startTime: null,
-                    endTime: null
+                    endTime: null,
+                    deadline: null
                 };
             }
 
-            // Se ambos os jogadores conectados, mudar para READY
-            if (game.attacker.connected && game.defender.connected) {
-                game.status = GameStatus.READY;
-            } else {
-                game.status = GameStatus.LOBBY;
+            // Reconexão durante a pausa: retomar quando ambos estiverem de volta
+            let resumed = false;
+            if (game.status === GameStatus.PAUSED && getDisconnectedRoles(game).length === 0) {
+                resumed = resumeGame(game);
             }
 
             game.updatedAt = Date.now();
 
-            console.log(`👤 ${finalRole} entrou na sessão ${sessionId}. Status: ${game.status}`);
+            log.info('Jogador entrou na sessão', { sessionId, role: finalRole, status: game.status });
 
             // Notificar todos na sala
-            io.to(sessionId).emit('game_state', toClientState(game));
-            io.to(sessionId).emit('player_joined', { role: finalRole, socketId: socket.id });
-        });
+            broadcastState(sessionId, game);
+            toRoom(sessionId).emit('player_joined', { role: finalRole, socketId: socket.id });
+            if (resumed) {
+                toRoom(sessionId).emit('game_resumed', { status: game.status, deadline: game.currentRound.deadline });
+            }
+        }, data => resolveSessionId(data?.sessionId));
 
         /**
          * START_GAME - Iniciar jogo com tema e papel
-         * @param {Object} data - { theme, role, sessionId }
+         * @param {Object} data - { themeId, role, sessionId, rules? }
          */
-        socket.on('start_game', (data) => {
-            const { theme, role, sessionId, userId } = data;
-
-            // Usar sessionId fornecido ou o atual da socket
-            const targetSessionId = sessionId || currentSessionId;
-
-            if (!targetSessionId) {
-                socket.emit('error', { message: 'Não está numa sessão' });
-                return;
-            }
-
-            // Atualizar contexto da socket se necessário
-            if (sessionId && sessionId !== currentSessionId) {
-                socket.join(sessionId);
-                currentSessionId = sessionId;
-                console.log(`🔌 Socket associado à sessão ${sessionId} via start_game`);
-            }
-
-            let game = games.get(targetSessionId);
-
-            // Se o jogo não existe, criar (Start New Game logic)
-            if (!game) {
-                console.log(`🆕 Criando nova sessão de jogo ${targetSessionId} via start_game`);
-                // Criar estado inicial
-                game = createInitialState(targetSessionId);
-
-                // Definir papel inicial
-                if (role === 'attacker') {
-                    game.attacker = { socketId: socket.id, connected: true };
-                } else if (role === 'defender') {
-                    game.defender = { socketId: socket.id, connected: true };
-                    game.defender = { socketId: socket.id, userId: userId, connected: true };
-                }
-
-                games.set(targetSessionId, game);
-            }
-
-            // Se role for fornecido e jogo já existia, gerir papéis com segurança e persistência
-            if (role) {
-                const myId = socket.id;
-
-                // Tentar identificar o "outro" pelo userId se possível, ou pelo socket anterior
-                // Se eu (UserId) sou o Vencedor, quem é o outro?
-
-                // Lógica simplificada robusta:
-                // Eu sou 'myId' e 'userId'. Eu quero ser 'role'.
-                // O outro deve ser o socket/user que estava no outro papel.
-
-                // Snapshot atual
-                const oldAttacker = { ...game.attacker };
-                const oldDefender = { ...game.defender };
-
-                // Quem sou eu no estado atual?
-                // Se eu era attacker, o outro era defender.
-                let otherPlayer = null;
-                if (oldAttacker.socketId === myId || (userId && oldAttacker.userId === userId)) {
-                    otherPlayer = oldDefender;
-                } else if (oldDefender.socketId === myId || (userId && oldDefender.userId === userId)) {
-                    otherPlayer = oldAttacker;
-                } else {
-                    // Novo jogador ou não identificado?
-                    // Assumir que o Slot Vazio ou o Slot Oposto é o outro.
-                    otherPlayer = role === 'attacker' ? oldDefender : oldAttacker;
-                }
-
-                if (role === 'attacker') {
-                    game.attacker = { socketId: myId, userId: userId, connected: true };
-                    // Preservar o outro se tiver dados
-                    if (otherPlayer && (otherPlayer.socketId || otherPlayer.userId)) {
-                        game.defender = otherPlayer;
-                    } else {
-                        game.defender = { socketId: null, userId: null, connected: false };
-                    }
-                } else { // role === 'defender'
-                    game.defender = { socketId: myId, userId: userId, connected: true };
-                    if (otherPlayer && (otherPlayer.socketId || otherPlayer.userId)) {
-                        game.attacker = otherPlayer;
-                    } else {
-                        game.attacker = { socketId: null, userId: null, connected: false };
-                    }
-                }
-                currentRole = role;
-                console.log(`🎭 Papéis definidos (com userId): Eu(${role})=${userId?.substring(0, 4)}... Outro=${otherPlayer?.userId?.substring(0, 4)}...`);
-            }
-
-            game.activeThemeId = theme.id;
-            game.activeTheme = theme;
-
-            // Só iniciar (READY) se ambos estiverem presentes. Caso contrário LOBBY.
-            if (game.attacker.connected && game.defender.connected) {
-                game.status = GameStatus.READY;
-            } else {
-                game.status = GameStatus.LOBBY;
-                console.log(`⏳ Sessão ${currentSessionId} em LOBBY à espera de oponente`);
-            }
-
-            game.roundNumber = 0;
-            game.themeRoundCount = 1; // Reset theme round count
-            // FIX: Não adicionar aos playedThemes aqui! Apenas quando completar (handleNextRound)
-            // if (!game.playedThemes.includes(theme.id)) {
-            //    game.playedThemes.push(theme.id); 
-            // }
-            game.currentRound = {
-                attackerTool: null,
-                defenderTool: null,
-                startTime: null,
-                endTime: null
-            };
-            game.updatedAt = Date.now();
-
-            console.log(`🎮 Jogo iniciado na sessão ${currentSessionId} com tema: ${theme.titulo}`);
-
-            io.to(currentSessionId).emit('game_state', toClientState(game));
-            io.to(currentSessionId).emit('game_started', { theme });
-        });
+        onSession('start_game', async (data) => {
+            const targetSessionId = data.sessionId || socket.data.sessionId;
+            if (targetSessionId && !games.get(targetSessionId)
+                && (refuseWhileDraining(socket) || await hasSessionLimit(socket))) return;
+            startGame(socket, data);
+        }, data => data?.sessionId || socket.data.sessionId);
 
         /**
          * EXECUTE_ATTACK - Atacante executa ataque
          * @param {Object} data - { toolId }
          */
-        socket.on('execute_attack', (data) => {
-            const game = games.get(currentSessionId);
-            if (!game || !currentSessionId) return;
-
-            // Validação de Role pelo Socket ID (mais seguro que a var local)
-            const isAttacker = game.attacker.socketId === socket.id;
-            if (!isAttacker) {
-                socket.emit('error', { message: 'Apenas o atacante pode atacar' });
-                return;
-            }
+        onSession('execute_attack', (data) => {
+            const game = games.get(socket.data.sessionId);
+            if (!game || !socket.data.sessionId) return;
 
-            // BUG FIX: Impedir ataques se o tema já acabou (evita Round 4+)
-            if (game.status === GameStatus.THEME_COMPLETED) {
-                socket.emit('error', { message: 'O tema foi concluído. Aguarde a seleção do próximo tema.' });
+            if (game.teams) {
+                teamHandler.submitTeamMove(socket, game, 'attack', data?.toolId);
                 return;
             }
 
-            const { toolId } = data;
-
-            game.currentRound.attackerTool = toolId;
-            game.currentRound.defenderTool = null;
-            game.currentRound.startTime = Date.now();
-            game.currentRound.endTime = null;
-            game.status = GameStatus.ATTACKING;
-            game.roundNumber += 1;
-            game.updatedAt = Date.now();
-
-            console.log(`⚔️  Ataque executado: ${toolId} (Ronda ${game.roundNumber})`);
-
-            io.to(currentSessionId).emit('game_state', toClientState(game));
-            io.to(currentSessionId).emit('attack_executed', {
-                toolId,
-                roundNumber: game.roundNumber,
-                startTime: game.currentRound.startTime
-            });
+            // Papel validado pelo Socket ID
+            executeAttack(socket, game, getPlayerRole(game, socket.id), data?.toolId);
         });
 
         /**
          * EXECUTE_DEFENSE - Defensor executa defesa
-         * @param {Object} data - { toolId, isCorrect, timeRemaining }
+         * A correção e o tempo restante são calculados pelo servidor.
+         * @param {Object} data - { toolId }
          */
-        socket.on('execute_defense', (data) => {
-            const game = games.get(currentSessionId);
-            if (!game || !currentSessionId || game.status !== GameStatus.ATTACKING) return;
-
-            // Validação
-            const isDefender = game.defender.socketId === socket.id;
-            if (!isDefender) {
-                socket.emit('error', { message: 'Apenas o defensor pode defender' });
+        onSession('execute_defense', (data) => {
+            const game = games.get(socket.data.sessionId);
+            if (!game || !socket.data.sessionId) return;
+
+            if (game.teams) {
+                teamHandler.submitTeamMove(socket, game, 'defend', data?.toolId);
                 return;
             }
 
-            const { toolId, isCorrect, timeRemaining = 0 } = data;
-            const maxTime = game.activeTheme?.tempo || 30;
-            const score = calculateScore(timeRemaining, maxTime, isCorrect, game.streak);
-
-            game.currentRound.defenderTool = toolId;
-            game.currentRound.endTime = Date.now();
-
-            const roundResult = {
-                round: game.roundNumber,
-                themeId: game.activeThemeId,
-                themeName: game.activeTheme?.titulo,
-                attackerTool: game.currentRound.attackerTool,
-                defenderTool: toolId,
-                isCorrect,
-                responseTime: (game.currentRound.endTime - game.currentRound.startTime) / 1000,
-                scoreGained: score,
-                winner: isCorrect ? 'defender' : 'attacker',
-                timedOut: false,
-                timestamp: Date.now(),
-                timestamp: Date.now(),
-                winnerSocketId: isCorrect ? game.defender.socketId : game.attacker.socketId,
-                winnerUserId: isCorrect ? game.defender.userId : game.attacker.userId
-            };
-
-            game.history.push(roundResult);
-            game.status = isCorrect ? GameStatus.DEFENDED : GameStatus.BREACHED;
-            game.defenderScore += score;
-            game.attackerScore += isCorrect ? 0 : 150;
-            game.streak = isCorrect ? game.streak + 1 : 0;
-            game.totalRounds += 1;
-            game.updatedAt = Date.now();
-
-            console.log(`🛡️  Defesa: ${toolId} - ${isCorrect ? 'SUCESSO' : 'FALHOU'}`);
-
-            io.to(currentSessionId).emit('game_state', toClientState(game));
-            io.to(currentSessionId).emit('round_result', roundResult);
+            executeDefense(socket, game, getPlayerRole(game, socket.id), data?.toolId);
         });
 
         /**
-         * TIME_EXPIRED - Tempo esgotado
+         * TIME_EXPIRED - Cliente reporta tempo esgotado
+         * Só é aceite se o prazo do servidor já tiver passado (senão TOO_EARLY).
          */
-        socket.on('time_expired', () => {
-            if (!currentSessionId) return;
-
-            const game = games.get(currentSessionId);
-            if (!game || game.status !== GameStatus.ATTACKING) return;
+        onSession('time_expired', () => {
+            if (!socket.data.sessionId) return;
 
-            game.currentRound.endTime = Date.now();
-
-            const roundResult = {
-                round: game.roundNumber,
-                themeId: game.activeThemeId,
-                themeName: game.activeTheme?.titulo,
-                attackerTool: game.currentRound.attackerTool,
-                defenderTool: null,
-                isCorrect: false,
-                responseTime: game.activeTheme?.tempo || 0,
-                scoreGained: 0,
-                winner: 'attacker',
-                timedOut: true,
-                timestamp: Date.now(),
-                timestamp: Date.now(),
-                winnerSocketId: game.attacker.socketId,
-                winnerUserId: game.attacker.userId
-            };
-
-            game.history.push(roundResult);
-            game.status = GameStatus.BREACHED;
-            game.attackerScore += 200;
-            game.streak = 0;
-            game.totalRounds += 1;
-            game.updatedAt = Date.now();
+            const game = games.get(socket.data.sessionId);
+            if (!game) return;
 
-            console.log(`⏱️  Tempo esgotado na ronda ${game.roundNumber}`);
+            const result = guardTransition(socket, game, GameEvent.TIME_EXPIRED, getPlayerRole(game, socket.id), {
+                attackLaunched: Boolean(game.currentRound.startTime)
+            });
+            if (!result) return;
+
+            const msRemaining = game.currentRound.deadline - Date.now();
+            if (msRemaining > TIME_EXPIRED_TOLERANCE_MS) {
+                log.warn('time_expired antecipado recusado', { secondsRemaining: Math.ceil(msRemaining / 1000) });
+                sendError(socket, {
+                    code: ErrorCode.TOO_EARLY,
+                    message: 'A ronda ainda não terminou',
+                    msRemaining
+                });
+                return;
+            }
 
-            io.to(currentSessionId).emit('game_state', toClientState(game));
-            io.to(currentSessionId).emit('round_result', roundResult);
+            resolveTimeout(socket.data.sessionId);
         });
 
         /**
          * CHOOSE_NEXT_ROLE - Vencedor escolhe próximo papel
          * @param {Object} data - { role: 'attacker' | 'defender' }
          */
-        socket.on('choose_next_role', (data) => {
-            if (!currentSessionId) return;
-            const game = games.get(currentSessionId);
+        onSession('choose_next_role', (data) => {
+            if (!socket.data.sessionId) return;
+            const game = games.get(socket.data.sessionId);
             if (!game) return;
 
+            // Só depois de uma ronda resolvida (DEFENDED/BREACHED)
+            const callerRole = getPlayerRole(game, socket.id);
+            const result = guardTransition(socket, game, GameEvent.NEXT_ROUND, callerRole, nextRoundContext(game));
+            if (!result) return;
+
+            if (!getRules(game).winnerChoosesRole) {
+                sendError(socket, { code: ErrorCode.RULE_DISABLED, message: 'Nesta sessão o vencedor não escolhe o papel' });
+                return;
+            }
+
             // Verificar se quem chamou foi o vencedor da última ronda
             const lastRound = game.history[game.history.length - 1];
             if (!lastRound) return; // Não há histórico?
 
             // Validação robusta baseada no papel vencedor e reconexão
             const winnerRoleLastRound = lastRound.winner; // 'attacker' ou 'defender'
-            let callerRole = null;
-            if (game.attacker.socketId === socket.id) callerRole = 'attacker';
-            else if (game.defender.socketId === socket.id) callerRole = 'defender';
 
             // Se eu sou o socket atual do papel que venceu, então sou o vencedor
             if (callerRole !== winnerRoleLastRound) {
-                socket.emit('error', { message: 'Apenas o vencedor da ronda anterior pode escolher o papel' });
+                sendError(socket, { code: ErrorCode.WINNER_ONLY, message: 'Apenas o vencedor da ronda anterior pode escolher o papel' });
+                return;
+            }
+
+            // Equipas: qualquer membro da equipa vencedora escolhe e as equipas trocam em bloco
+            if (game.teams) {
+                if (data.role !== callerRole) swapSides(game);
+                log.info('Equipa vencedora escolheu o papel', { role: data.role });
+                handleNextRound(game, socket.data.sessionId, result.to);
                 return;
             }
 
@@ -523,246 +1990,317 @@ module.exports = (io) => {
             const socketIds = { [winnerRole]: winnerSocketId, [loserRole]: loserSocketId };
             const connections = { [winnerRole]: true, [loserRole]: true }; // Assumindo conectados
 
-            // Reconstruir player configs
-            game.attacker = { socketId: socketIds.attacker, connected: true };
-            game.defender = { socketId: socketIds.defender, connected: true };
+            // Reconstruir player configs (mantendo a identidade verificada de cada um)
+            const userIds = {
+                [winnerRole]: socket.data.userId,
+                [loserRole]: callerRole === 'attacker' ? game.defender.userId : game.attacker.userId
+            };
+            game.attacker = { socketId: socketIds.attacker, userId: userIds.attacker, connected: true };
+            game.defender = { socketId: socketIds.defender, userId: userIds.defender, connected: true };
 
-            console.log(`🔀 Troca de Papéis na sessão ${currentSessionId}: Vencedor escolheu ${winnerRole}`);
+            log.info('Vencedor escolheu o papel', { role: winnerRole });
 
             // Avançar para Next Round logic
-            handleNextRound(game, currentSessionId);
+            handleNextRound(game, socket.data.sessionId, result.to);
         });
 
         /**
-         * Lógica interna para avançar ronda
+         * NEXT_ROUND - Avançar para próxima ronda (Fall back legacy ou para Theme Selection)
          */
-        const handleNextRound = (game, sessionId) => {
-            // Garantir que é número (FIX: evita loop infinito por string '11')
-            game.themeRoundCount = Number(game.themeRoundCount) || 1;
-
-            // Verificar se atingimos o limite de 3 rondas por tema
-            console.log(`🔄 Check Next Round: ThemeCount=${game.themeRoundCount}, Limit=3`);
-
-            if (game.themeRoundCount >= 3) {
-                game.status = GameStatus.THEME_COMPLETED;
-
-                // CALCULAR VENCEDOR DO TEMA (User-based)
-                // Somar scores do histórico para o tema atual por userId
-                const themeScores = {};
-                const currentThemeId = game.activeThemeId;
-
-                game.history.forEach(round => {
-                    if (round.themeId === currentThemeId && round.winnerUserId) {
-                        themeScores[round.winnerUserId] = (themeScores[round.winnerUserId] || 0) + (round.scoreGained || 0);
-                    }
-                });
-
-                let bestScore = -1;
-                let bestUserId = null;
+        onSession('next_round', () => {
+            if (!socket.data.sessionId) return;
+            const game = games.get(socket.data.sessionId);
+            if (!game) return;
 
-                Object.entries(themeScores).forEach(([uId, score]) => {
-                    if (score > bestScore) {
-                        bestScore = score;
-                        bestUserId = uId;
-                    }
-                });
+            // Fallback sem troca de papéis: só é legal depois de uma ronda resolvida
+            const result = guardTransition(socket, game, GameEvent.NEXT_ROUND, getPlayerRole(game, socket.id), nextRoundContext(game));
+            if (!result) return;
 
-                // Fallback se empatado ou sem scores: Vencedor da última ronda
-                if (!bestUserId) {
-                    const lastRound = game.history[game.history.length - 1];
-                    bestUserId = lastRound?.winnerUserId;
-                }
+            handleNextRound(game, socket.data.sessionId, result.to);
+        });
 
-                game.themeWinnerUserId = bestUserId;
+        /**
+         * RESET_GAME - Reiniciar jogo completamente
+         * (anfitrião: imediato; outro jogador: com o acordo do adversário)
+         */
+        onSession('reset_game', () => {
+            const game = games.get(socket.data.sessionId);
+            if (game.tournament) {
+                sendError(socket, { code: ErrorCode.TOURNAMENT_MATCH, message: 'Jogos de torneio não podem ser reiniciados' });
+                return;
+            }
+            const role = getPlayerRole(game, socket.id);
+            if (!guardTransition(socket, game, GameEvent.RESET, role)) return;
+            if (hostHandler.requestConsent(socket, game, 'reset_game', role)) return;
 
-                console.log(`🏁 Tema ${game.activeThemeId} completado. Vencedor (Score Real): ${bestUserId} (${bestScore} pts).`);
+            if (game.hostUserId === socket.data.userId) logHostAction(game, socket.data.userId, 'reset_game');
+            resetSession(game);
+        });
 
-                // Adicionar tema aos jogados se não tiver
-                if (game.activeThemeId && !game.playedThemes.includes(game.activeThemeId)) {
-                    game.playedThemes.push(game.activeThemeId);
-                }
+        /**
+         * REPLAY_GAME - Jogar novamente mantendo pontuações
+         * (anfitrião: imediato; outro jogador: com o acordo do adversário)
+         */
+        onSession('replay_game', () => {
+            const game = games.get(socket.data.sessionId);
+            if (game.tournament) {
+                sendError(socket, { code: ErrorCode.TOURNAMENT_MATCH, message: 'Jogos de torneio não podem ser repetidos' });
+                return;
+            }
 
-                // CHECK GAME OVER (All Themes Played)
-                // TOTAL_THEMES definido como 11 (número de entradas em cenarios.json)
-                const TOTAL_THEMES = 11;
+            // Só no fim de um tema ou do jogo
+            const role = getPlayerRole(game, socket.id);
+            const result = guardTransition(socket, game, GameEvent.REPLAY, role);
+            if (!result) return;
+            if (hostHandler.requestConsent(socket, game, 'replay_game', role)) return;
 
-                // Se já jogámos todos os temas
-                if (game.playedThemes.length >= TOTAL_THEMES) {
-                    game.status = GameStatus.GAME_FINISHED;
+            if (game.hostUserId === socket.data.userId) logHostAction(game, socket.data.userId, 'replay_game');
+            replaySession(game, result.to);
+        });
 
-                    // Calcular Vencedor Global
-                    const globalScores = {};
-                    game.history.forEach(round => {
-                        if (round.winnerUserId) {
-                            globalScores[round.winnerUserId] = (globalScores[round.winnerUserId] || 0) + (round.scoreGained || 0);
-                        }
-                    });
+        /**
+         * REQUEST_STATE - Solicitar estado atual
+         */
+        onSession('request_state', () => {
+            if (socket.data.spectatingSessionId) {
+                const watched = games.get(socket.data.spectatingSessionId);
+                if (watched) socket.emit('game_state', toSpectatorState(watched));
+                return;
+            }
+            if (!socket.data.sessionId) return;
+            const game = games.get(socket.data.sessionId);
+            if (game) {
+                socket.emit('game_state', toClientState(game));
+            }
+        });
 
-                    let bestGlobalScore = -1;
-                    let bestGlobalUserId = null;
+        /**
+         * ADD_BOT - Anfitrião ocupa o lugar vazio com um bot
+         * @param {Object} data - { difficulty: 'easy'|'medium'|'hard' }
+         */
+        onSession('add_bot', (data) => {
+            const { difficulty = DEFAULT_DIFFICULTY } = data || {};
+            const game = socket.data.sessionId ? games.get(socket.data.sessionId) : null;
+            if (!game) {
+                sendError(socket, { code: ErrorCode.NOT_IN_SESSION, message: 'Não está numa sessão' });
+                return;
+            }
 
-                    Object.entries(globalScores).forEach(([uId, score]) => {
-                        if (score > bestGlobalScore) {
-                            bestGlobalScore = score;
-                            bestGlobalUserId = uId;
-                        }
-                    });
+            if (game.hostUserId !== socket.data.userId) {
+                sendError(socket, { code: ErrorCode.HOST_ONLY, message: 'Apenas o anfitrião pode adicionar um bot' });
+                return;
+            }
 
-                    game.globalWinnerUserId = bestGlobalUserId;
-                    game.finalScores = globalScores; // Opcional: enviar scores finais
+            if (game.teams) {
+                sendError(socket, { code: ErrorCode.TEAM_GAME, message: 'Bots não podem jogar em equipas' });
+                return;
+            }
 
-                    console.log(`🏆 JOGO TERMINADO. Vencedor Global: ${bestGlobalUserId} (${bestGlobalScore} pts).`);
-                }
-            } else {
-                // Iniciar nova ronda do mesmo tema
-                game.roundNumber++;
-                game.themeRoundCount++; // Incrementar rondas do tema
-                game.status = GameStatus.ATTACKING;
-                game.themeWinnerUserId = null; // Reset
+            if (!Object.prototype.hasOwnProperty.call(BOT_DIFFICULTIES, difficulty)) {
+                sendError(socket, {
+                    code: ErrorCode.INVALID_DIFFICULTY,
+                    message: `Dificuldade inválida (${Object.keys(BOT_DIFFICULTIES).join(', ')})`
+                });
+                return;
+            }
 
-                // Clear round data
-                game.currentRound = {
-                    attackerTool: null,
-                    defenderTool: null,
-                    startTime: null,
-                    endTime: null
-                };
-                console.log(`🔄 Nova ronda iniciada. ThemeCount agora é ${game.themeRoundCount}. TotalRound=${game.roundNumber}. Status=ATTACKING`);
+            const botRole = [Role.ATTACKER, Role.DEFENDER].find(role => !game[role].connected && !game[role].userId);
+            if (!botRole) {
+                sendError(socket, { code: ErrorCode.SEAT_TAKEN, message: 'Não há lugar livre para o bot' });
+                return;
             }
 
-            game.updatedAt = Date.now();
-            io.to(sessionId).emit('game_state', toClientState(game));
+            const otherRole = botRole === Role.ATTACKER ? Role.DEFENDER : Role.ATTACKER;
+            const result = guardTransition(socket, game, GameEvent.PLAYER_JOINED, botRole, {
+                bothConnected: game[otherRole].connected
+            });
+            if (!result) return;
 
-            // Se for nova ronda de ataque, notificar que está pronto
-            if (game.status === GameStatus.ATTACKING) {
-                io.to(sessionId).emit('next_round_ready');
-            }
-        };
+            game[botRole] = { socketId: null, userId: createBotUserId(difficulty), connected: true, bot: difficulty };
+            game.botGame = true;
+            game.status = result.to;
+            game.updatedAt = Date.now();
+            logHostAction(game, socket.data.userId, 'add_bot', { role: botRole, difficulty });
 
-        /**
-         * NEXT_ROUND - Avançar para próxima ronda (Fall back legacy ou para Theme Selection)
-         */
-        socket.on('next_round', () => {
-            if (!currentSessionId) return;
-            const game = games.get(currentSessionId);
-            if (!game) return;
+            log.info('Bot adicionado', { difficulty, role: botRole });
 
-            // Se estivermos em theme completed, talvez não queiramos disparar nova ronda aqui
-            // Mas para compatibilidade com código existente, mantemos
-            // Se for R3 -> Theme Completed, ok.
-            // Se for R<3, vamos forçar uma escolha de role?
-            // Com a nova lógica, next_round direto NÃO deve ser chamado antes da escolha.
-            // Mas, deixamos como está por agora, o front-end é que decide quem chama o quê.
-            // Se o user clicar "Proxima Ronda" e não houver vencedor definido (ou bug), isto serve de fallback
-            handleNextRound(game, currentSessionId);
+            toRoom(game.sessionId).emit('bot_added', { role: botRole, difficulty });
+            broadcastState(game.sessionId, game);
         });
 
         /**
-         * RESET_GAME - Reiniciar jogo completamente
+         * SPECTATE_GAME - Assistir a uma sessão (apenas leitura)
+         * @param {Object} data - { sessionId }
          */
-        socket.on('reset_game', () => {
-            if (!currentSessionId) return;
+        onSession('spectate_game', async (data) => {
+            const { sessionId } = data || {};
+            const game = games.get(sessionId);
 
-            const freshState = createInitialState(currentSessionId);
-            games.set(currentSessionId, freshState);
+            if (!game) {
+                sendError(socket, { code: ErrorCode.SESSION_NOT_FOUND, message: 'Sessão não encontrada' });
+                return;
+            }
+            if (!game.allowSpectators) {
+                sendError(socket, { code: ErrorCode.SPECTATING_DISABLED, message: 'O anfitrião desativou os espectadores' });
+                return;
+            }
+            if (socket.data.sessionId) {
+                sendError(socket, { code: ErrorCode.ALREADY_PLAYING, message: 'Já está a jogar numa sessão' });
+                return;
+            }
 
-            console.log(`🔃 Jogo reiniciado na sessão ${currentSessionId}`);
+            stopSpectating();
+            await socket.join(spectatorRoom(sessionId));
+            socket.data.spectatingSessionId = sessionId;
+            if (!spectators.has(sessionId)) spectators.set(sessionId, new Set());
+            spectators.get(sessionId).add(socket.id);
 
-            io.to(currentSessionId).emit('game_state', toClientState(freshState));
-            io.to(currentSessionId).emit('game_reset');
-        });
+            log.info('Espectador a assistir', { sessionId });
+
+            socket.emit('game_state', toSpectatorState(game));
+            emitSpectatorCount(sessionId);
+        }, data => data?.sessionId);
 
         /**
-         * REPLAY_GAME - Jogar novamente mantendo pontuações
+         * STOP_SPECTATING - Deixar de assistir
          */
-        socket.on('replay_game', () => {
-            if (!currentSessionId) return;
-
-            const game = games.get(currentSessionId);
-            if (!game) return;
-
-            // Reset da ronda mas manter scores e histórico
-            game.status = GameStatus.READY;
-            game.currentRound = {
-                attackerTool: null,
-                defenderTool: null,
-                startTime: null,
-                endTime: null
-            };
-            game.roundNumber = 0;
-            game.streak = 0;
-            // NÃO resetar: attackerScore, defenderScore, totalRounds, history
-            game.updatedAt = Date.now();
-
-            console.log(`🔄 Replay na sessão ${currentSessionId} (scores: ATK=${game.attackerScore} DEF=${game.defenderScore})`);
-
-            io.to(currentSessionId).emit('game_state', toClientState(game));
-            io.to(currentSessionId).emit('game_replay');
+        onEvent('stop_spectating', () => {
+            stopSpectating();
         });
 
         /**
-         * REQUEST_STATE - Solicitar estado atual
+         * SET_SPECTATING - Anfitrião ativa/desativa espectadores
+         * @param {Object} data - { allowed: boolean }
          */
-        socket.on('request_state', () => {
-            if (!currentSessionId) return;
-            const game = games.get(currentSessionId);
-            if (game) {
-                socket.emit('game_state', toClientState(game));
+        onSession('set_spectating', (data) => {
+            if (!socket.data.sessionId) return;
+            const game = games.get(socket.data.sessionId);
+            if (!game) return;
+
+            if (game.hostUserId !== socket.data.userId) {
+                sendError(socket, { code: ErrorCode.HOST_ONLY, message: 'Apenas o anfitrião pode alterar esta opção' });
+                return;
+            }
+
+            game.allowSpectators = Boolean(data?.allowed);
+            game.updatedAt = Date.now();
+            logHostAction(game, socket.data.userId, 'set_spectating', { allowed: game.allowSpectators });
+            if (!game.allowSpectators) {
+                removeSpectators(socket.data.sessionId, 'SPECTATING_DISABLED');
             }
+
+            log.info('Espectadores alterados', { allowSpectators: game.allowSpectators });
+            broadcastState(socket.data.sessionId, game);
         });
 
         /**
          * DISCONNECT - Jogador desconectou
          */
-        socket.on('disconnect', () => {
-            console.log(`🔌 Cliente desconectado: ${socket.id}`);
+        socket.on('disconnect', () => runInSession(socket.data.sessionId, () => {
+            log.info('Cliente desconectado', { socketId: socket.id, userId: socket.data.userId });
+
+            stopSpectating();
+            matchmaker.cancel(socket.id);
 
-            if (currentSessionId) {
-                const game = games.get(currentSessionId);
+            if (socket.data.sessionId) {
+                const game = games.get(socket.data.sessionId);
                 if (game) {
-                    // Marcar jogador como desconectado
-                    if (game.attacker.socketId === socket.id) {
-                        game.attacker.connected = false;
-                    }
-                    if (game.defender.socketId === socket.id) {
-                        game.defender.connected = false;
+                    // Equipas: o lado só fica vazio quando sai o último membro ligado
+                    let wasSeated;
+                    if (game.teams) {
+                        wasSeated = teamHandler.leaveTeam(game, socket.id);
+                    } else {
+                        // Marcar jogador como desconectado
+                        if (game.attacker.socketId === socket.id) {
+                            game.attacker.connected = false;
+                        }
+                        if (game.defender.socketId === socket.id) {
+                            game.defender.connected = false;
+                        }
+                        wasSeated = game.attacker.socketId === socket.id || game.defender.socketId === socket.id;
                     }
                     game.updatedAt = Date.now();
 
+                    // Jogo ativo: pausar e abrir a janela de reconexão
+                    if (wasSeated && pauseGame(game)) {
+                        emitReconnecting(game, RECONNECT_GRACE_MS);
+                    }
+
                     // Notificar outros jogadores
-                    io.to(currentSessionId).emit('player_disconnected', {
-                        role: currentRole,
+                    toRoom(socket.data.sessionId).emit('player_disconnected', {
+                        role: socket.data.role,
                         socketId: socket.id
                     });
-                    io.to(currentSessionId).emit('game_state', toClientState(game));
-
-                    // Se ambos desconectados, limpar após 5 minutos
-                    if (!game.attacker.connected && !game.defender.connected) {
-                        setTimeout(() => {
-                            const g = games.get(currentSessionId);
+                    broadcastState(socket.data.sessionId, game);
+
+                    // Se ambos desconectados (e sem pausa à espera), limpar após 5 minutos
+                    if (!game.attacker.connected && !game.defender.connected && game.status !== GameStatus.PAUSED) {
+                        const { sessionId } = socket.data;
+                        roundTimers.clear(sessionId);
+                        setTimeout(() => runInSession(sessionId, () => {
+                            const g = games.get(sessionId);
                             if (g && !g.attacker.connected && !g.defender.connected) {
-                                games.delete(currentSessionId);
-                                console.log(`🗑️  Sessão ${currentSessionId} removida por inatividade`);
+                                deleteGame(sessionId);
+                                log.info('Sessão removida por inatividade', { sessionId });
                             }
-                        }, 5 * 60 * 1000);
+                        }), 5 * 60 * 1000).unref();
                     }
                 }
             }
-        });
+        }));
     });
 
     // Limpeza periódica de jogos antigos (cada 10 minutos)
-    setInterval(() => {
+    const cleanupTimer = setInterval(() => {
         const now = Date.now();
         const maxAge = 60 * 60 * 1000; // 1 hora
 
         for (const [sessionId, game] of games.entries()) {
             if (now - game.updatedAt > maxAge) {
-                games.delete(sessionId);
-                console.log(`🗑️  Sessão ${sessionId} expirada e removida`);
+                // Outra instância pode ter usado a sessão entretanto: confirmar com o estado atual
+                runInSession(sessionId, () => {
+                    const current = games.get(sessionId);
+                    if (!current || Date.now() - current.updatedAt <= maxAge) return;
+                    deleteGame(sessionId);
+                    log.info('Sessão expirada e removida', { sessionId });
+                });
             }
         }
     }, 10 * 60 * 1000);
 
-    console.log('🎮 Game Handler inicializado');
+    // Gauges lidos em cada pedido a /metrics: ligações desta instância e sessões do armazém
+    metrics.registry.onCollect(async () => {
+        const now = Date.now();
+        const list = await sessions.list();
+        metrics.connectedSockets.set({}, io.of('/').sockets.size);
+        Object.values(GameStatus).forEach(status => {
+            const inStatus = list.filter(game => game.status === status);
+            metrics.activeSessions.set({ status }, inStatus.length);
+            metrics.sessionIdle.set({ status }, inStatus.reduce(
+                (max, game) => Math.max(max, Math.round((now - game.updatedAt) / 1000)), 0));
+        });
+    });
+
+    /**
+     * Pára os temporizadores e a fila desta instância (encerramento, testes).
+     * As sessões ficam no armazém para outra instância as continuar.
+     */
+    const close = () => {
+        clearInterval(cleanupTimer);
+        matchmaker.stop();
+        rateLimiter.stop();
+        [roundTimers, graceTimers].forEach(timers => timers.clearAll());
+        [teamHandler, hostHandler, tournamentHandler].forEach(feature => feature.close());
+        Array.from(botActions.keys()).forEach(clearBotAction);
+    };
+
+    log.info('Game Handler inicializado');
+
+    // API usada pelas rotas REST (e close para encerrar a instância)
+    return {
+        listLobbies,
+        tournaments: tournamentHandler.tournaments,
+        admin,
+        close
+    };
 };
@@ -0,0 +1,322 @@
+/**
+ * Host Handler - Controlo da sala pelo anfitrião via Socket.IO
+ *
+ * - Expulsar jogadores, trancar a sala, alterar as regras e passar o controlo
+ * - Acordo do adversário para reinícios/repetições pedidos por quem não é
+ *   anfitrião (o reinício em si fica no gameHandler: resetSession/replaySession)
+ *
+ * As ações do anfitrião ficam no hostLog da sessão (logHostAction).
+ */
+
+const { createRoundTimers } = require('../game/roundTimer');
+const { GameStatus, GameEvent, Role, transition } = require('../game/stateMachine');
+const { resolveRules, getRules } = require('../game/rules');
+const { isBotUserId } = require('../game/bot');
+const { findMember, promoteCaptain, syncSeats } = require('../game/teams');
+const { teamRoom, getUserRole, logHostAction } = require('./sessionState');
+const { ErrorCode } = require('./errorCodes');
+const { logger } = require('../config/logger');
+
+const log = logger.child({ component: 'hostHandler' });
+
+// Prazo do adversário para aceitar um reinício/repetição pedido por quem não é anfitrião
+const CONSENT_TIMEOUT_MS = (Number(process.env.CONSENT_TIMEOUT_SECONDS) || 30) * 1000;
+
+// Estados em que o anfitrião ainda pode expulsar jogadores e mudar as regras
+const SETUP_STATUSES = [GameStatus.LOBBY, GameStatus.READY];
+
+/**
+ * Cria os handlers do anfitrião sobre as sessões do gameHandler
+ * @param {Object} context - { io, games, sendError, runInSession, broadcastState,
+ *   toRoom, resetSession, replaySession, clearBotAction }
+ */
+const createHostHandler = ({
+    io,
+    games,
+    sendError,
+    runInSession,
+    broadcastState,
+    toRoom,
+    resetSession,
+    replaySession,
+    clearBotAction
+}) => {
+    /**
+     * Prazos dos pedidos de reinício/repetição à espera do adversário (um por sessão)
+     */
+    const consentTimers = createRoundTimers({
+        onExpire: (sessionId) => runInSession(sessionId, () => {
+            const game = games.get(sessionId);
+            if (game?.consentRequest) closeConsentRequest(game, false, 'TIMEOUT');
+        })
+    });
+
+    /**
+     * Fecha o pedido em curso e avisa a sala
+     * @param {string} reason - 'ACCEPTED' | 'DECLINED' | 'TIMEOUT' | 'STATE_CHANGED'
+     */
+    const closeConsentRequest = (game, accepted, reason) => {
+        const request = game.consentRequest;
+        consentTimers.clear(game.sessionId);
+        game.consentRequest = null;
+        game.updatedAt = Date.now();
+
+        log.info('Pedido ao adversário fechado', { sessionId: game.sessionId, action: request.action, requestedBy: request.userId, reason });
+        toRoom(game.sessionId).emit('consent_resolved', { action: request.action, userId: request.userId, accepted, reason });
+        if (!accepted) broadcastState(game.sessionId, game);
+    };
+
+    /**
+     * Quem não é anfitrião precisa que o adversário aceite o reinício ou a
+     * repetição (respond_consent) dentro de CONSENT_TIMEOUT_MS. Contra um
+     * bot ou com o outro lugar vazio, a ação segue logo.
+     * @returns {boolean} true se a ação ficou à espera (ou foi recusada)
+     */
+    const requestConsent = (socket, game, action, role) => {
+        const { userId } = socket.data;
+        if (game.hostUserId === userId) return false;
+
+        const opponent = game[role === Role.ATTACKER ? Role.DEFENDER : Role.ATTACKER];
+        if (!opponent.userId || opponent.bot) return false;
+
+        if (game.consentRequest) {
+            sendError(socket, { code: ErrorCode.CONSENT_PENDING, message: 'Já há um pedido à espera do adversário' });
+            return true;
+        }
+
+        const deadline = Date.now() + CONSENT_TIMEOUT_MS;
+        game.consentRequest = { action, userId, role, confirmUserId: opponent.userId, deadline };
+        consentTimers.start(game.sessionId, deadline);
+        game.updatedAt = Date.now();
+
+        log.info('Pedido à espera do adversário', { action });
+        toRoom(game.sessionId).emit('consent_requested', { action, userId, confirmUserId: opponent.userId, deadline });
+        broadcastState(game.sessionId, game);
+        return true;
+    };
+
+    /**
+     * Recusa a entrada de quem foi expulso e, com a sala trancada, de quem
+     * ainda não tem lugar nela
+     */
+    const canEnterSession = (socket, game) => {
+        const { userId } = socket.data;
+        if ((game.kickedUserIds || []).includes(userId)) {
+            sendError(socket, { code: ErrorCode.KICKED, message: 'Foste expulso desta sala pelo anfitrião' });
+            return false;
+        }
+        if (game.locked && !getUserRole(game, userId)) {
+            sendError(socket, { code: ErrorCode.ROOM_LOCKED, message: 'Sala trancada pelo anfitrião' });
+            return false;
+        }
+        return true;
+    };
+
+    /**
+     * Regista os eventos do anfitrião (e a resposta do adversário) de um socket
+     * @param {Object} events - { onSession } do pipeline de eventos do gameHandler
+     */
+    const register = (socket, { onSession }) => {
+        /**
+         * Ações do anfitrião: recusa quem não o é
+         */
+        const requireHost = (game, action) => {
+            if (game.hostUserId === socket.data.userId) return true;
+            sendError(socket, { code: ErrorCode.HOST_ONLY, message: `Apenas o anfitrião pode ${action}` });
+            return false;
+        };
+
+        /**
+         * RESPOND_CONSENT - O adversário aceita ou recusa o pedido em curso
+         * @param {Object} data - { accept: boolean }
+         */
+        onSession('respond_consent', (data) => {
+            const game = games.get(socket.data.sessionId);
+            const request = game.consentRequest;
+            if (!request) {
+                sendError(socket, { code: ErrorCode.NO_CONSENT_REQUEST, message: 'Não há nenhum pedido à espera de resposta' });
+                return;
+            }
+            if (request.confirmUserId !== socket.data.userId) {
+                sendError(socket, { code: ErrorCode.OPPONENT_ONLY, message: 'Só o adversário pode responder a este pedido' });
+                return;
+            }
+            if (!data.accept) {
+                closeConsentRequest(game, false, 'DECLINED');
+                return;
+            }
+
+            // O jogo pode ter avançado desde o pedido: a ação tem de continuar legal
+            const event = request.action === 'reset_game' ? GameEvent.RESET : GameEvent.REPLAY;
+            const result = transition(game.status, event, { role: request.role });
+            if (!result.ok) {
+                closeConsentRequest(game, false, 'STATE_CHANGED');
+                return;
+            }
+
+            closeConsentRequest(game, true, 'ACCEPTED');
+            if (request.action === 'reset_game') resetSession(game);
+            else replaySession(game, result.to);
+        });
+
+        /**
+         * KICK_PLAYER - Anfitrião expulsa um jogador (ou bot) antes de o jogo começar.
+         * O expulso sai da sala e não pode voltar a entrar.
+         * @param {Object} data - { userId }
+         */
+        onSession('kick_player', (data) => {
+            const game = games.get(socket.data.sessionId);
+            if (!requireHost(game, 'expulsar jogadores')) return;
+            if (game.tournament) {
+                sendError(socket, { code: ErrorCode.TOURNAMENT_MATCH, message: 'Não é possível expulsar jogadores de um torneio' });
+                return;
+            }
+
+            const { userId } = data;
+            const role = userId !== socket.data.userId ? getUserRole(game, userId) : null;
+            if (!role) {
+                sendError(socket, { code: ErrorCode.INVALID_TARGET, message: 'Esse jogador não está na sala' });
+                return;
+            }
+            if (!SETUP_STATUSES.includes(game.status)) {
+                sendError(socket, { code: ErrorCode.GAME_IN_PROGRESS, message: 'Só é possível expulsar jogadores antes de o jogo começar' });
+                return;
+            }
+
+            let kickedSocketId;
+            let rooms = [game.sessionId];
+            if (game.teams) {
+                const { teamName, member } = findMember(game, { userId });
+                const team = game.teams[teamName];
+                kickedSocketId = member.socketId;
+                rooms = [game.sessionId, teamRoom(game.sessionId, teamName)];
+                team.members = team.members.filter(m => m.userId !== userId);
+                if (team.captainUserId === userId) {
+                    team.captainUserId = null;
+                    promoteCaptain(team);
+                }
+                syncSeats(game);
+            } else {
+                kickedSocketId = game[role].socketId;
+                if (game[role].bot) {
+                    clearBotAction(game.sessionId);
+                    game.botGame = false;
+                }
+                game[role] = { socketId: null, userId: null, connected: false };
+            }
+            if (!isBotUserId(userId)) game.kickedUserIds = [...(game.kickedUserIds || []), userId];
+
+            const result = transition(game.status, GameEvent.PLAYER_KICKED, {
+                context: { bothConnected: game.attacker.connected && game.defender.connected }
+            });
+            game.status = result.to;
+            game.updatedAt = Date.now();
+            logHostAction(game, socket.data.userId, 'kick_player', { userId, role });
+
+            // O socket do expulso pode estar noutra instância: sair das salas pelo adapter
+            if (kickedSocketId) {
+                io.to(kickedSocketId).emit('kicked', { sessionId: game.sessionId });
+                io.in(kickedSocketId).socketsLeave(rooms);
+                const kickedSocket = io.sockets.sockets.get(kickedSocketId);
+                if (kickedSocket?.data.sessionId === game.sessionId) {
+                    kickedSocket.data.sessionId = null;
+                    kickedSocket.data.role = null;
+                }
+            }
+
+            log.info('Jogador expulso pelo anfitrião', { kickedUserId: userId, role });
+            toRoom(game.sessionId).emit('player_kicked', { userId, role });
+            broadcastState(game.sessionId, game);
+        });
+
+        /**
+         * LOCK_ROOM - Anfitrião tranca/destranca a sala a jogadores novos
+         * (quem já tem lugar pode sempre voltar)
+         * @param {Object} data - { locked: boolean }
+         */
+        onSession('lock_room', (data) => {
+            const game = games.get(socket.data.sessionId);
+            if (!requireHost(game, 'trancar a sala')) return;
+
+            game.locked = data.locked;
+            game.updatedAt = Date.now();
+            logHostAction(game, socket.data.userId, 'lock_room', { locked: game.locked });
+
+            log.info('Sala trancada/destrancada', { locked: game.locked });
+            broadcastState(game.sessionId, game);
+        });
+
+        /**
+         * UPDATE_RULES - Anfitrião altera as regras antes de o jogo começar.
+         * As regras enviadas são aplicadas sobre as atuais (game/rules).
+         * @param {Object} data - { rules }
+         */
+        onSession('update_rules', (data) => {
+            const game = games.get(socket.data.sessionId);
+            if (!requireHost(game, 'alterar as regras')) return;
+            if (game.tournament) {
+                sendError(socket, { code: ErrorCode.TOURNAMENT_MATCH, message: 'As regras de um torneio não podem ser alteradas' });
+                return;
+            }
+            if (!SETUP_STATUSES.includes(game.status)) {
+                sendError(socket, { code: ErrorCode.GAME_IN_PROGRESS, message: 'Só é possível alterar as regras antes de o jogo começar' });
+                return;
+            }
+
+            const resolved = resolveRules(data.rules, getRules(game));
+            if (!resolved.ok) {
+                sendError(socket, { code: ErrorCode.INVALID_RULES, message: resolved.errors.join('; ') });
+                return;
+            }
+
+            game.rules = resolved.rules;
+            game.updatedAt = Date.now();
+            logHostAction(game, socket.data.userId, 'update_rules', { rules: data.rules });
+
+            log.info('Regras alteradas', { rules: game.rules });
+            toRoom(game.sessionId).emit('rules_changed', { rules: game.rules });
+            broadcastState(game.sessionId, game);
+        });
+
+        /**
+         * TRANSFER_HOST - Anfitrião passa o controlo da sala a outro jogador
+         * @param {Object} data - { userId }
+         */
+        onSession('transfer_host', (data) => {
+            const game = games.get(socket.data.sessionId);
+            if (!requireHost(game, 'passar o controlo da sala')) return;
+
+            const { userId } = data;
+            const role = userId !== socket.data.userId && !isBotUserId(userId) ? getUserRole(game, userId) : null;
+            if (!role) {
+                sendError(socket, { code: ErrorCode.INVALID_TARGET, message: 'O novo anfitrião tem de ser um jogador da sala' });
+                return;
+            }
+
+            const member = game.teams ? findMember(game, { userId }).member : null;
+            const hostSocket = io.sockets.sockets.get(member ? member.socketId : game[role].socketId);
+            logHostAction(game, socket.data.userId, 'transfer_host', { userId });
+            game.hostUserId = userId;
+            game.hostName = member?.name || hostSocket?.data.userName || null;
+            game.updatedAt = Date.now();
+
+            log.info('Anfitrião alterado', { hostUserId: userId });
+            toRoom(game.sessionId).emit('host_changed', { hostUserId: userId });
+            broadcastState(game.sessionId, game);
+        });
+    };
+
+    return {
+        requestConsent,
+        canEnterSession,
+        register,
+        clearTimers: (sessionId) => consentTimers.clear(sessionId),
+        close: () => consentTimers.clearAll()
+    };
+};
+
+module.exports = {
+    CONSENT_TIMEOUT_MS,
+    SETUP_STATUSES,
+    createHostHandler
+};
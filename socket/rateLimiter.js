@@ -0,0 +1,154 @@
+/**
+ * Limites de Eventos Socket.IO
+ *
+ * Contadores por janela fixa: cada evento conta por socket e por IP. Quem
+ * passa um limite (ou envia dados grandes demais) é recusado; quem o faz
+ * repetidamente é desligado.
+ *
+ * Configuração (variáveis de ambiente):
+ * - RATE_LIMIT_WINDOW_SECONDS   janela dos contadores (10)
+ * - RATE_LIMIT_SOCKET_EVENTS    eventos do mesmo tipo por socket e janela (20)
+ * - RATE_LIMIT_IP_EVENTS        eventos do mesmo tipo por IP e janela (60)
+ * - RATE_LIMIT_EVENTS           limites por socket de eventos específicos,
+ *                               ex.: "create_game=3,join_game=10"
+ * - RATE_LIMIT_MAX_VIOLATIONS   recusas por janela antes de desligar o socket (10)
+ * - MAX_SESSIONS_PER_CLIENT     salas abertas criadas pelo mesmo utilizador (3)
+ * - MAX_SESSIONS_PER_IP         salas abertas criadas a partir do mesmo IP (20)
+ * - MAX_PAYLOAD_BYTES           tamanho máximo dos dados de um evento (8192)
+ * - TRUST_PROXY                 "true" para usar X-Forwarded-For (ex.: Render)
+ */
+
+// Limites por socket mais apertados para eventos que criam ou reiniciam salas
+const DEFAULT_EVENT_LIMITS = {
+    create_game: 5,
+    start_game: 10,
+    join_game: 10,
+    reset_game: 5,
+    replay_game: 5,
+    add_bot: 5,
+    queue_for_match: 5
+};
+
+/**
+ * Lê "evento=limite,evento=limite" (entradas inválidas são ignoradas)
+ */
+const parseEventLimits = (value) => Object.fromEntries(String(value || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([event, limit]) => event && Number.isInteger(Number(limit)) && Number(limit) > 0)
+    .map(([event, limit]) => [event, Number(limit)]));
+
+/**
+ * Configuração a partir do ambiente
+ */
+const loadLimits = (env = process.env) => ({
+    windowMs: (Number(env.RATE_LIMIT_WINDOW_SECONDS) || 10) * 1000,
+    socketEvents: Number(env.RATE_LIMIT_SOCKET_EVENTS) || 20,
+    ipEvents: Number(env.RATE_LIMIT_IP_EVENTS) || 60,
+    eventLimits: { ...DEFAULT_EVENT_LIMITS, ...parseEventLimits(env.RATE_LIMIT_EVENTS) },
+    maxViolations: Number(env.RATE_LIMIT_MAX_VIOLATIONS) || 10,
+    maxSessionsPerClient: Number(env.MAX_SESSIONS_PER_CLIENT) || 3,
+    maxSessionsPerIp: Number(env.MAX_SESSIONS_PER_IP) || 20,
+    maxPayloadBytes: Number(env.MAX_PAYLOAD_BYTES) || 8192,
+    trustProxy: env.TRUST_PROXY === 'true'
+});
+
+/**
+ * Contador por chave numa janela fixa
+ * @returns {{ hit(key, limit): { ok, retryAfterMs }, prune() }}
+ */
+const createWindowCounter = (windowMs, now = () => Date.now()) => {
+    const windows = new Map(); // key -> { count, resetAt }
+
+    return {
+        hit: (key, limit) => {
+            const time = now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= time) {
+                entry = { count: 0, resetAt: time + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count += 1;
+            return entry.count <= limit
+                ? { ok: true, retryAfterMs: 0 }
+                : { ok: false, retryAfterMs: entry.resetAt - time };
+        },
+
+        /**
+         * Remove janelas terminadas (chamado periodicamente)
+         */
+        prune: () => {
+            const time = now();
+            for (const [key, entry] of windows) {
+                if (entry.resetAt <= time) windows.delete(key);
+            }
+        }
+    };
+};
+
+/**
+ * IP do cliente (o primeiro de X-Forwarded-For atrás de um proxy de confiança)
+ */
+const getClientIp = (socket, trustProxy) => {
+    const forwarded = trustProxy ? socket.handshake.headers['x-forwarded-for'] : null;
+    return forwarded ? String(forwarded).split(',')[0].trim() : socket.handshake.address;
+};
+
+/**
+ * Limitador de eventos de uma instância do servidor
+ * @param {Object} limits - Ver loadLimits
+ */
+const createRateLimiter = (limits = loadLimits()) => {
+    const events = createWindowCounter(limits.windowMs);
+    const violations = createWindowCounter(limits.windowMs);
+
+    const pruneTimer = setInterval(() => {
+        events.prune();
+        violations.prune();
+    }, limits.windowMs);
+    pruneTimer.unref();
+
+    return {
+        limits,
+
+        /**
+         * Conta um evento do socket (por socket e por IP)
+         * @returns {{ ok: boolean, retryAfterMs: number }}
+         */
+        check: (socket, event) => {
+            const ip = getClientIp(socket, limits.trustProxy);
+            const socketLimit = limits.eventLimits[event] || limits.socketEvents;
+            const ipLimit = Math.max(limits.ipEvents, socketLimit);
+
+            const bySocket = events.hit(`socket:${socket.id}:${event}`, socketLimit);
+            const byIp = events.hit(`ip:${ip}:${event}`, ipLimit);
+            return {
+                ok: bySocket.ok && byIp.ok,
+                retryAfterMs: Math.max(bySocket.retryAfterMs, byIp.retryAfterMs)
+            };
+        },
+
+        /**
+         * Dados do evento dentro de MAX_PAYLOAD_BYTES
+         */
+        fitsPayload: (data) => data === undefined
+            || Buffer.byteLength(JSON.stringify(data) ?? '') <= limits.maxPayloadBytes,
+
+        /**
+         * Regista uma recusa do socket
+         * @returns {boolean} true se passou RATE_LIMIT_MAX_VIOLATIONS na janela (desligar)
+         */
+        recordViolation: (socket) => !violations.hit(`socket:${socket.id}`, limits.maxViolations).ok,
+
+        getClientIp: (socket) => getClientIp(socket, limits.trustProxy),
+
+        stop: () => clearInterval(pruneTimer)
+    };
+};
+
+module.exports = {
+    DEFAULT_EVENT_LIMITS,
+    loadLimits,
+    createWindowCounter,
+    createRateLimiter
+};
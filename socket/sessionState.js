@@ -0,0 +1,266 @@
+/**
+ * Estado das Sessões de Jogo
+ *
+ * Funções puras partilhadas pelos handlers de Socket.IO (socket/*Handler):
+ * estado inicial de uma sessão, vistas enviadas aos clientes, nomes das
+ * salas Socket.IO e papéis dos jogadores.
+ */
+
+const { toPublicTheme } = require('../services/scenarioCatalog');
+const { GameStatus, Role } = require('../game/stateMachine');
+const { DEFAULT_RULES, getRules } = require('../game/rules');
+const {
+    TEAM_NAMES,
+    findMember,
+    getTeamSide,
+    getTeamRole,
+    toPublicTeams
+} = require('../game/teams');
+
+// Ações do anfitrião guardadas por sessão (as mais antigas saem primeiro)
+const HOST_LOG_LIMIT = 100;
+
+/**
+ * Cria um estado inicial limpo para um novo jogo
+ * @param {Object} rules - Regras já validadas (por omissão DEFAULT_RULES)
+ */
+const createInitialState = (sessionId, rules = DEFAULT_RULES) => ({
+    sessionId,
+    rules: JSON.parse(JSON.stringify(rules)),
+    status: GameStatus.LOBBY,
+    version: 0, // Aumenta a cada estado enviado aos clientes
+    activeThemeId: null,
+    activeTheme: null,
+    attacker: { socketId: null, userId: null, connected: false },
+    defender: { socketId: null, userId: null, connected: false },
+    currentRound: {
+        attackerTool: null,
+        defenderTool: null,
+        startTime: null,
+        endTime: null,
+        deadline: null
+    },
+    attackerScore: 0,
+    defenderScore: 0,
+    roundNumber: 0,
+    totalRounds: 0,
+    streak: 0,
+    playedThemes: [], // Array de IDs de temas já jogados
+    themeRoundCount: 0, // Contador de rondas do tema atual (1..rules.roundsPerTheme)
+    pause: null, // { resumeStatus, pausedAt, graceDeadline, msRemaining } enquanto PAUSED
+    hostUserId: null, // Criador da sessão
+    hostName: null,
+    createdBy: null, // { userId, ip } de quem abriu a sala (MAX_SESSIONS_PER_CLIENT e _PER_IP)
+    isPrivate: false, // Salas privadas não aparecem na lista de lobbies
+    allowSpectators: true,
+    matchmade: false, // Sessão criada pela fila de matchmaking
+    botGame: false, // Um dos lugares é ocupado por um bot (fora dos rankings)
+    ratedRounds: 0, // Rondas do histórico já arquivadas e contabilizadas nos ratings
+    teamMode: null, // { decision, voteSeconds, maxTeamSize } em jogos de equipas
+    teams: null, // { red, blue }: { captainUserId, members: [{ userId, name, socketId, connected }] }
+    sides: null, // { attacker: 'red' | 'blue', defender: ... }
+    teamVote: null, // Votação em curso: { key, action, teamName, votes, deadline }
+    globalWinnerTeam: null,
+    locked: false, // Sala trancada pelo anfitrião: não entram jogadores novos
+    kickedUserIds: [], // Expulsos pelo anfitrião (não podem voltar a entrar)
+    consentRequest: null, // Pedido de quem não é anfitrião: { action, userId, role, confirmUserId, deadline }
+    hostLog: [], // Ações do anfitrião: { action, userId, details, timestamp }
+    tournament: null, // Jogo de torneio: { tournamentId, matchId, topSeedUserId, noShowDeadline, reported }
+    history: [],
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+});
+
+/**
+ * Converte estado interno para formato do cliente
+ */
+const toClientState = (game) => ({
+    sessionId: game.sessionId,
+    gameStatus: game.status,
+    version: game.version,
+    activeThemeId: game.activeThemeId,
+    activeTheme: toPublicTheme(game.activeTheme),
+    attackerTool: game.currentRound.attackerTool,
+    defenderTool: game.currentRound.defenderTool,
+    startTime: game.currentRound.startTime,
+    endTime: game.currentRound.endTime,
+    deadline: game.currentRound.deadline,
+    attackerScore: game.attackerScore,
+    defenderScore: game.defenderScore,
+    roundNumber: game.roundNumber,
+    totalRounds: game.totalRounds,
+    streak: game.streak,
+    responseTime: game.currentRound.endTime && game.currentRound.startTime
+        ? (game.currentRound.endTime - game.currentRound.startTime) / 1000
+        : null,
+    history: game.history,
+    players: {
+        attacker: { id: game.attacker.socketId, connected: game.attacker.connected, bot: game.attacker.bot || null },
+        defender: { id: game.defender.socketId, connected: game.defender.connected, bot: game.defender.bot || null }
+    },
+    botGame: Boolean(game.botGame),
+    teamMode: game.teamMode || null,
+    teams: game.teams ? toPublicTeams(game) : null,
+    globalWinnerTeam: game.globalWinnerTeam || null,
+    teamScores: game.teams ? sumScoresByTeam(game.history) : null,
+    tournament: game.tournament
+        ? {
+            tournamentId: game.tournament.tournamentId,
+            matchId: game.tournament.matchId,
+            noShowDeadline: game.tournament.noShowDeadline
+        }
+        : null,
+    playedThemes: game.playedThemes,
+    themeRoundCount: game.themeRoundCount,
+    rules: getRules(game),
+    hostUserId: game.hostUserId,
+    locked: Boolean(game.locked),
+    consentRequest: game.consentRequest
+        ? {
+            action: game.consentRequest.action,
+            userId: game.consentRequest.userId,
+            confirmUserId: game.consentRequest.confirmUserId,
+            deadline: game.consentRequest.deadline
+        }
+        : null,
+    hostLog: game.hostLog || [],
+    allowSpectators: game.allowSpectators,
+    spectatorCount: game.spectatorCount || 0,
+    pause: game.pause
+        ? {
+            waitingFor: getDisconnectedRoles(game),
+            graceDeadline: game.pause.graceDeadline,
+            timeRemaining: game.pause.msRemaining !== null ? Math.ceil(game.pause.msRemaining / 1000) : null
+        }
+        : null
+});
+
+/**
+ * Sala Socket.IO dos espectadores de uma sessão
+ */
+const spectatorRoom = (sessionId) => `${sessionId}:spectators`;
+
+/**
+ * Sala Socket.IO de todas as ligações de um utilizador (avisos pessoais)
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Sala Socket.IO de quem acompanha a chave de um torneio
+ */
+const tournamentRoom = (tournamentId) => `tournament:${tournamentId}`;
+
+/**
+ * Estado para espectadores: esconde a ferramenta do atacante até a ronda ser resolvida
+ */
+const toSpectatorState = (game) => {
+    const state = toClientState(game);
+    const roundPending = game.status === GameStatus.ATTACKING
+        || (game.status === GameStatus.PAUSED && game.pause?.resumeStatus === GameStatus.ATTACKING);
+    if (roundPending) {
+        state.attackerTool = null;
+    }
+    state.spectator = true;
+    return state;
+};
+
+/**
+ * Papéis com jogador desconectado
+ */
+const getDisconnectedRoles = (game) =>
+    [Role.ATTACKER, Role.DEFENDER].filter(role => !game[role].connected);
+
+/**
+ * Soma os pontos do histórico por userId vencedor.
+ * Em equipas, cada membro que contribuiu para a jogada vencedora recebe os pontos.
+ */
+const sumScoresByUser = (rounds) => {
+    const scores = {};
+    rounds.forEach(round => {
+        const contributors = round.winner === Role.DEFENDER ? round.defenderContributorIds : round.attackerContributorIds;
+        const credited = contributors?.length ? contributors : [round.winnerUserId].filter(Boolean);
+        credited.forEach(userId => {
+            scores[userId] = (scores[userId] || 0) + (round.scoreGained || 0);
+        });
+    });
+    return scores;
+};
+
+/**
+ * Soma os pontos do histórico por equipa vencedora (jogos de equipas)
+ */
+const sumScoresByTeam = (rounds) => {
+    const scores = Object.fromEntries(TEAM_NAMES.map(name => [name, 0]));
+    rounds.forEach(round => {
+        const team = round.winner === Role.DEFENDER ? round.defenderTeam : round.attackerTeam;
+        if (team) scores[team] += round.scoreGained || 0;
+    });
+    return scores;
+};
+
+/**
+ * Campos de equipa de uma ronda: equipas de cada lado e quem decidiu cada jogada
+ */
+const teamRoundFields = (game, defenderContributorIds = []) => {
+    if (!game.teams) return {};
+    return {
+        attackerTeam: game.sides.attacker,
+        defenderTeam: game.sides.defender,
+        attackerContributorIds: game.currentRound.attackerContributorIds || [],
+        defenderContributorIds
+    };
+};
+
+/**
+ * Sala Socket.IO dos membros de uma equipa (propostas e votos)
+ */
+const teamRoom = (sessionId, teamName) => `${sessionId}:team:${teamName}`;
+
+/**
+ * Papel do socket no jogo ('attacker' | 'defender' | null)
+ */
+const getPlayerRole = (game, socketId) => {
+    if (game.teams) return getTeamRole(game, socketId);
+    if (game.attacker.socketId === socketId) return Role.ATTACKER;
+    if (game.defender.socketId === socketId) return Role.DEFENDER;
+    return null;
+};
+
+/**
+ * Papel de um utilizador na sessão: o seu lugar ou o lado da sua equipa (ou null)
+ */
+const getUserRole = (game, userId) => {
+    if (!userId) return null;
+    if (game.teams) {
+        const found = findMember(game, { userId });
+        return found ? getTeamSide(game, found.teamName) : null;
+    }
+    if (game.attacker.userId === userId) return Role.ATTACKER;
+    if (game.defender.userId === userId) return Role.DEFENDER;
+    return null;
+};
+
+/**
+ * Regista uma ação do anfitrião no histórico da sessão (hostLog)
+ */
+const logHostAction = (game, userId, action, details = {}) => {
+    game.hostLog = [...(game.hostLog || []), { action, userId, details, timestamp: Date.now() }]
+        .slice(-HOST_LOG_LIMIT);
+};
+
+module.exports = {
+    createInitialState,
+    toClientState,
+    toSpectatorState,
+    spectatorRoom,
+    userRoom,
+    tournamentRoom,
+    teamRoom,
+    getDisconnectedRoles,
+    sumScoresByUser,
+    sumScoresByTeam,
+    teamRoundFields,
+    getPlayerRole,
+    getUserRole,
+    logHostAction
+};
@@ -0,0 +1,278 @@
+/**
+ * Team Handler - Jogos de equipas via Socket.IO
+ *
+ * Entrada e saída de membros, jogadas decididas pela equipa (capitão,
+ * primeiro a submeter ou votação) e passagem da capitania. As regras das
+ * equipas vivem em game/teams; a jogada decidida segue pelo mesmo caminho
+ * do 1v1 (executeAttack/executeDefense do gameHandler).
+ */
+
+const { isAttackTool, isDefenseTool } = require('../game/defense');
+const { createRoundTimers } = require('../game/roundTimer');
+const { GameStatus, GameEvent, transition } = require('../game/stateMachine');
+const {
+    TEAM_NAMES,
+    DecisionMode,
+    findMember,
+    getTeamSide,
+    pickTeamToJoin,
+    promoteCaptain,
+    syncSeats,
+    tallyVotes,
+    decideVote
+} = require('../game/teams');
+const { teamRoom, getDisconnectedRoles } = require('./sessionState');
+const { ErrorCode } = require('./errorCodes');
+const { logger } = require('../config/logger');
+
+const log = logger.child({ component: 'teamHandler' });
+
+// Votações de equipa fecham antes do fim da ronda para a jogada ainda contar
+const VOTE_DEADLINE_MARGIN_MS = 250;
+
+/**
+ * Cria os handlers das equipas sobre as sessões do gameHandler
+ * @param {Object} context - { io, games, sendError, runInSession, guardTransition,
+ *   broadcastState, toRoom, executeAttack, executeDefense, resumeGame }
+ */
+const createTeamHandler = ({
+    io,
+    games,
+    sendError,
+    runInSession,
+    guardTransition,
+    broadcastState,
+    toRoom,
+    executeAttack,
+    executeDefense,
+    resumeGame
+}) => {
+    /**
+     * Prazos das votações de equipa (um por sessão)
+     */
+    const voteTimers = createRoundTimers({
+        onExpire: (sessionId) => runInSession(sessionId, () => {
+            const game = games.get(sessionId);
+            if (game) settleTeamVote(game, true);
+        })
+    });
+
+    const clearTeamVote = (game) => {
+        voteTimers.clear(game.sessionId);
+        game.teamVote = null;
+    };
+
+    /**
+     * Jogada de um membro de equipa, decidida segundo o modo da sessão:
+     * capitão (os outros só sugerem), primeiro a submeter ou votação.
+     * @param {string} action - 'attack' | 'defend'
+     */
+    const submitTeamMove = (socket, game, action, toolId) => {
+        const found = findMember(game, { socketId: socket.id });
+        if (!found) {
+            sendError(socket, { code: ErrorCode.NOT_A_PLAYER, message: 'Não fazes parte de nenhuma equipa desta sessão' });
+            return;
+        }
+        const { teamName, member } = found;
+        const team = game.teams[teamName];
+        const role = getTeamSide(game, teamName);
+        const isAttack = action === 'attack';
+        const execute = (contributorIds) => (isAttack
+            ? executeAttack(socket, game, role, toolId, contributorIds)
+            : executeDefense(socket, game, role, toolId, contributorIds));
+
+        // Validar já o estado e a ferramenta para não aceitar propostas/votos impossíveis
+        const event = isAttack ? GameEvent.EXECUTE_ATTACK : GameEvent.EXECUTE_DEFENSE;
+        if (!guardTransition(socket, game, event, role, { attackLaunched: Boolean(game.currentRound.startTime) })) return;
+        if (!(isAttack ? isAttackTool : isDefenseTool)(game.activeTheme, toolId)) {
+            sendError(socket, { code: ErrorCode.INVALID_TOOL, message: `Ferramenta de ${isAttack ? 'ataque' : 'defesa'} inválida para este tema` });
+            return;
+        }
+
+        const { decision, voteSeconds } = game.teamMode;
+        if (decision === DecisionMode.FIRST || (decision === DecisionMode.CAPTAIN && member.userId === team.captainUserId)) {
+            execute([member.userId]);
+            return;
+        }
+
+        if (decision === DecisionMode.CAPTAIN) {
+            io.to(teamRoom(game.sessionId, teamName)).emit('team_proposal', {
+                action,
+                toolId,
+                userId: member.userId,
+                name: member.name
+            });
+            return;
+        }
+
+        // Votação: a primeira escolha abre o prazo; o voto pode ser mudado até à decisão
+        const key = `${action}:${game.roundNumber}:${game.currentRound.startTime}`;
+        if (game.teamVote?.key !== key) {
+            const roundDeadline = game.currentRound.deadline || Infinity;
+            const deadline = Math.min(Date.now() + voteSeconds * 1000, roundDeadline - VOTE_DEADLINE_MARGIN_MS);
+            game.teamVote = { key, action, teamName, votes: {}, deadline };
+            voteTimers.start(game.sessionId, deadline);
+        }
+        game.teamVote.votes[member.userId] = toolId;
+        settleTeamVote(game, false);
+    };
+
+    /**
+     * Fecha a votação se houver maioria (ou no fim do prazo, com a mais votada)
+     */
+    const settleTeamVote = (game, final) => {
+        const vote = game.teamVote;
+        if (!vote) return;
+
+        const team = game.teams[vote.teamName];
+        const voters = team.members.filter(m => m.connected).length;
+        const decided = decideVote(vote.votes, voters, team.captainUserId, final);
+
+        io.to(teamRoom(game.sessionId, vote.teamName)).emit('team_vote', {
+            action: vote.action,
+            votes: tallyVotes(vote.votes),
+            deadline: vote.deadline,
+            decidedToolId: decided?.toolId ?? null
+        });
+        if (!decided) return;
+
+        clearTeamVote(game);
+        const role = getTeamSide(game, vote.teamName);
+        if (vote.action === 'attack') {
+            executeAttack(null, game, role, decided.toolId, decided.userIds);
+        } else {
+            executeDefense(null, game, role, decided.toolId, decided.userIds);
+        }
+    };
+
+    /**
+     * Entrada (ou reconexão) de um membro num jogo de equipas
+     * @param {string} [requestedTeam] - 'red' | 'blue' (por omissão, a equipa mais pequena)
+     */
+    const joinTeam = async (socket, game, requestedTeam) => {
+        const { sessionId } = game;
+        const { userId, userName } = socket.data;
+
+        // Quem já é membro volta sempre à sua equipa
+        const existing = findMember(game, { userId });
+        const teamName = existing?.teamName || requestedTeam || pickTeamToJoin(game);
+        if (!TEAM_NAMES.includes(teamName)) {
+            sendError(socket, { code: ErrorCode.INVALID_TEAM, message: `Equipa inválida (${TEAM_NAMES.join(', ')})` });
+            return;
+        }
+
+        const team = game.teams[teamName];
+        if (existing) {
+            Object.assign(existing.member, { socketId: socket.id, connected: true });
+        } else if (team.members.length >= game.teamMode.maxTeamSize) {
+            sendError(socket, { code: ErrorCode.TEAM_FULL, message: 'Equipa cheia' });
+            return;
+        } else {
+            team.members.push({ userId, name: userName || null, socketId: socket.id, connected: true });
+        }
+        if (!team.captainUserId) team.captainUserId = userId;
+        promoteCaptain(team);
+        syncSeats(game);
+
+        const role = getTeamSide(game, teamName);
+        socket.data.sessionId = sessionId;
+        socket.data.role = role;
+        await socket.join([sessionId, teamRoom(sessionId, teamName)]);
+
+        // Como no 1v1: em LOBBY/READY decide o estado, a meio do jogo é uma reconexão
+        const joined = transition(game.status, GameEvent.PLAYER_JOINED, {
+            role,
+            context: { bothConnected: game.attacker.connected && game.defender.connected }
+        });
+        if (joined.ok) game.status = joined.to;
+
+        let resumed = false;
+        if (game.status === GameStatus.PAUSED && getDisconnectedRoles(game).length === 0) {
+            resumed = resumeGame(game);
+        }
+
+        game.updatedAt = Date.now();
+        log.info('Entrada numa equipa', { sessionId, team: teamName, role, status: game.status });
+
+        broadcastState(sessionId, game);
+        toRoom(sessionId).emit('player_joined', { role, team: teamName, userId, socketId: socket.id });
+        if (resumed) {
+            toRoom(sessionId).emit('game_resumed', { status: game.status, deadline: game.currentRound.deadline });
+        }
+    };
+
+    /**
+     * Marca um membro como desconectado e passa a capitania se for preciso
+     * @returns {boolean} Se o lado da equipa ficou sem ninguém ligado
+     */
+    const leaveTeam = (game, socketId) => {
+        const found = findMember(game, { socketId });
+        if (!found) return false;
+
+        const { teamName, member } = found;
+        const team = game.teams[teamName];
+        member.connected = false;
+        if (promoteCaptain(team)) {
+            io.to(teamRoom(game.sessionId, teamName)).emit('captain_changed', { team: teamName, captainUserId: team.captainUserId });
+        }
+        syncSeats(game);
+
+        // Menos votantes: a votação em curso pode já ter maioria
+        if (game.teamVote?.teamName === teamName) settleTeamVote(game, false);
+
+        return !game[getTeamSide(game, teamName)].connected;
+    };
+
+    /**
+     * Regista os eventos das equipas de um socket
+     * @param {Object} events - { onSession } do pipeline de eventos do gameHandler
+     */
+    const register = (socket, { onSession }) => {
+        /**
+         * SET_CAPTAIN - O capitão passa a capitania a outro membro ligado da equipa
+         * @param {Object} data - { userId }
+         */
+        onSession('set_captain', (data) => {
+            const game = socket.data.sessionId ? games.get(socket.data.sessionId) : null;
+            const found = game?.teams ? findMember(game, { socketId: socket.id }) : null;
+            if (!found) {
+                sendError(socket, { code: ErrorCode.TEAM_GAME_ONLY, message: 'Só disponível em jogos de equipas' });
+                return;
+            }
+
+            const team = game.teams[found.teamName];
+            if (team.captainUserId !== socket.data.userId) {
+                sendError(socket, { code: ErrorCode.CAPTAIN_ONLY, message: 'Apenas o capitão pode passar a capitania' });
+                return;
+            }
+
+            const next = team.members.find(m => m.userId === data?.userId && m.connected);
+            if (!next) {
+                sendError(socket, { code: ErrorCode.NOT_A_MEMBER, message: 'O novo capitão tem de ser um membro ligado da equipa' });
+                return;
+            }
+
+            team.captainUserId = next.userId;
+            syncSeats(game);
+            game.updatedAt = Date.now();
+
+            io.to(teamRoom(game.sessionId, found.teamName)).emit('captain_changed', { team: found.teamName, captainUserId: next.userId });
+            broadcastState(game.sessionId, game);
+        });
+    };
+
+    return {
+        clearTeamVote,
+        submitTeamMove,
+        joinTeam,
+        leaveTeam,
+        register,
+        clearTimers: (sessionId) => voteTimers.clear(sessionId),
+        close: () => voteTimers.clearAll()
+    };
+};
+
+module.exports = {
+    VOTE_DEADLINE_MARGIN_MS,
+    createTeamHandler
+};
@@ -0,0 +1,251 @@
+/**
+ * Tournament Handler - Jogos de torneio via Socket.IO
+ *
+ * Liga o serviço de torneios (services/tournaments) às sessões de jogo:
+ * cria a sessão de cada jogo da chave, avisa os jogadores, decide as faltas
+ * de comparência e comunica o vencedor de volta ao torneio. Quem acompanha
+ * a chave recebe as atualizações na sala do torneio.
+ */
+
+const { getTheme, listThemes } = require('../services/scenarioCatalog');
+const { createRoundTimers } = require('../game/roundTimer');
+const { GameStatus, Role } = require('../game/stateMachine');
+const { generateRoomCode } = require('../game/lobby');
+const { pickTheme } = require('../game/matchmaking');
+const { MatchStatus } = require('../game/bracket');
+const { createTournamentService } = require('../services/tournaments');
+const { createInitialState, userRoom, tournamentRoom } = require('./sessionState');
+const { ErrorCode } = require('./errorCodes');
+const { logger } = require('../config/logger');
+
+const log = logger.child({ component: 'tournamentHandler' });
+
+/**
+ * Cria os handlers dos torneios sobre as sessões do gameHandler
+ * @param {Object} context - { io, games, storage, ratings, sendError, runInSession,
+ *   persistGame, toRoom, deleteGame }
+ */
+const createTournamentHandler = ({
+    io,
+    games,
+    storage,
+    ratings,
+    sendError,
+    runInSession,
+    persistGame,
+    toRoom,
+    deleteGame
+}) => {
+    /**
+     * Prazos de comparência dos jogos de torneio (um por sessão)
+     */
+    const noShowTimers = createRoundTimers({
+        onExpire: (sessionId) => runInSession(sessionId, () => {
+            const game = games.get(sessionId);
+            if (game) resolveNoShow(game);
+        })
+    });
+
+    const tournaments = createTournamentService(storage, {
+        ratings,
+        onMatchReady: (tournament, match) => launchTournamentMatch(tournament, match),
+        onUpdate: (tournament) => io.to(tournamentRoom(tournament.tournamentId)).emit('tournament_updated', { tournament })
+    });
+
+    /**
+     * Avisa um jogador de que o seu jogo de torneio tem sessão (em todas as ligações dele)
+     */
+    const notifyTournamentMatch = (tournament, match, userId) => {
+        const game = games.get(match.sessionId);
+        if (!game) return;
+
+        const role = game.attacker.userId === userId ? Role.ATTACKER : Role.DEFENDER;
+        const opponentId = match.slots.map(slot => slot.userId).find(id => id !== userId);
+        const opponent = tournament.players.find(player => player.userId === opponentId);
+        io.to(userRoom(userId)).emit('tournament_match_ready', {
+            tournamentId: tournament.tournamentId,
+            tournamentName: tournament.name,
+            matchId: match.matchId,
+            sessionId: match.sessionId,
+            role,
+            themeId: game.activeThemeId,
+            opponent: { userId: opponentId, name: opponent?.name || null },
+            noShowDeadline: game.tournament.noShowDeadline
+        });
+    };
+
+    /**
+     * Cria a sessão de um jogo da chave com os lugares reservados aos dois jogadores.
+     * A melhor seed começa a atacar; entram com join_game (reconexão por userId).
+     */
+    const launchTournamentMatch = (tournament, match) => {
+        if (match.status !== MatchStatus.READY) return;
+
+        const [topSeedUserId, otherUserId] = match.slots.map(slot => slot.userId);
+        const themeId = tournament.themeId ?? pickTheme({}, {}, listThemes().map(theme => theme.id));
+        const theme = getTheme(themeId);
+        const now = Date.now();
+
+        const sessionId = generateRoomCode(code => games.has(code));
+        const game = createInitialState(sessionId, tournament.rules);
+        game.attacker = { socketId: null, userId: topSeedUserId, connected: false };
+        game.defender = { socketId: null, userId: otherUserId, connected: false };
+        game.hostName = tournament.name;
+        game.isPrivate = true;
+        game.tournament = {
+            tournamentId: tournament.tournamentId,
+            matchId: match.matchId,
+            topSeedUserId,
+            noShowDeadline: now + tournament.noShowSeconds * 1000,
+            reported: false
+        };
+        // O tema só entra em playedThemes quando for completado (handleNextRound)
+        if (theme) {
+            game.activeTheme = theme;
+            game.activeThemeId = theme.id;
+            game.themeRoundCount = 1;
+        }
+        games.set(sessionId, game);
+        persistGame(game);
+
+        tournaments.markPlaying(tournament.tournamentId, match.matchId, sessionId);
+        noShowTimers.start(sessionId, game.tournament.noShowDeadline);
+
+        log.info('Jogo de torneio lançado', { sessionId, tournamentId: tournament.tournamentId, matchId: match.matchId });
+        [topSeedUserId, otherUserId].forEach(userId => notifyTournamentMatch(tournament, match, userId));
+    };
+
+    /**
+     * Comunica o vencedor de um jogo de torneio (uma só vez por sessão)
+     */
+    const reportTournamentResult = (game, winnerUserId, forfeit) => {
+        if (!game.tournament || game.tournament.reported) return;
+
+        const { tournamentId, matchId } = game.tournament;
+        game.tournament.reported = true;
+        noShowTimers.clear(game.sessionId);
+        persistGame(game);
+
+        const result = tournaments.reportResult(tournamentId, matchId, { winnerUserId, forfeit });
+        if (!result.ok) {
+            log.warn('Resultado recusado pelo torneio', { tournamentId, matchId, code: result.code });
+            return;
+        }
+        toRoom(game.sessionId).emit('tournament_match_finished', { tournamentId, matchId, winnerUserId, forfeit });
+    };
+
+    /**
+     * Fim do jogo (GAME_FINISHED): avança o vencedor global.
+     * Empate ou desistência sem vencedor: avança a melhor seed.
+     */
+    const finishTournamentMatch = (game, { forfeit = false } = {}) => {
+        if (!game.tournament) return;
+        reportTournamentResult(game, game.globalWinnerUserId || game.tournament.topSeedUserId, forfeit);
+    };
+
+    /**
+     * Jogo abandonado (sessão removida sem terminar): ganha quem estiver ligado,
+     * senão a melhor seed
+     */
+    const settleAbandonedMatch = (game) => {
+        const present = [Role.ATTACKER, Role.DEFENDER].filter(role => game[role].connected);
+        const winnerUserId = present.length === 1 ? game[present[0]].userId : game.tournament.topSeedUserId;
+        reportTournamentResult(game, winnerUserId, true);
+    };
+
+    /**
+     * Prazo de comparência: se o jogo ainda não começou e falta alguém,
+     * o jogo é decidido por falta e a sessão é fechada
+     */
+    const resolveNoShow = (game) => {
+        const { sessionId } = game;
+        const waiting = game.status === GameStatus.LOBBY || game.status === GameStatus.READY;
+        if (!game.tournament || game.tournament.reported || !waiting || game.history.length > 0) return;
+        if (game.attacker.connected && game.defender.connected) return;
+
+        settleAbandonedMatch(game);
+        toRoom(sessionId).emit('tournament_no_show', {
+            tournamentId: game.tournament.tournamentId,
+            matchId: game.tournament.matchId
+        });
+        log.info('Falta de comparência em jogo de torneio', { sessionId });
+        deleteGame(sessionId);
+    };
+
+    /**
+     * Sessão restaurada após reinício: o prazo de comparência volta a contar
+     */
+    const restoreNoShow = (game) => {
+        if (game.tournament && !game.tournament.reported) {
+            noShowTimers.start(game.sessionId, game.tournament.noShowDeadline);
+        }
+    };
+
+    /**
+     * Restaura os torneios ativos e reconcilia os jogos com as sessões restauradas
+     */
+    const restoreTournaments = async () => {
+        const running = await tournaments.restore();
+
+        running.forEach(tournament => {
+            tournament.matches
+                .filter(match => match.status === MatchStatus.PLAYING)
+                .forEach(match => {
+                    const game = games.get(match.sessionId);
+                    if (!game) {
+                        // Sessão perdida (expirou ou armazenamento sem persistência): criar outra
+                        tournaments.requeueMatch(tournament.tournamentId, match.matchId);
+                    } else if (game.status === GameStatus.GAME_FINISHED) {
+                        finishTournamentMatch(game);
+                    }
+                });
+            tournaments.launchReadyMatches(tournament);
+        });
+    };
+
+    /**
+     * Regista os eventos dos torneios de um socket e reenvia os avisos dos
+     * jogos de torneio que o utilizador ainda tem por jogar
+     * @param {Object} events - { onEvent } do pipeline de eventos do gameHandler
+     */
+    const register = (socket, { onEvent }) => {
+        // Avisos pessoais (ex.: jogos de torneio) chegam a todas as ligações do utilizador
+        socket.join(userRoom(socket.data.userId));
+        tournaments.findOpenMatches(socket.data.userId).forEach(({ tournament, match }) => {
+            notifyTournamentMatch(tournament, match, socket.data.userId);
+        });
+
+        /**
+         * WATCH_TOURNAMENT - Recebe a chave atual e as atualizações de um torneio
+         */
+        onEvent('watch_tournament', async ({ tournamentId } = {}) => {
+            const tournament = typeof tournamentId === 'string' ? await tournaments.get(tournamentId) : null;
+            if (!tournament) {
+                sendError(socket, { code: ErrorCode.TOURNAMENT_NOT_FOUND, message: 'Torneio não encontrado' });
+                return;
+            }
+            await socket.join(tournamentRoom(tournamentId));
+            socket.emit('tournament_updated', { tournament });
+        });
+
+        /**
+         * UNWATCH_TOURNAMENT - Deixa de receber atualizações do torneio
+         */
+        onEvent('unwatch_tournament', ({ tournamentId } = {}) => {
+            socket.leave(tournamentRoom(tournamentId));
+        });
+    };
+
+    return {
+        tournaments,
+        finishTournamentMatch,
+        settleAbandonedMatch,
+        restoreNoShow,
+        restoreTournaments,
+        register,
+        clearTimers: (sessionId) => noShowTimers.clear(sessionId),
+        close: () => noShowTimers.clearAll()
+    };
+};
+
+module.exports = { createTournamentHandler };
@@ -0,0 +1,47 @@
+/**
+ * Camada de Armazenamento
+ *
+ * Escolhe a implementação conforme a ligação ao MongoDB:
+ * - connectDB devolveu ligação -> MongoDB
+ * - caso contrário -> memória (sem persistência)
+ *
+ * As sessões ativas têm um armazém próprio (SESSION_STORE):
+ * - memory (por omissão) -> uma instância do servidor
+ * - mongo -> partilhado por várias instâncias (exige MongoDB)
+ */
+
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+const { createMemorySessionStore, createSharedSessionStore } = require('./sessionStore');
+const createMongoSessionBackend = require('./mongoSessionBackend');
+const createLocalSessionBackend = require('./localSessionBackend');
+const { logger } = require('../config/logger');
+
+const log = logger.child({ component: 'storage' });
+
+const createStorage = (connection) => {
+    const storage = connection ? createMongoStore() : createMemoryStore();
+    log.info('Armazenamento de jogos', { storage: storage.name });
+    return storage;
+};
+
+const createSessionStore = (connection, kind = process.env.SESSION_STORE || 'memory') => {
+    if (kind === 'mongo' && !connection) {
+        log.warn('SESSION_STORE=mongo sem ligação ao MongoDB. A usar sessões em memória');
+    }
+    const sessions = kind === 'mongo' && connection
+        ? createSharedSessionStore(createMongoSessionBackend(), { name: 'mongo' })
+        : createMemorySessionStore();
+    log.info('Sessões ativas', { store: sessions.name, shared: sessions.shared });
+    return sessions;
+};
+
+module.exports = {
+    createStorage,
+    createSessionStore,
+    createMemoryStore,
+    createMongoStore,
+    createMemorySessionStore,
+    createSharedSessionStore,
+    createLocalSessionBackend
+};
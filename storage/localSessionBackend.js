@@ -0,0 +1,39 @@
+/**
+ * Backend de Sessões Partilhadas Local
+ *
+ * Substituto em processo de um backend partilhado: várias instâncias do
+ * servidor no mesmo processo (testes, desenvolvimento) usam o mesmo objeto.
+ * Guarda estados serializados, como faria um serviço externo.
+ */
+
+const createLocalSessionBackend = () => {
+    const states = new Map();
+    const locks = new Map(); // sessionId -> { token, until }
+
+    return {
+        read: async (sessionId) => (states.has(sessionId) ? JSON.parse(states.get(sessionId)) : null),
+
+        write: async (sessionId, game) => {
+            states.set(sessionId, JSON.stringify(game));
+        },
+
+        remove: async (sessionId) => {
+            states.delete(sessionId);
+        },
+
+        list: async () => Array.from(states.values()).map(json => JSON.parse(json)),
+
+        acquire: async (sessionId, token, ttlMs) => {
+            const lock = locks.get(sessionId);
+            if (lock && lock.until > Date.now()) return false;
+            locks.set(sessionId, { token, until: Date.now() + ttlMs });
+            return true;
+        },
+
+        release: async (sessionId, token) => {
+            if (locks.get(sessionId)?.token === token) locks.delete(sessionId);
+        }
+    };
+};
+
+module.exports = createLocalSessionBackend;
@@ -0,0 +1,197 @@
+/**
+ * Armazenamento em Memória
+ *
+ * Implementação usada quando o MongoDB não está disponível.
+ * Guarda cópias dos estados para que o comportamento seja igual
+ * ao do armazenamento persistente (sem partilha de referências).
+ */
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const createMemoryStore = () => {
+    const games = new Map();
+    const users = new Map();
+    const ratings = new Map();
+    const ratingChanges = [];
+    const matches = [];
+    const tournaments = new Map();
+
+    return {
+        name: 'memory',
+        persistent: false,
+
+        games: {
+            /**
+             * Devolve todos os jogos guardados
+             */
+            loadAll: async () => Array.from(games.values()).map(clone),
+
+            /**
+             * Guarda (ou substitui) o estado de um jogo
+             */
+            save: async (game) => {
+                games.set(game.sessionId, clone(game));
+            },
+
+            /**
+             * Remove um jogo
+             */
+            delete: async (sessionId) => {
+                games.delete(sessionId);
+            }
+        },
+
+        users: {
+            /**
+             * Procura um utilizador pelo userId
+             */
+            findById: async (userId) => (users.has(userId) ? clone(users.get(userId)) : null),
+
+            /**
+             * Procura uma conta registada pelo nome (sem distinguir maiúsculas)
+             */
+            findByName: async (name) => {
+                const nameKey = String(name).toLowerCase();
+                const user = Array.from(users.values()).find(u => u.nameKey === nameKey);
+                return user ? clone(user) : null;
+            },
+
+            /**
+             * Cria um utilizador (falha se o nome registado já existir)
+             */
+            create: async (user) => {
+                if (user.nameKey && Array.from(users.values()).some(u => u.nameKey === user.nameKey)) {
+                    throw new Error('Nome já registado');
+                }
+                users.set(user.userId, clone(user));
+                return clone(user);
+            }
+        },
+
+        ratings: {
+            /**
+             * Perfil de rating de um utilizador
+             */
+            findById: async (userId) => (ratings.has(userId) ? clone(ratings.get(userId)) : null),
+
+            /**
+             * Aplica incrementos e valores novos a um perfil (criado a partir de
+             * `insert` se ainda não existir). Caminhos com ponto: 'overall.rating'.
+             */
+            update: async (userId, { insert, inc = {}, set = {} }) => {
+                const profile = ratings.get(userId) || clone(insert);
+                Object.entries(inc).forEach(([path, delta]) => {
+                    const [group, field] = path.split('.');
+                    profile[group][field] = (profile[group][field] || 0) + delta;
+                });
+                Object.entries(set).forEach(([path, value]) => {
+                    const [group, field] = path.split('.');
+                    if (field) profile[group][field] = value;
+                    else profile[group] = value;
+                });
+                ratings.set(userId, profile);
+            },
+
+            /**
+             * Perfis ordenados pelo rating do papel, opcionalmente só os ativos desde `since`
+             * @returns {{ total: number, profiles: Object[] }}
+             */
+            list: async ({ role, since = null, offset = 0, limit = 20 }) => {
+                const matching = Array.from(ratings.values())
+                    .filter(profile => profile[role].games > 0)
+                    .filter(profile => since === null || profile[role].lastPlayedAt >= since)
+                    .sort((a, b) => b[role].rating - a[role].rating);
+                return {
+                    total: matching.length,
+                    profiles: matching.slice(offset, offset + limit).map(clone)
+                };
+            },
+
+            /**
+             * Regista as alterações de rating de um jogo
+             */
+            addChanges: async (changes) => {
+                ratingChanges.push(...changes.map(clone));
+            },
+
+            /**
+             * Soma das alterações de rating por utilizador desde `since`
+             * @returns {Object} userId -> variação
+             */
+            sumChanges: async ({ role, since, userIds }) => {
+                const totals = {};
+                ratingChanges
+                    .filter(change => change.timestamp >= since && userIds.includes(change.userId))
+                    .forEach(change => {
+                        totals[change.userId] = (totals[change.userId] || 0) + (change[role] || 0);
+                    });
+                return totals;
+            }
+        },
+
+        matches: {
+            /**
+             * Arquiva um jogo terminado
+             */
+            save: async (match) => {
+                matches.push(clone(match));
+            },
+
+            /**
+             * Jogos de um jogador (mais recentes primeiro), com filtro de datas
+             * e paginação opcional (sem limit devolve todos)
+             * @returns {{ total: number, matches: Object[] }}
+             */
+            listByPlayer: async (userId, { from = null, to = null, offset = 0, limit = null } = {}) => {
+                const matching = matches
+                    .filter(match => match.players.some(player => player.userId === userId))
+                    .filter(match => (from === null || match.finishedAt >= from) && (to === null || match.finishedAt <= to))
+                    .sort((a, b) => b.finishedAt - a.finishedAt);
+                const page = limit === null ? matching.slice(offset) : matching.slice(offset, offset + limit);
+                return { total: matching.length, matches: page.map(clone) };
+            },
+
+            /**
+             * Todos os jogos arquivados no intervalo de datas
+             */
+            list: async ({ from = null, to = null } = {}) => matches
+                .filter(match => (from === null || match.finishedAt >= from) && (to === null || match.finishedAt <= to))
+                .map(clone)
+        },
+
+        tournaments: {
+            /**
+             * Guarda (ou substitui) um torneio
+             */
+            save: async (tournament) => {
+                tournaments.set(tournament.tournamentId, clone(tournament));
+            },
+
+            /**
+             * Procura um torneio pelo ID
+             */
+            findById: async (tournamentId) =>
+                (tournaments.has(tournamentId) ? clone(tournaments.get(tournamentId)) : null),
+
+            /**
+             * Torneios (mais recentes primeiro), opcionalmente só de um estado
+             * @returns {{ total: number, tournaments: Object[] }}
+             */
+            list: async ({ status = null, offset = 0, limit = 20 } = {}) => {
+                const matching = Array.from(tournaments.values())
+                    .filter(tournament => status === null || tournament.status === status)
+                    .sort((a, b) => b.createdAt - a.createdAt);
+                return { total: matching.length, tournaments: matching.slice(offset, offset + limit).map(clone) };
+            },
+
+            /**
+             * Torneios ainda não terminados (para restaurar após reinício)
+             */
+            listActive: async () => Array.from(tournaments.values())
+                .filter(tournament => tournament.status !== 'finished')
+                .map(clone)
+        }
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,57 @@
+/**
+ * Backend de Sessões Partilhadas em MongoDB
+ *
+ * Implementa o backend de createSharedSessionStore sobre a coleção
+ * LiveSession. O lock é obtido com uma atualização condicional: só quem
+ * encontrar o lock livre (ou expirado) fica com ele.
+ */
+
+const LiveSession = require('../models/LiveSession');
+
+const DUPLICATE_KEY = 11000;
+
+const createMongoSessionBackend = () => ({
+    read: async (sessionId) => {
+        const doc = await LiveSession.findOne({ sessionId }, { state: 1 }).lean();
+        return doc?.state || null;
+    },
+
+    write: async (sessionId, game) => {
+        await LiveSession.updateOne(
+            { sessionId },
+            { $set: { state: JSON.parse(JSON.stringify(game)), updatedAt: new Date() } },
+            { upsert: true }
+        );
+    },
+
+    remove: async (sessionId) => {
+        await LiveSession.deleteOne({ sessionId });
+    },
+
+    list: async () => {
+        const docs = await LiveSession.find({ state: { $ne: null } }, { state: 1 }).lean();
+        return docs.map(doc => doc.state);
+    },
+
+    acquire: async (sessionId, token, ttlMs) => {
+        const now = Date.now();
+        try {
+            const doc = await LiveSession.findOneAndUpdate(
+                { sessionId, lockedUntil: { $lte: now } },
+                { $set: { lockToken: token, lockedUntil: now + ttlMs } },
+                { upsert: true, new: true, projection: { lockToken: 1 } }
+            ).lean();
+            return doc?.lockToken === token;
+        } catch (error) {
+            // Documento existe mas com lock válido: o upsert colide com o índice único
+            if (error.code === DUPLICATE_KEY) return false;
+            throw error;
+        }
+    },
+
+    release: async (sessionId, token) => {
+        await LiveSession.updateOne({ sessionId, lockToken: token }, { $set: { lockToken: null, lockedUntil: 0 } });
+    }
+});
+
+module.exports = createMongoSessionBackend;
@@ -0,0 +1,340 @@
+/**
+ * Armazenamento MongoDB
+ *
+ * Persiste o estado dos jogos com o modelo Game. As escritas de cada sessão
+ * (e de cada torneio) são serializadas e só a versão mais recente pendente é gravada.
+ */
+
+const Game = require('../models/Game');
+const User = require('../models/User');
+const { Rating, RatingChange } = require('../models/Rating');
+const Match = require('../models/Match');
+const Tournament = require('../models/Tournament');
+const { logger } = require('../config/logger');
+
+const log = logger.child({ component: 'mongoStore' });
+
+// Campos guardados como Date no Mongo mas usados como timestamps (ms) em runtime
+const toMillis = (value) => (value instanceof Date ? value.getTime() : value ?? null);
+
+/**
+ * Remove campos internos do Mongo
+ */
+const stripMongoFields = ({ _id, __v, ...rest }) => rest;
+
+/**
+ * Converte um documento Mongo para o formato de estado em runtime
+ */
+const fromDocument = (doc) => {
+    const { _id, __v, ...game } = doc;
+
+    game.currentRound = {
+        attackerTool: game.currentRound?.attackerTool ?? null,
+        attackerContributorIds: game.currentRound?.attackerContributorIds ?? null,
+        defenderTool: game.currentRound?.defenderTool ?? null,
+        startTime: toMillis(game.currentRound?.startTime),
+        endTime: toMillis(game.currentRound?.endTime),
+        deadline: toMillis(game.currentRound?.deadline)
+    };
+    game.history = (game.history || []).map(({ _id: roundId, ...round }) => ({
+        ...round,
+        timestamp: toMillis(round.timestamp)
+    }));
+    game.createdAt = toMillis(game.createdAt);
+    game.updatedAt = toMillis(game.updatedAt);
+
+    return game;
+};
+
+/**
+ * Converte um perfil de rating para o formato de runtime (datas em ms)
+ */
+const fromRatingDocument = (doc) => {
+    const profile = stripMongoFields(doc);
+    ['overall', 'attacker', 'defender'].forEach(role => {
+        if (profile[role]) profile[role].lastPlayedAt = toMillis(profile[role].lastPlayedAt);
+    });
+    profile.createdAt = toMillis(profile.createdAt);
+    profile.updatedAt = toMillis(profile.updatedAt);
+    return profile;
+};
+
+/**
+ * Converte um jogo arquivado para o formato de runtime (datas em ms)
+ */
+const fromMatchDocument = (doc) => {
+    const match = stripMongoFields(doc);
+    match.finishedAt = toMillis(match.finishedAt);
+    match.rounds = (match.rounds || []).map(({ _id: roundId, ...round }) => ({
+        ...round,
+        timestamp: toMillis(round.timestamp)
+    }));
+    return match;
+};
+
+/**
+ * Converte um torneio para o formato de runtime (datas em ms)
+ */
+const fromTournamentDocument = (doc) => {
+    const tournament = stripMongoFields(doc);
+    ['createdAt', 'startedAt', 'finishedAt', 'updatedAt'].forEach(field => {
+        tournament[field] = toMillis(tournament[field]);
+    });
+    tournament.players = (tournament.players || []).map(player => ({
+        ...player,
+        registeredAt: toMillis(player.registeredAt)
+    }));
+    return tournament;
+};
+
+/**
+ * Filtro por finishedAt entre from e to (timestamps em ms, opcionais)
+ */
+const dateFilter = (from, to) => {
+    if (from === null && to === null) return {};
+    const finishedAt = {};
+    if (from !== null) finishedAt.$gte = new Date(from);
+    if (to !== null) finishedAt.$lte = new Date(to);
+    return { finishedAt };
+};
+
+/**
+ * Escritas serializadas por chave: só a versão mais recente pendente é gravada
+ * @param {Function} write - (key, snapshot) => Promise
+ * @param {string} label - Nome do documento nas mensagens de erro
+ */
+const createLatestWriter = (write, label) => {
+    // key -> { running: Promise, pending: snapshot | null }
+    const writes = new Map();
+
+    const flush = async (key) => {
+        const entry = writes.get(key);
+        while (entry.pending) {
+            const snapshot = entry.pending;
+            entry.pending = null;
+            try {
+                await write(key, snapshot);
+            } catch (error) {
+                log.error('Erro ao guardar', { label, key, error });
+            }
+        }
+        writes.delete(key);
+    };
+
+    return {
+        /**
+         * Agenda a escrita de um snapshot (tirado no momento da chamada)
+         */
+        save: (key, value) => {
+            const snapshot = JSON.parse(JSON.stringify(value));
+            const entry = writes.get(key);
+            if (entry) {
+                entry.pending = snapshot;
+                return entry.running;
+            }
+            const next = { pending: snapshot };
+            writes.set(key, next);
+            next.running = flush(key);
+            return next.running;
+        },
+
+        /**
+         * Escrita em curso para a chave (se houver)
+         */
+        running: (key) => writes.get(key)?.running
+    };
+};
+
+const createMongoStore = () => {
+    const gameWrites = createLatestWriter(
+        (sessionId, snapshot) => Game.replaceOne({ sessionId }, snapshot, { upsert: true }),
+        'sessão'
+    );
+    const tournamentWrites = createLatestWriter(
+        (tournamentId, snapshot) => Tournament.replaceOne({ tournamentId }, snapshot, { upsert: true }),
+        'torneio'
+    );
+
+    return {
+        name: 'mongo',
+        persistent: true,
+
+        games: {
+            /**
+             * Devolve todos os jogos guardados (ainda não expirados pelo TTL)
+             */
+            loadAll: async () => {
+                const docs = await Game.find({}).lean();
+                return docs.map(fromDocument);
+            },
+
+            /**
+             * Guarda o estado atual de um jogo (snapshot no momento da chamada)
+             */
+            save: (game) => gameWrites.save(game.sessionId, game),
+
+            /**
+             * Remove um jogo
+             */
+            delete: async (sessionId) => {
+                await gameWrites.running(sessionId);
+                await Game.deleteOne({ sessionId });
+            }
+        },
+
+        users: {
+            /**
+             * Procura um utilizador pelo userId
+             */
+            findById: async (userId) => {
+                const doc = await User.findOne({ userId }).lean();
+                return doc ? stripMongoFields(doc) : null;
+            },
+
+            /**
+             * Procura uma conta registada pelo nome (sem distinguir maiúsculas)
+             */
+            findByName: async (name) => {
+                const doc = await User.findOne({ nameKey: String(name).toLowerCase() }).lean();
+                return doc ? stripMongoFields(doc) : null;
+            },
+
+            /**
+             * Cria um utilizador (falha se o nome registado já existir)
+             */
+            create: async (user) => {
+                try {
+                    const doc = await User.create(user);
+                    return stripMongoFields(doc.toObject());
+                } catch (error) {
+                    if (error.code === 11000) throw new Error('Nome já registado');
+                    throw error;
+                }
+            }
+        },
+
+        ratings: {
+            /**
+             * Perfil de rating de um utilizador
+             */
+            findById: async (userId) => {
+                const doc = await Rating.findOne({ userId }).lean();
+                return doc ? fromRatingDocument(doc) : null;
+            },
+
+            /**
+             * Aplica incrementos e valores novos a um perfil (criado a partir de
+             * `insert` se ainda não existir). Caminhos com ponto: 'overall.rating'.
+             */
+            update: async (userId, { insert, inc = {}, set = {} }) => {
+                // $inc e $setOnInsert não podem tocar nos mesmos campos: criar primeiro
+                await Rating.updateOne({ userId }, { $setOnInsert: insert }, { upsert: true });
+                await Rating.updateOne({ userId }, { $inc: inc, $set: set });
+            },
+
+            /**
+             * Perfis ordenados pelo rating do papel, opcionalmente só os ativos desde `since`
+             * @returns {{ total: number, profiles: Object[] }}
+             */
+            list: async ({ role, since = null, offset = 0, limit = 20 }) => {
+                const filter = { [`${role}.games`]: { $gt: 0 } };
+                if (since !== null) filter[`${role}.lastPlayedAt`] = { $gte: new Date(since) };
+
+                const [total, docs] = await Promise.all([
+                    Rating.countDocuments(filter),
+                    Rating.find(filter).sort({ [`${role}.rating`]: -1 }).skip(offset).limit(limit).lean()
+                ]);
+                return { total, profiles: docs.map(fromRatingDocument) };
+            },
+
+            /**
+             * Regista as alterações de rating de um jogo
+             */
+            addChanges: async (changes) => {
+                await RatingChange.insertMany(changes);
+            },
+
+            /**
+             * Soma das alterações de rating por utilizador desde `since`
+             * @returns {Object} userId -> variação
+             */
+            sumChanges: async ({ role, since, userIds }) => {
+                const rows = await RatingChange.aggregate([
+                    { $match: { userId: { $in: userIds }, timestamp: { $gte: new Date(since) } } },
+                    { $group: { _id: '$userId', change: { $sum: `$${role}` } } }
+                ]);
+                return Object.fromEntries(rows.map(row => [row._id, row.change]));
+            }
+        },
+
+        matches: {
+            /**
+             * Arquiva um jogo terminado
+             */
+            save: async (match) => {
+                await Match.create(match);
+            },
+
+            /**
+             * Jogos de um jogador (mais recentes primeiro), com filtro de datas
+             * e paginação opcional (sem limit devolve todos)
+             * @returns {{ total: number, matches: Object[] }}
+             */
+            listByPlayer: async (userId, { from = null, to = null, offset = 0, limit = null } = {}) => {
+                const filter = { 'players.userId': userId, ...dateFilter(from, to) };
+
+                let query = Match.find(filter).sort({ finishedAt: -1 }).skip(offset);
+                if (limit !== null) query = query.limit(limit);
+
+                const [total, docs] = await Promise.all([Match.countDocuments(filter), query.lean()]);
+                return { total, matches: docs.map(fromMatchDocument) };
+            },
+
+            /**
+             * Todos os jogos arquivados no intervalo de datas
+             */
+            list: async ({ from = null, to = null } = {}) => {
+                const docs = await Match.find(dateFilter(from, to)).lean();
+                return docs.map(fromMatchDocument);
+            }
+        },
+
+        tournaments: {
+            /**
+             * Guarda (ou substitui) um torneio
+             */
+            save: (tournament) => tournamentWrites.save(tournament.tournamentId, tournament),
+
+            /**
+             * Procura um torneio pelo ID
+             */
+            findById: async (tournamentId) => {
+                const doc = await Tournament.findOne({ tournamentId }).lean();
+                return doc ? fromTournamentDocument(doc) : null;
+            },
+
+            /**
+             * Torneios (mais recentes primeiro), opcionalmente só de um estado
+             * @returns {{ total: number, tournaments: Object[] }}
+             */
+            list: async ({ status = null, offset = 0, limit = 20 } = {}) => {
+                const filter = status === null ? {} : { status };
+                const [total, docs] = await Promise.all([
+                    Tournament.countDocuments(filter),
+                    Tournament.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean()
+                ]);
+                return { total, tournaments: docs.map(fromTournamentDocument) };
+            },
+
+            /**
+             * Torneios ainda não terminados (para restaurar após reinício)
+             */
+            listActive: async () => {
+                const docs = await Tournament.find({ status: { $ne: 'finished' } }).lean();
+                return docs.map(fromTournamentDocument);
+            }
+        }
+    };
+};
+
+module.exports = createMongoStore;
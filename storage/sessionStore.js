@@ -0,0 +1,155 @@
+/**
+ * Armazém de Sessões Ativas
+ *
+ * Todo o estado dos jogos em curso passa por aqui. As alterações a uma
+ * sessão correm dentro de update(), uma de cada vez por sessão, sobre o
+ * estado mais recente. Implementações:
+ * - memória (por omissão): um só processo, os objetos são o próprio estado
+ * - partilhada: estado num backend comum a várias instâncias do servidor,
+ *   com um lock por sessão (ver createSharedSessionStore)
+ *
+ * Interface comum:
+ *   name, shared
+ *   get(sessionId)             -> Promise<game | null>
+ *   list()                     -> Promise<game[]>
+ *   save(game)                 -> Promise (escrita direta, sem lock)
+ *   delete(sessionId)          -> Promise
+ *   update(sessionId, mutator) -> Promise<game | null>
+ *     mutator(game | null) pode ser async; devolve o novo estado,
+ *     null para remover a sessão ou undefined para a deixar como está.
+ */
+
+const crypto = require('crypto');
+
+// Validade de um lock partilhado (protege contra instâncias que morrem a meio)
+const DEFAULT_LOCK_TTL_MS = 10000;
+// Intervalo entre tentativas de obter um lock ocupado
+const LOCK_RETRY_MS = 25;
+// Tempo máximo de espera por um lock
+const LOCK_TIMEOUT_MS = 5000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fila por chave: as tarefas da mesma chave correm uma de cada vez
+ */
+const createKeyedLock = () => {
+    const tails = new Map();
+
+    return (key, task) => {
+        const previous = tails.get(key) || Promise.resolve();
+        const run = previous.then(task, task);
+        const tail = run.catch(() => {});
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) tails.delete(key);
+        });
+        return run;
+    };
+};
+
+/**
+ * Aplica o resultado de um mutator ao estado atual
+ */
+const applyResult = (current, next) => (next === undefined ? current : next);
+
+/**
+ * Sessões em memória (uma instância)
+ */
+const createMemorySessionStore = () => {
+    const sessions = new Map();
+    const withLock = createKeyedLock();
+
+    return {
+        name: 'memory',
+        shared: false,
+
+        get: async (sessionId) => sessions.get(sessionId) || null,
+
+        list: async () => Array.from(sessions.values()),
+
+        save: async (game) => {
+            sessions.set(game.sessionId, game);
+        },
+
+        delete: async (sessionId) => {
+            sessions.delete(sessionId);
+        },
+
+        update: (sessionId, mutator) => withLock(sessionId, async () => {
+            const current = sessions.get(sessionId) || null;
+            const next = applyResult(current, await mutator(current));
+            if (next) sessions.set(sessionId, next);
+            else sessions.delete(sessionId);
+            return next;
+        })
+    };
+};
+
+/**
+ * Sessões num backend partilhado por várias instâncias
+ *
+ * O backend guarda estados serializados e locks com validade:
+ *   read(key)               -> Promise<game | null>
+ *   write(key, game)        -> Promise
+ *   remove(key)             -> Promise
+ *   list()                  -> Promise<game[]>
+ *   acquire(key, token, ms) -> Promise<boolean> (false se outro dono o tiver)
+ *   release(key, token)     -> Promise
+ *
+ * @param {Object} backend - Ver acima (ex.: mongoSessionBackend)
+ * @param {Object} options - { name, lockTtlMs, lockTimeoutMs }
+ */
+const createSharedSessionStore = (backend, {
+    name = 'shared',
+    lockTtlMs = DEFAULT_LOCK_TTL_MS,
+    lockTimeoutMs = LOCK_TIMEOUT_MS
+} = {}) => {
+    // Pedidos desta instância esperam aqui, em vez de disputarem o backend
+    const withLocalLock = createKeyedLock();
+
+    const acquire = async (sessionId) => {
+        const token = crypto.randomUUID();
+        const giveUpAt = Date.now() + lockTimeoutMs;
+        while (!(await backend.acquire(sessionId, token, lockTtlMs))) {
+            if (Date.now() >= giveUpAt) {
+                throw new Error(`Sessão ${sessionId} bloqueada por outra instância`);
+            }
+            await wait(LOCK_RETRY_MS);
+        }
+        return token;
+    };
+
+    return {
+        name,
+        shared: true,
+
+        get: (sessionId) => backend.read(sessionId),
+
+        list: () => backend.list(),
+
+        save: (game) => backend.write(game.sessionId, game),
+
+        delete: (sessionId) => backend.remove(sessionId),
+
+        update: (sessionId, mutator) => withLocalLock(sessionId, async () => {
+            const token = await acquire(sessionId);
+            try {
+                const current = await backend.read(sessionId);
+                const next = applyResult(current, await mutator(current));
+                if (next) await backend.write(sessionId, next);
+                else if (current) await backend.remove(sessionId);
+                return next;
+            } finally {
+                await backend.release(sessionId, token);
+            }
+        })
+    };
+};
+
+module.exports = {
+    DEFAULT_LOCK_TTL_MS,
+    createKeyedLock,
+    createMemorySessionStore,
+    createSharedSessionStore
+};
@@ -0,0 +1,114 @@
+/**
+ * API de administração (routes/admin) sobre uma instância do servidor de
+ * jogo: terminar e remover sessões em curso e encerrar a instância.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const createAdminRouter = require('../routes/admin');
+const { GameStatus } = require('../game/stateMachine');
+const { ErrorCode } = require('../socket/errorCodes');
+const {
+    startGameServer,
+    connectPlayer,
+    emitWithAck,
+    waitForEvent,
+    createReadyGame
+} = require('./support/gameServer');
+
+const ADMIN_TOKEN = 'token-de-teste';
+
+describe('API de administração', () => {
+    let instance;
+    let server;
+    let baseUrl;
+    let attacker;
+    let defender;
+    let sessionId;
+
+    beforeEach(async () => {
+        instance = await startGameServer();
+
+        const app = express();
+        app.use(express.json());
+        app.use('/admin', createAdminRouter(instance.api.admin, { token: ADMIN_TOKEN }));
+        server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+
+        attacker = await connectPlayer(instance, 'Ana');
+        defender = await connectPlayer(instance, 'Rui');
+        sessionId = await createReadyGame(attacker, defender);
+    });
+
+    afterEach(async () => {
+        attacker.disconnect();
+        defender.disconnect();
+        await new Promise(resolve => server.close(resolve));
+        await instance.close();
+    });
+
+    /**
+     * Pedido à API com o token de operador
+     * @returns {Promise<{ status: number, body: Object }>}
+     */
+    const request = async (method, path, body, token = ADMIN_TOKEN) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('recusa pedidos sem o token de operador', async () => {
+        const { status } = await request('GET', '/sessions', null, 'outro-token');
+        assert.equal(status, 401);
+    });
+
+    it('termina uma sessão em curso e avisa os jogadores', async () => {
+        const listed = await request('GET', '/sessions');
+        assert.deepEqual(listed.body.sessions.map(session => session.sessionId), [sessionId]);
+
+        const ended = waitForEvent(defender, 'session_ended');
+        const { status, body } = await request('POST', `/sessions/${sessionId}/end`, { reason: 'Manutenção' });
+        assert.equal(status, 200);
+        assert.equal(body.session.status, GameStatus.GAME_FINISHED);
+        assert.deepEqual(await ended, { reason: 'Manutenção' });
+
+        const again = await request('POST', `/sessions/${sessionId}/end`);
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, ErrorCode.ILLEGAL_TRANSITION);
+    });
+
+    it('remove uma sessão: os jogadores saem dela', async () => {
+        const closed = waitForEvent(attacker, 'session_closed');
+        const { status } = await request('DELETE', `/sessions/${sessionId}`, { reason: 'Sessão presa' });
+        assert.equal(status, 200);
+        assert.deepEqual(await closed, { reason: 'Sessão presa' });
+
+        assert.equal((await request('GET', `/sessions/${sessionId}`)).status, 404);
+        const attack = await emitWithAck(attacker, 'execute_attack', { toolId: 'email_falso' });
+        assert.equal(attack.code, ErrorCode.NOT_IN_SESSION);
+    });
+
+    it('em encerramento recusa jogos novos e deixa acabar os atuais', async () => {
+        const warned = waitForEvent(attacker, 'server_draining');
+        const { body } = await request('POST', '/drain', { draining: true });
+        assert.equal(body.draining, true);
+        assert.equal(body.activeSessions, 1);
+        assert.deepEqual(await warned, { draining: true });
+
+        const newcomer = await connectPlayer(instance, 'Eva');
+        const refused = await emitWithAck(newcomer, 'create_game', { role: 'attacker', themeId: 1 });
+        newcomer.disconnect();
+        assert.equal(refused.code, ErrorCode.SERVER_DRAINING);
+
+        assert.deepEqual(await emitWithAck(attacker, 'execute_attack', { toolId: 'email_falso' }), { ok: true });
+
+        const resumed = await request('POST', '/drain', { draining: false });
+        assert.equal(resumed.body.draining, false);
+    });
+});
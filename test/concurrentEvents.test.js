@@ -0,0 +1,109 @@
+/**
+ * Eventos em conflito enviados ao mesmo tempo: os eventos de uma sessão
+ * correm um de cada vez e as ações com uma versão antiga são recusadas.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ErrorCode } = require('../socket/errorCodes');
+const { createMemorySessionStore } = require('../storage');
+const {
+    startGameServer,
+    connectPlayer,
+    emitWithAck,
+    waitForEvent,
+    createReadyGame
+} = require('./support/gameServer');
+
+// Ronda mais curta permitida pelas regras (segundos)
+const SHORT_ROUND_SECONDS = 5;
+// time_expired é aceite até 500 ms antes do prazo (TIME_EXPIRED_TOLERANCE_MS)
+const EXPIRE_AHEAD_MS = 300;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Eventos em conflito na mesma sessão', () => {
+    let sessions;
+    let instance;
+    let sockets;
+
+    beforeEach(async () => {
+        sessions = createMemorySessionStore();
+        instance = await startGameServer({ sessions });
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await instance.close();
+    });
+
+    const connect = async (name) => {
+        const socket = await connectPlayer(instance, name);
+        sockets.push(socket);
+        return socket;
+    };
+
+    it('time_expired e execute_defense juntos acrescentam uma só ronda ao histórico', async () => {
+        const attacker = await connect('Ana');
+        const defender = await connect('Rui');
+        const sessionId = await createReadyGame(attacker, defender, {
+            rules: { time: { roundSeconds: SHORT_ROUND_SECONDS } }
+        });
+
+        const attacked = waitForEvent(defender, 'attack_executed');
+        await emitWithAck(attacker, 'execute_attack', { toolId: 'email_falso' });
+        const { deadline } = await attacked;
+
+        // Os dois eventos chegam dentro da tolerância do prazo, sem esperar um pelo outro
+        await wait(deadline - Date.now() - EXPIRE_AHEAD_MS);
+        const replies = await Promise.all([
+            emitWithAck(attacker, 'time_expired'),
+            emitWithAck(defender, 'execute_defense', { toolId: 'filtro_spam' })
+        ]);
+        // Também o temporizador do servidor chega ao prazo
+        await wait(EXPIRE_AHEAD_MS * 2);
+
+        const game = await sessions.get(sessionId);
+        assert.equal(game.history.length, 1);
+        assert.equal(replies.filter(reply => reply.ok).length, 1);
+    });
+
+    it('dois join_game para o último lugar: um deles recebe SESSION_FULL', async () => {
+        const host = await connect('Ana');
+        const first = await connect('Rui');
+        const second = await connect('Eva');
+
+        const created = waitForEvent(host, 'game_created');
+        await emitWithAck(host, 'create_game', { role: 'attacker', themeId: 1 });
+        const { sessionId } = await created;
+
+        const replies = await Promise.all([
+            emitWithAck(first, 'join_game', { sessionId }),
+            emitWithAck(second, 'join_game', { sessionId })
+        ]);
+
+        assert.equal(replies.filter(reply => reply.ok).length, 1);
+        assert.deepEqual(replies.filter(reply => !reply.ok).map(reply => reply.code), [ErrorCode.SESSION_FULL]);
+
+        const game = await sessions.get(sessionId);
+        assert.ok([first.userId, second.userId].includes(game.defender.userId));
+    });
+
+    it('ação com uma versão antiga recebe STALE_STATE', async () => {
+        const attacker = await connect('Ana');
+        const defender = await connect('Rui');
+
+        const ready = waitForEvent(defender, 'game_state', state => state.gameStatus === 'READY');
+        await createReadyGame(attacker, defender);
+        const { version } = await ready;
+
+        // O ataque muda o estado: a versão que o defensor viu fica antiga
+        assert.deepEqual(await emitWithAck(attacker, 'execute_attack', { toolId: 'email_falso', version }), { ok: true });
+        const reply = await emitWithAck(defender, 'execute_defense', { toolId: 'filtro_spam', version });
+
+        assert.equal(reply.ok, false);
+        assert.equal(reply.code, ErrorCode.STALE_STATE);
+        assert.ok(reply.version > version);
+    });
+});
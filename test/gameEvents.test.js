@@ -0,0 +1,85 @@
+/**
+ * Respostas dos eventos de jogo 1v1: ações recusadas recebem { ok: false, code, message }
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ErrorCode } = require('../socket/errorCodes');
+const { createMemorySessionStore } = require('../storage');
+const {
+    startGameServer,
+    connectPlayer,
+    emitWithAck,
+    waitForEvent,
+    createReadyGame
+} = require('./support/gameServer');
+
+describe('Eventos de jogo 1v1', () => {
+    let sessions;
+    let instance;
+    let attacker;
+    let defender;
+    let sessionId;
+
+    beforeEach(async () => {
+        sessions = createMemorySessionStore();
+        instance = await startGameServer({ sessions });
+        attacker = await connectPlayer(instance, 'Ana');
+        defender = await connectPlayer(instance, 'Rui');
+        sessionId = await createReadyGame(attacker, defender);
+    });
+
+    afterEach(async () => {
+        attacker.disconnect();
+        defender.disconnect();
+        await instance.close();
+    });
+
+    it('time_expired antes do prazo recebe TOO_EARLY', async () => {
+        await emitWithAck(attacker, 'execute_attack', { toolId: 'email_falso' });
+
+        const reply = await emitWithAck(defender, 'time_expired');
+
+        assert.equal(reply.ok, false);
+        assert.equal(reply.code, ErrorCode.TOO_EARLY);
+        assert.ok(reply.msRemaining > 0);
+    });
+
+    it('ataque enviado pelo defensor durante a ronda recebe ROLE_NOT_ALLOWED', async () => {
+        await emitWithAck(attacker, 'execute_attack', { toolId: 'email_falso' });
+
+        const reply = await emitWithAck(defender, 'execute_attack', { toolId: 'site_clonado' });
+
+        assert.equal(reply.ok, false);
+        assert.equal(reply.code, ErrorCode.ROLE_NOT_ALLOWED);
+    });
+
+    it('start_game de quem não tem lugar na sala recebe SEAT_TAKEN e não ocupa o lugar livre', async () => {
+        const host = await connectPlayer(instance, 'Eva');
+        const stranger = await connectPlayer(instance, 'Luís');
+        const created = waitForEvent(host, 'game_created');
+        await emitWithAck(host, 'create_game', { role: 'attacker', themeId: 1 });
+        const lobby = await created;
+
+        const reply = await emitWithAck(stranger, 'start_game', { sessionId: lobby.sessionId, role: 'defender', themeId: 1 });
+        host.disconnect();
+        stranger.disconnect();
+
+        assert.equal(reply.ok, false);
+        assert.equal(reply.code, ErrorCode.SEAT_TAKEN);
+        const game = await sessions.get(lobby.sessionId);
+        assert.equal(game.attacker.userId, host.userId);
+        assert.equal(game.defender.userId, null);
+    });
+
+    it('espectadores não podem criar salas', async () => {
+        const spectator = await connectPlayer(instance, 'Eva');
+        assert.deepEqual(await emitWithAck(spectator, 'spectate_game', { sessionId }), { ok: true });
+
+        const reply = await emitWithAck(spectator, 'create_game', { role: 'attacker', themeId: 1 });
+        spectator.disconnect();
+
+        assert.equal(reply.ok, false);
+        assert.equal(reply.code, ErrorCode.SPECTATOR_READ_ONLY);
+    });
+});
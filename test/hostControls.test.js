@@ -0,0 +1,98 @@
+/**
+ * Controlo da sala pelo anfitrião: expulsar, trancar e o acordo do
+ * adversário para reinícios pedidos por quem não é anfitrião.
+ */
+
+// Prazo curto para os pedidos ao adversário (lido quando o hostHandler carrega)
+process.env.CONSENT_TIMEOUT_SECONDS = '0.5';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ErrorCode } = require('../socket/errorCodes');
+const {
+    startGameServer,
+    connectPlayer,
+    emitWithAck,
+    waitForEvent,
+    createReadyGame
+} = require('./support/gameServer');
+
+describe('Controlo da sala pelo anfitrião', () => {
+    let instance;
+    let host;
+    let guest;
+
+    beforeEach(async () => {
+        instance = await startGameServer();
+        host = await connectPlayer(instance, 'Ana');
+        guest = await connectPlayer(instance, 'Rui');
+    });
+
+    afterEach(async () => {
+        host.disconnect();
+        guest.disconnect();
+        await instance.close();
+    });
+
+    it('o anfitrião expulsa um jogador, que não pode voltar a entrar', async () => {
+        const sessionId = await createReadyGame(host, guest);
+
+        const notHost = await emitWithAck(guest, 'kick_player', { userId: host.userId });
+        assert.equal(notHost.code, ErrorCode.HOST_ONLY);
+
+        const kicked = waitForEvent(guest, 'kicked');
+        const announced = waitForEvent(host, 'player_kicked');
+        assert.deepEqual(await emitWithAck(host, 'kick_player', { userId: guest.userId }), { ok: true });
+        assert.deepEqual(await kicked, { sessionId });
+        assert.deepEqual(await announced, { userId: guest.userId, role: 'defender' });
+
+        const rejoin = await emitWithAck(guest, 'join_game', { sessionId });
+        assert.equal(rejoin.code, ErrorCode.KICKED);
+    });
+
+    it('com a sala trancada só entra quem já tinha lugar', async () => {
+        const created = waitForEvent(host, 'game_created');
+        await emitWithAck(host, 'create_game', { role: 'attacker', themeId: 1 });
+        const { sessionId } = await created;
+
+        assert.deepEqual(await emitWithAck(host, 'lock_room', { locked: true }), { ok: true });
+        const locked = await emitWithAck(guest, 'join_game', { sessionId });
+        assert.equal(locked.code, ErrorCode.ROOM_LOCKED);
+
+        assert.deepEqual(await emitWithAck(host, 'lock_room', { locked: false }), { ok: true });
+        assert.deepEqual(await emitWithAck(guest, 'join_game', { sessionId }), { ok: true });
+    });
+
+    it('reinício pedido por quem não é anfitrião espera pelo adversário e expira', async () => {
+        await createReadyGame(host, guest);
+
+        const requested = waitForEvent(host, 'consent_requested');
+        assert.deepEqual(await emitWithAck(guest, 'reset_game'), { ok: true });
+        const request = await requested;
+        assert.equal(request.action, 'reset_game');
+        assert.equal(request.confirmUserId, host.userId);
+
+        const pending = await emitWithAck(guest, 'reset_game');
+        assert.equal(pending.code, ErrorCode.CONSENT_PENDING);
+
+        const resolved = await waitForEvent(guest, 'consent_resolved');
+        assert.deepEqual(resolved, { action: 'reset_game', userId: guest.userId, accepted: false, reason: 'TIMEOUT' });
+    });
+
+    it('o adversário aceita o pedido e o jogo reinicia', async () => {
+        await createReadyGame(host, guest);
+
+        const requested = waitForEvent(host, 'consent_requested');
+        await emitWithAck(guest, 'reset_game');
+        await requested;
+
+        const notOpponent = await emitWithAck(guest, 'respond_consent', { accept: true });
+        assert.equal(notOpponent.code, ErrorCode.OPPONENT_ONLY);
+
+        const reset = waitForEvent(guest, 'game_reset');
+        const resolved = waitForEvent(guest, 'consent_resolved');
+        assert.deepEqual(await emitWithAck(host, 'respond_consent', { accept: true }), { ok: true });
+        assert.equal((await resolved).reason, 'ACCEPTED');
+        await reset;
+    });
+});
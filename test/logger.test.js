@@ -0,0 +1,49 @@
+/**
+ * Logger estruturado: campos de correlação do contexto em curso
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, runWithLogContext, runWithNewLogContext } = require('../config/logger');
+
+/**
+ * Linhas JSON escritas em stdout enquanto fn corre
+ */
+const captureLines = (fn) => {
+    const lines = [];
+    const write = process.stdout.write;
+    process.stdout.write = (chunk) => {
+        lines.push(JSON.parse(chunk));
+        return true;
+    };
+    try {
+        fn();
+    } finally {
+        process.stdout.write = write;
+    }
+    return lines;
+};
+
+describe('Logger', () => {
+    const log = createLogger({ component: 'teste' });
+
+    it('runWithLogContext acrescenta os campos ao contexto em curso', () => {
+        const [line] = captureLines(() => runWithLogContext({ socketId: 'abc', event: 'join_game', eventId: 'e1' }, () => {
+            runWithLogContext({ sessionId: 'S1' }, () => log.info('Entrou'));
+        }));
+        assert.equal(line.component, 'teste');
+        assert.equal(line.event, 'join_game');
+        assert.equal(line.eventId, 'e1');
+        assert.equal(line.sessionId, 'S1');
+    });
+
+    it('runWithNewLogContext não herda o evento que o chamou', () => {
+        const [line] = captureLines(() => runWithLogContext({ socketId: 'abc', event: 'join_game', eventId: 'e1' }, () => {
+            runWithNewLogContext({ sessionId: 'S1' }, () => log.info('Temporizador'));
+        }));
+        assert.equal(line.sessionId, 'S1');
+        assert.equal(line.event, undefined);
+        assert.equal(line.eventId, undefined);
+        assert.equal(line.socketId, undefined);
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Fila de emparelhamento: dois jogadores na fila começam um jogo juntos
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GameStatus } = require('../game/stateMachine');
+const {
+    startGameServer,
+    connectPlayer,
+    waitForEvent
+} = require('./support/gameServer');
+
+describe('Emparelhamento automático', () => {
+    let instance;
+    let first;
+    let second;
+
+    beforeEach(async () => {
+        instance = await startGameServer();
+        first = await connectPlayer(instance, 'Ana');
+        second = await connectPlayer(instance, 'Rui');
+    });
+
+    afterEach(async () => {
+        first.disconnect();
+        second.disconnect();
+        await instance.close();
+    });
+
+    it('os dois jogadores emparelhados ficam sentados num jogo em READY', async () => {
+        const matches = Promise.all([first, second].map(socket => waitForEvent(socket, 'match_found')));
+        const ready = waitForEvent(second, 'game_state', state => state.gameStatus === GameStatus.READY);
+
+        first.emit('queue_for_match', { preferredRole: 'attacker', themeId: 1 });
+        second.emit('queue_for_match', { preferredRole: 'defender', themeId: 1 });
+
+        const [forFirst, forSecond] = await matches;
+        assert.equal(forFirst.sessionId, forSecond.sessionId);
+        assert.deepEqual([forFirst.role, forSecond.role], ['attacker', 'defender']);
+
+        const state = await ready;
+        assert.equal(state.sessionId, forFirst.sessionId);
+        assert.equal(state.players.attacker.id, first.id);
+        assert.equal(state.players.defender.id, second.id);
+    });
+});
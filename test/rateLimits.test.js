@@ -0,0 +1,82 @@
+/**
+ * Limites de eventos: pedidos acima do limite são recusados, quem insiste é
+ * desligado, e cada cliente só pode ter algumas salas abertas.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ErrorCode } = require('../socket/errorCodes');
+const { createRateLimiter, loadLimits } = require('../socket/rateLimiter');
+const {
+    startGameServer,
+    connectPlayer,
+    emitWithAck,
+    waitForEvent
+} = require('./support/gameServer');
+
+// Limites pequenos para os testes (o resto como por omissão)
+const TEST_LIMITS = {
+    ...loadLimits({}),
+    socketEvents: 3,
+    maxViolations: 2,
+    maxPayloadBytes: 512,
+    maxSessionsPerClient: 1
+};
+
+describe('Limites de eventos', () => {
+    let instance;
+    let player;
+
+    beforeEach(async () => {
+        instance = await startGameServer({ rateLimiter: createRateLimiter(TEST_LIMITS) });
+        player = await connectPlayer(instance, 'Ana');
+    });
+
+    afterEach(async () => {
+        player.disconnect();
+        await instance.close();
+    });
+
+    it('eventos acima do limite por socket recebem RATE_LIMITED', async () => {
+        for (let i = 0; i < TEST_LIMITS.socketEvents; i++) {
+            assert.deepEqual(await emitWithAck(player, 'list_lobbies'), { ok: true });
+        }
+
+        const reply = await emitWithAck(player, 'list_lobbies');
+        assert.equal(reply.ok, false);
+        assert.equal(reply.code, ErrorCode.RATE_LIMITED);
+        assert.ok(reply.retryAfterMs > 0);
+
+        // O limite é por socket: outro jogador continua a ser atendido
+        const other = await connectPlayer(instance, 'Rui');
+        assert.deepEqual(await emitWithAck(other, 'list_lobbies'), { ok: true });
+        other.disconnect();
+    });
+
+    it('dados acima de MAX_PAYLOAD_BYTES recebem PAYLOAD_TOO_LARGE', async () => {
+        const reply = await emitWithAck(player, 'create_game', { rules: { padding: 'x'.repeat(TEST_LIMITS.maxPayloadBytes) } });
+        assert.equal(reply.ok, false);
+        assert.equal(reply.code, ErrorCode.PAYLOAD_TOO_LARGE);
+    });
+
+    it('quem passa RATE_LIMIT_MAX_VIOLATIONS recusas é desligado', async () => {
+        const warned = waitForEvent(player, 'error', error => error.code === ErrorCode.TOO_MANY_VIOLATIONS);
+        const disconnected = waitForEvent(player, 'disconnect');
+
+        for (let i = 0; i < TEST_LIMITS.socketEvents + TEST_LIMITS.maxViolations; i++) {
+            await emitWithAck(player, 'list_lobbies');
+        }
+        player.emit('list_lobbies');
+
+        await warned;
+        assert.equal(await disconnected, 'io server disconnect');
+    });
+
+    it('salas abertas acima de MAX_SESSIONS_PER_CLIENT recebem SESSION_LIMIT', async () => {
+        assert.deepEqual(await emitWithAck(player, 'create_game', { role: 'attacker', themeId: 1 }), { ok: true });
+
+        const reply = await emitWithAck(player, 'create_game', { role: 'attacker', themeId: 1 });
+        assert.equal(reply.ok, false);
+        assert.equal(reply.code, ErrorCode.SESSION_LIMIT);
+    });
+});
@@ -0,0 +1,30 @@
+/**
+ * Serviço de ratings: jogos do mesmo jogador a terminar ao mesmo tempo
+ * contam os dois.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../storage');
+const { DEFAULT_RATING, createRatingService } = require('../services/ratings');
+
+describe('Ratings', () => {
+    it('dois jogos do mesmo jogador gravados ao mesmo tempo contam os dois', async () => {
+        const ratings = createRatingService(createMemoryStore());
+        const round = (attackerUserId, defenderUserId) => ({ attackerUserId, defenderUserId, winner: 'attacker' });
+
+        await Promise.all([
+            ratings.recordGame({ sessionId: 'S1', playerIds: ['ana', 'rui'], winnerUserId: 'ana', rounds: [round('ana', 'rui')] }),
+            ratings.recordGame({ sessionId: 'S2', playerIds: ['ana', 'eva'], winnerUserId: 'ana', rounds: [round('ana', 'eva')] })
+        ]);
+
+        const ana = await ratings.getPlayer('ana');
+        assert.equal(ana.overall.games, 2);
+        assert.equal(ana.overall.wins, 2);
+        assert.equal(ana.attacker.games, 2);
+        assert.equal(ana.attacker.roundsWon, 2);
+        // Cada jogo soma o seu ganho (calculado a partir do mesmo rating de partida)
+        const gain = DEFAULT_RATING - (await ratings.getPlayer('rui')).overall.rating;
+        assert.equal(ana.overall.rating, DEFAULT_RATING + 2 * gain);
+    });
+});
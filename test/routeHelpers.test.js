@@ -0,0 +1,37 @@
+/**
+ * Utilitários das rotas REST: células CSV e comparação de tokens
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsvCell, tokensMatch } = require('../routes/helpers');
+
+describe('toCsvCell', () => {
+    it('põe entre aspas texto com separadores, aspas ou quebras de linha', () => {
+        assert.equal(toCsvCell('simples'), 'simples');
+        assert.equal(toCsvCell('a,b'), '"a,b"');
+        assert.equal(toCsvCell('diz "olá"'), '"diz ""olá"""');
+        assert.equal(toCsvCell(null), '');
+    });
+
+    it('neutraliza texto que uma folha de cálculo leria como fórmula', () => {
+        assert.equal(toCsvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+        assert.equal(toCsvCell('+1'), "'+1");
+        assert.equal(toCsvCell('-2'), "'-2");
+        assert.equal(toCsvCell('@SUM(A1)'), "'@SUM(A1)");
+        assert.equal(toCsvCell('\tx'), "'\tx");
+    });
+
+    it('deixa os números negativos como números', () => {
+        assert.equal(toCsvCell(-12), '-12');
+    });
+});
+
+describe('tokensMatch', () => {
+    it('só aceita o token exato', () => {
+        assert.equal(tokensMatch('segredo', 'segredo'), true);
+        assert.equal(tokensMatch('segredo', 'segredx'), false);
+        assert.equal(tokensMatch('segredo', 'seg'), false);
+        assert.equal(tokensMatch('segredo', null), false);
+    });
+});
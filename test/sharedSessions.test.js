@@ -0,0 +1,104 @@
+/**
+ * Duas instâncias do servidor no mesmo processo, com o armazém de sessões
+ * partilhado (backend local) e o adapter em processo: as ações em qualquer
+ * instância alteram a mesma sessão e as emissões chegam a todos os clientes.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSharedSessionStore, createLocalSessionBackend } = require('../storage');
+const { GameStatus } = require('../game/stateMachine');
+const createInProcessAdapter = require('./support/inProcessAdapter');
+const {
+    startGameServer,
+    connectPlayer,
+    emitWithAck,
+    waitForEvent,
+    createReadyGame
+} = require('./support/gameServer');
+
+describe('Sessões partilhadas entre instâncias', () => {
+    let backend;
+    let instanceA;
+    let instanceB;
+    let attacker;
+    let defender;
+
+    beforeEach(async () => {
+        backend = createLocalSessionBackend();
+        const adapter = createInProcessAdapter();
+        instanceA = await startGameServer({ sessions: createSharedSessionStore(backend, { name: 'local' }), adapter });
+        instanceB = await startGameServer({ sessions: createSharedSessionStore(backend, { name: 'local' }), adapter });
+
+        // Atacante ligado à instância B, defensor à instância A
+        attacker = await connectPlayer(instanceB, 'Ana');
+        defender = await connectPlayer(instanceA, 'Rui');
+    });
+
+    afterEach(async () => {
+        attacker.disconnect();
+        defender.disconnect();
+        await instanceA.close();
+        await instanceB.close();
+    });
+
+    it('entrada na instância A e jogada na instância B alteram a mesma sessão', async () => {
+        const sessionId = await createReadyGame(attacker, defender);
+
+        const afterJoin = await backend.read(sessionId);
+        assert.equal(afterJoin.status, GameStatus.READY);
+        assert.equal(afterJoin.attacker.userId, attacker.userId);
+        assert.equal(afterJoin.defender.userId, defender.userId);
+
+        const attack = await emitWithAck(attacker, 'execute_attack', { toolId: 'email_falso' });
+        assert.deepEqual(attack, { ok: true });
+
+        const afterAttack = await backend.read(sessionId);
+        assert.equal(afterAttack.status, GameStatus.ATTACKING);
+        assert.equal(afterAttack.currentRound.attackerTool, 'email_falso');
+        assert.ok(afterAttack.version > afterJoin.version);
+
+        const defense = await emitWithAck(defender, 'execute_defense', { toolId: 'filtro_spam' });
+        assert.deepEqual(defense, { ok: true });
+
+        const afterDefense = await backend.read(sessionId);
+        assert.equal(afterDefense.status, GameStatus.DEFENDED);
+        assert.equal(afterDefense.history.length, 1);
+    });
+
+    it('emissões de uma instância chegam aos clientes das duas', async () => {
+        // Entrada do defensor (instância A) chega ao atacante (instância B)
+        const attackerSeesDefender = waitForEvent(attacker, 'game_state', state => state.gameStatus === GameStatus.READY);
+        const sessionId = await createReadyGame(attacker, defender);
+        const state = await attackerSeesDefender;
+        assert.equal(state.sessionId, sessionId);
+
+        // Ataque na instância B chega aos dois jogadores
+        const received = Promise.all([
+            waitForEvent(attacker, 'attack_executed'),
+            waitForEvent(defender, 'attack_executed')
+        ]);
+        await emitWithAck(attacker, 'execute_attack', { toolId: 'email_falso' });
+
+        const [onB, onA] = await received;
+        assert.equal(onB.toolId, 'email_falso');
+        assert.equal(onA.toolId, 'email_falso');
+        assert.equal(onA.roundNumber, 1);
+    });
+
+    it('join_game noutra instância encontra a sala criada por start_game com ID em minúsculas', async () => {
+        const created = waitForEvent(attacker, 'game_state');
+        await emitWithAck(attacker, 'start_game', { sessionId: 'sala-x', role: 'attacker', themeId: 1 });
+        await created;
+
+        const ready = waitForEvent(attacker, 'game_state', state => state.gameStatus === GameStatus.READY);
+        assert.deepEqual(await emitWithAck(defender, 'join_game', { sessionId: 'sala-x' }), { ok: true });
+        await ready;
+
+        const stored = await backend.read('sala-x');
+        assert.equal(stored.attacker.userId, attacker.userId);
+        assert.equal(stored.defender.userId, defender.userId);
+        assert.equal(await backend.read('SALA-X'), null);
+    });
+});
+
@@ -0,0 +1,47 @@
+/**
+ * Máquina de estados: códigos de erro das transições recusadas
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GameStatus, GameEvent, Role, TransitionError, transition } = require('../game/stateMachine');
+
+describe('transition', () => {
+    it('papel errado recebe ROLE_NOT_ALLOWED mesmo que o guard também falhe', () => {
+        const defenderAttacks = transition(GameStatus.ATTACKING, GameEvent.EXECUTE_ATTACK, {
+            role: Role.DEFENDER,
+            context: { attackLaunched: true }
+        });
+        const attackerDefends = transition(GameStatus.ATTACKING, GameEvent.EXECUTE_DEFENSE, {
+            role: Role.ATTACKER,
+            context: { attackLaunched: false }
+        });
+
+        assert.equal(defenderAttacks.code, TransitionError.ROLE_NOT_ALLOWED);
+        assert.equal(attackerDefends.code, TransitionError.ROLE_NOT_ALLOWED);
+    });
+
+    it('guard falhado com o papel certo recebe ILLEGAL_TRANSITION', () => {
+        const secondAttack = transition(GameStatus.ATTACKING, GameEvent.EXECUTE_ATTACK, {
+            role: Role.ATTACKER,
+            context: { attackLaunched: true }
+        });
+
+        assert.equal(secondAttack.code, TransitionError.ILLEGAL_TRANSITION);
+    });
+
+    it('evento sem regra no estado recebe ILLEGAL_TRANSITION para qualquer papel', () => {
+        const result = transition(GameStatus.LOBBY, GameEvent.EXECUTE_DEFENSE, { role: Role.ATTACKER });
+
+        assert.equal(result.code, TransitionError.ILLEGAL_TRANSITION);
+    });
+
+    it('transição permitida devolve o estado seguinte', () => {
+        const result = transition(GameStatus.ATTACKING, GameEvent.EXECUTE_DEFENSE, {
+            role: Role.DEFENDER,
+            context: { attackLaunched: true, isCorrect: true }
+        });
+
+        assert.deepEqual(result, { ok: true, from: GameStatus.ATTACKING, to: GameStatus.DEFENDED });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Instâncias do servidor de jogo para os testes
+ *
+ * Monta o mesmo servidor Socket.IO que server.js (autenticação, limites e
+ * gameHandler) numa porta livre, com o armazém de sessões e o adapter
+ * indicados, e liga clientes com tokens de convidado.
+ */
+
+// Só os erros dos servidores aparecem na saída dos testes
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const configureSocketAdapter = require('../../config/socketAdapter');
+const gameHandler = require('../../socket/gameHandler');
+const authMiddleware = require('../../socket/authMiddleware');
+const { createMemoryStore, createMemorySessionStore } = require('../../storage');
+const { issueToken, createUserId } = require('../../services/auth');
+
+const DEFAULT_TIMEOUT_MS = 2000;
+// Tempo para os handlers de disconnect terminarem antes de parar os temporizadores
+const DISCONNECT_SETTLE_MS = 50;
+
+/**
+ * Arranca uma instância
+ * @param {Object} options - { sessions, adapter, rateLimiter } (por omissão, sessões em
+ *   memória, sem adapter e com os limites do ambiente)
+ * @returns {Promise<Object>} { url, io, api, close }
+ */
+const startGameServer = async ({ sessions = createMemorySessionStore(), adapter = null, rateLimiter } = {}) => {
+    const server = http.createServer();
+    const io = new Server(server);
+    if (adapter) await configureSocketAdapter(io, { adapter });
+    io.use(authMiddleware);
+
+    const api = await gameHandler(io, { storage: createMemoryStore(), sessions, rateLimiter });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        io,
+        api,
+        close: async () => {
+            // Desliga os sockets primeiro: os handlers de disconnect ainda criam temporizadores
+            await new Promise(resolve => io.close(() => resolve()));
+            await new Promise(resolve => setTimeout(resolve, DISCONNECT_SETTLE_MS));
+            api.close();
+        }
+    };
+};
+
+/**
+ * Liga um jogador convidado a uma instância
+ * @returns {Promise<Socket>} socket ligado (com userId)
+ */
+const connectPlayer = async (instance, name = 'Jogador') => {
+    const userId = createUserId();
+    const socket = connect(instance.url, {
+        auth: { token: issueToken({ userId, name, guest: true }) },
+        transports: ['websocket'],
+        forceNew: true,
+        reconnection: false
+    });
+    socket.userId = userId;
+    await new Promise((resolve, reject) => {
+        socket.once('connect', resolve);
+        socket.once('connect_error', reject);
+    });
+    return socket;
+};
+
+/**
+ * Envia um evento e espera pela confirmação { ok, code?, message? }
+ */
+const emitWithAck = (socket, event, data = {}) => socket.timeout(DEFAULT_TIMEOUT_MS).emitWithAck(event, data);
+
+/**
+ * Espera pelo próximo evento (que cumpra `match`, se indicado)
+ */
+const waitForEvent = (socket, event, match = () => true, timeoutMs = DEFAULT_TIMEOUT_MS) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+        socket.off(event, onEvent);
+        reject(new Error(`Sem evento ${event} em ${timeoutMs} ms`));
+    }, timeoutMs);
+    const onEvent = (payload) => {
+        if (!match(payload)) return;
+        clearTimeout(timer);
+        socket.off(event, onEvent);
+        resolve(payload);
+    };
+    socket.on(event, onEvent);
+});
+
+/**
+ * Cria uma sala e junta o segundo jogador (jogo 1v1 em READY)
+ * @param {Object} options - { themeId, rules } (regras como em create_game)
+ * @returns {Promise<string>} sessionId
+ */
+const createReadyGame = async (attacker, defender, { themeId = 1, rules } = {}) => {
+    const created = waitForEvent(attacker, 'game_created');
+    await emitWithAck(attacker, 'create_game', { role: 'attacker', themeId, rules });
+    const { sessionId } = await created;
+    const joined = await emitWithAck(defender, 'join_game', { sessionId });
+    if (!joined.ok) throw new Error(`join_game falhou: ${joined.code}`);
+    return sessionId;
+};
+
+module.exports = {
+    startGameServer,
+    connectPlayer,
+    emitWithAck,
+    waitForEvent,
+    createReadyGame
+};
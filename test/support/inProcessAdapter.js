@@ -0,0 +1,64 @@
+/**
+ * Adapter do Socket.IO em processo (testes)
+ *
+ * Substituto de um adapter partilhado (Redis, MongoDB): os servidores
+ * Socket.IO do mesmo grupo, no mesmo processo, recebem as emissões e as
+ * entradas/saídas de salas uns dos outros. Usa-se como o módulo de
+ * SOCKET_IO_ADAPTER:
+ *
+ *     const adapter = createInProcessAdapter();
+ *     await configureSocketAdapter(ioA, { adapter });
+ *     await configureSocketAdapter(ioB, { adapter });
+ */
+
+const { Adapter } = require('socket.io-adapter');
+
+const createInProcessAdapter = () => {
+    const adapters = new Set();
+
+    // Adapters do mesmo namespace nas outras instâncias
+    const peersOf = (self) => Array.from(adapters)
+        .filter(adapter => adapter !== self && adapter.nsp.name === self.nsp.name);
+
+    // Repete a operação nas outras instâncias (exceto io.local)
+    const forward = (self, method, opts, ...args) => {
+        if (opts.flags?.local) return;
+        peersOf(self).forEach(peer => Adapter.prototype[method].call(peer, opts, ...args));
+    };
+
+    class InProcessAdapter extends Adapter {
+        constructor(nsp) {
+            super(nsp);
+            adapters.add(this);
+        }
+
+        close() {
+            adapters.delete(this);
+        }
+
+        broadcast(packet, opts) {
+            super.broadcast(packet, opts);
+            if (opts.flags?.local) return;
+            peersOf(this).forEach(peer => Adapter.prototype.broadcast.call(peer, packet, opts));
+        }
+
+        addSockets(opts, rooms) {
+            super.addSockets(opts, rooms);
+            forward(this, 'addSockets', opts, rooms);
+        }
+
+        delSockets(opts, rooms) {
+            super.delSockets(opts, rooms);
+            forward(this, 'delSockets', opts, rooms);
+        }
+
+        disconnectSockets(opts, close) {
+            super.disconnectSockets(opts, close);
+            forward(this, 'disconnectSockets', opts, close);
+        }
+    }
+
+    return async () => InProcessAdapter;
+};
+
+module.exports = createInProcessAdapter;
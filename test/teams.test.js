@@ -0,0 +1,135 @@
+/**
+ * Jogos de equipas: a jogada de cada equipa é decidida pelo capitão, pela
+ * primeira escolha ou por votação, segundo o modo da sessão.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GameStatus } = require('../game/stateMachine');
+const {
+    startGameServer,
+    connectPlayer,
+    waitForEvent
+} = require('./support/gameServer');
+
+// Prazo mais curto permitido para as votações (segundos)
+const VOTE_SECONDS = 3;
+
+describe('Jogos de equipas', () => {
+    let instance;
+    let sockets;
+
+    beforeEach(async () => {
+        instance = await startGameServer();
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await instance.close();
+    });
+
+    const connect = async (name) => {
+        const socket = await connectPlayer(instance, name);
+        sockets.push(socket);
+        return socket;
+    };
+
+    /**
+     * Sala de equipas com o anfitrião (capitão red, a atacar), os outros
+     * membros da red e os defensores da blue; devolve os sockets por equipa
+     */
+    const createTeamGame = async (decision, { red = 1, blue = 1 } = {}) => {
+        const host = await connect('Capitã');
+        const created = waitForEvent(host, 'game_created');
+        host.emit('create_game', { role: 'attacker', themeId: 1, team: { decision, voteSeconds: VOTE_SECONDS } });
+        const { sessionId } = await created;
+
+        const join = async (name, team) => {
+            const socket = await connect(name);
+            const joined = waitForEvent(socket, 'player_joined', event => event.userId === socket.userId);
+            socket.emit('join_game', { sessionId, team });
+            await joined;
+            return socket;
+        };
+
+        const redMembers = [host];
+        for (let i = 1; i < red; i++) redMembers.push(await join(`Red ${i}`, 'red'));
+        const blueMembers = [];
+        for (let i = 0; i < blue; i++) blueMembers.push(await join(`Blue ${i}`, 'blue'));
+        return { sessionId, red: redMembers, blue: blueMembers };
+    };
+
+    it('modo captain: as escolhas dos membros são sugestões, só a do capitão conta', async () => {
+        const { red: [captain, member], blue: [defender] } = await createTeamGame('captain', { red: 2 });
+
+        const proposal = waitForEvent(captain, 'team_proposal');
+        member.emit('execute_attack', { toolId: 'email_falso' });
+        assert.deepEqual(await proposal, {
+            action: 'attack',
+            toolId: 'email_falso',
+            userId: member.userId,
+            name: 'Red 1'
+        });
+
+        const attacked = waitForEvent(defender, 'attack_executed');
+        captain.emit('execute_attack', { toolId: 'site_clonado' });
+        assert.equal((await attacked).toolId, 'site_clonado');
+    });
+
+    it('modo first: a primeira escolha de qualquer membro conta', async () => {
+        const { red: [, member], blue: [defender] } = await createTeamGame('first', { red: 2 });
+
+        const attacked = waitForEvent(defender, 'attack_executed');
+        member.emit('execute_attack', { toolId: 'email_falso' });
+        assert.equal((await attacked).toolId, 'email_falso');
+
+        const result = waitForEvent(member, 'round_result');
+        defender.emit('execute_defense', { toolId: 'filtro_spam' });
+        const round = await result;
+        assert.equal(round.winner, 'defender');
+        assert.deepEqual(round.attackerContributorIds, [member.userId]);
+        assert.deepEqual(round.defenderContributorIds, [defender.userId]);
+    });
+
+    it('modo vote: a maioria dos membros ligados decide logo a jogada', async () => {
+        const { red: [captain, first, second], blue: [defender] } = await createTeamGame('vote', { red: 3 });
+
+        const opened = waitForEvent(captain, 'team_vote');
+        first.emit('execute_attack', { toolId: 'email_falso' });
+        const vote = await opened;
+        assert.equal(vote.decidedToolId, null);
+        assert.deepEqual(vote.votes.email_falso, [first.userId]);
+
+        const attacked = waitForEvent(defender, 'attack_executed');
+        const decided = waitForEvent(captain, 'team_vote', event => event.decidedToolId !== null);
+        second.emit('execute_attack', { toolId: 'email_falso' });
+        assert.equal((await decided).decidedToolId, 'email_falso');
+        assert.equal((await attacked).toolId, 'email_falso');
+    });
+
+    it('modo vote: sem maioria, no fim do prazo ganha a opção do capitão', async () => {
+        const { red: [captain, member], blue: [defender] } = await createTeamGame('vote', { red: 2 });
+
+        captain.emit('execute_attack', { toolId: 'site_clonado' });
+        member.emit('execute_attack', { toolId: 'email_falso' });
+
+        const attacked = await waitForEvent(defender, 'attack_executed', () => true, (VOTE_SECONDS + 1) * 1000);
+        assert.equal(attacked.toolId, 'site_clonado');
+    });
+
+    it('a capitania passa a outro membro quando o capitão sai', async () => {
+        const { red: [captain, member], blue: [defender] } = await createTeamGame('captain', { red: 2 });
+
+        const changed = waitForEvent(member, 'captain_changed');
+        captain.disconnect();
+        assert.deepEqual(await changed, { team: 'red', captainUserId: member.userId });
+
+        // O novo capitão joga pela equipa; o jogo continua sem pausa
+        const state = await waitForEvent(defender, 'game_state');
+        assert.equal(state.gameStatus, GameStatus.READY);
+        const attacked = waitForEvent(defender, 'attack_executed');
+        member.emit('execute_attack', { toolId: 'email_falso' });
+        assert.equal((await attacked).toolId, 'email_falso');
+    });
+});
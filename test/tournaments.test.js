@@ -0,0 +1,124 @@
+/**
+ * Torneios: cada jogo da chave tem a sua sessão, o vencedor avança para o
+ * jogo seguinte e quem não comparece perde por falta.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GameStatus } = require('../game/stateMachine');
+const { MatchStatus } = require('../game/bracket');
+const { TournamentStatus } = require('../services/tournaments');
+const {
+    startGameServer,
+    connectPlayer,
+    waitForEvent
+} = require('./support/gameServer');
+
+// Jogos de uma só ronda, sem escolha de papel pelo vencedor
+const QUICK_RULES = { roundsPerTheme: 1, themesPerMatch: 1, winnerChoosesRole: false };
+// Prazo de comparência do teste (o mínimo aceite ao criar o torneio é 30 s)
+const NO_SHOW_SECONDS = 0.5;
+
+describe('Torneios', () => {
+    let instance;
+    let players;
+
+    beforeEach(async () => {
+        instance = await startGameServer();
+        players = [];
+    });
+
+    afterEach(async () => {
+        players.forEach(socket => socket.disconnect());
+        await instance.close();
+    });
+
+    /**
+     * Torneio com `count` jogadores ligados e inscritos por esta ordem (seeds 1..count)
+     * @returns {Promise<Object>} { tournament, matchReady } (avisos tournament_match_ready por jogador)
+     */
+    const startTournament = async (count, { noShowSeconds } = {}) => {
+        const { tournaments } = instance.api;
+        for (let i = 1; i <= count; i++) players.push(await connectPlayer(instance, `Jogador ${i}`));
+
+        const organizer = { userId: players[0].userId, name: 'Jogador 1' };
+        const created = tournaments.create(organizer, { name: 'Taça de Teste', themeId: 1, rules: QUICK_RULES });
+        assert.equal(created.ok, true);
+        if (noShowSeconds) created.tournament.noShowSeconds = noShowSeconds;
+
+        const { tournamentId } = created.tournament;
+        players.forEach((socket, index) => {
+            tournaments.register(tournamentId, { userId: socket.userId, name: `Jogador ${index + 1}` });
+        });
+
+        const matchReady = players.map(socket => waitForEvent(socket, 'tournament_match_ready'));
+        const started = await tournaments.start(tournamentId, organizer.userId);
+        assert.equal(started.ok, true);
+        return { tournament: started.tournament, matchReady };
+    };
+
+    /**
+     * Entra na sessão do jogo de torneio e espera pelo estado (READY quando os dois estão)
+     */
+    const joinMatch = async (socket, sessionId, status) => {
+        const joined = waitForEvent(socket, 'game_state', state => state.gameStatus === status);
+        socket.emit('join_game', { sessionId });
+        return joined;
+    };
+
+    it('o vencedor de um jogo avança para o jogo seguinte da chave', async () => {
+        const { tournament, matchReady } = await startTournament(4);
+        const [topSeed, , , lastSeed] = players;
+        const [topSeedMatch, , , lastSeedMatch] = await Promise.all(matchReady);
+
+        // Seed 1 contra seed 4: a melhor seed começa a atacar
+        assert.equal(topSeedMatch.sessionId, lastSeedMatch.sessionId);
+        assert.equal(topSeedMatch.role, 'attacker');
+        assert.equal(topSeedMatch.opponent.userId, lastSeed.userId);
+
+        const { sessionId } = topSeedMatch;
+        await joinMatch(topSeed, sessionId, GameStatus.LOBBY);
+        await joinMatch(lastSeed, sessionId, GameStatus.READY);
+
+        const attacked = waitForEvent(lastSeed, 'attack_executed');
+        topSeed.emit('execute_attack', { toolId: 'email_falso' });
+        await attacked;
+        const resolved = waitForEvent(lastSeed, 'round_result');
+        lastSeed.emit('execute_defense', { toolId: 'filtro_spam' });
+        await resolved;
+
+        const finished = waitForEvent(topSeed, 'tournament_match_finished');
+        lastSeed.emit('next_round');
+        assert.deepEqual(await finished, {
+            tournamentId: tournament.tournamentId,
+            matchId: topSeedMatch.matchId,
+            winnerUserId: lastSeed.userId,
+            forfeit: false
+        });
+
+        const bracket = await instance.api.tournaments.get(tournament.tournamentId);
+        const played = bracket.matches.find(match => match.matchId === topSeedMatch.matchId);
+        assert.equal(played.status, MatchStatus.FINISHED);
+        assert.equal(played.winnerUserId, lastSeed.userId);
+        const next = bracket.matches.find(match => match.matchId === played.next.matchId);
+        assert.equal(next.slots[played.next.slot].userId, lastSeed.userId);
+        assert.equal(next.status, MatchStatus.PENDING);
+    });
+
+    it('quem não entra na sessão até ao prazo perde por falta', async () => {
+        const { tournament, matchReady } = await startTournament(2, { noShowSeconds: NO_SHOW_SECONDS });
+        const [present, absent] = players;
+        const [{ sessionId, matchId }] = await Promise.all(matchReady);
+
+        const noShow = waitForEvent(present, 'tournament_no_show');
+        await joinMatch(present, sessionId, GameStatus.LOBBY);
+        assert.deepEqual(await noShow, { tournamentId: tournament.tournamentId, matchId });
+
+        const finished = await instance.api.tournaments.get(tournament.tournamentId);
+        assert.equal(finished.status, TournamentStatus.FINISHED);
+        assert.equal(finished.championUserId, present.userId);
+        const match = finished.matches.find(m => m.matchId === matchId);
+        assert.equal(match.forfeit, true);
+        assert.notEqual(match.winnerUserId, absent.userId);
+    });
+});